@@ -0,0 +1,146 @@
+/*
+  audio-edit.js
+  Non-destructive editing for the editor page.
+  The edited audio is a list of segments pointing into immutable source AudioBuffers
+  (or silence), so an edit never copies or changes decoded audio, and the undo history only
+  has to remember segment lists. renderSegments() flattens a list for playback and display.
+
+  Segment shape: { source: AudioBuffer|null, offset, length }   (sample frames; null = silence)
+  All positions are sample frames at the document's sample rate; sources share that rate.
+*/
+
+/** The whole of a decoded buffer as a segment list. */
+export function segmentsFromBuffer(buffer) {
+  return buffer.length ? [{ source: buffer, offset: 0, length: buffer.length }] : [];
+}
+
+export function silenceSegment(length) {
+  return { source: null, offset: 0, length: Math.max(0, Math.round(length)) };
+}
+
+export function totalLength(segments) {
+  return segments.reduce((sum, s) => sum + s.length, 0);
+}
+
+/** Segments covering frames [from, to). */
+export function sliceSegments(segments, from, to) {
+  const out = [];
+  let pos = 0;
+  for (const s of segments) {
+    const start = Math.max(from, pos), end = Math.min(to, pos + s.length);
+    if (end > start) out.push({ source: s.source, offset: s.offset + (start - pos), length: end - start });
+    pos += s.length;
+    if (pos >= to) break;
+  }
+  return out;
+}
+
+/** A new list with frames [from, to) replaced by `insert` (to === from inserts). */
+export function spliceSegments(segments, from, to, insert = []) {
+  const end = totalLength(segments);
+  return mergeAdjacent([
+    ...sliceSegments(segments, 0, from),
+    ...insert,
+    ...sliceSegments(segments, to, end),
+  ]);
+}
+
+// Re-joins pieces that are contiguous in the same source (e.g. after cut + paste back)
+function mergeAdjacent(segments) {
+  const out = [];
+  for (const s of segments) {
+    if (!s.length) continue;
+    const last = out[out.length - 1];
+    if (last && last.source === s.source && (!s.source || last.offset + last.length === s.offset)) {
+      out[out.length - 1] = { ...last, length: last.length + s.length };
+    } else {
+      out.push(s);
+    }
+  }
+  return out;
+}
+
+/**
+ * The zero crossing (channels summed) nearest to `frame`, within `radius` frames; `frame` itself without one.
+ * Cutting there avoids clicks.
+ */
+export function nearestZeroCrossing(buffer, frame, radius) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const value = i => channels.reduce((sum, data) => sum + data[i], 0);
+  for (let d = 0; d <= radius; d++) {
+    for (const i of [frame - d, frame + d]) {
+      if (i > 0 && i < buffer.length && (value(i - 1) < 0) !== (value(i) < 0)) return i;
+    }
+  }
+  return frame;
+}
+
+/**
+ * Flattens segments into one buffer. Mono sources feed every output channel.
+ * @param {object[]} segments
+ * @param {{ sampleRate: number, numberOfChannels: number }} format
+ * @returns {AudioBuffer}
+ */
+export function renderSegments(segments, { sampleRate, numberOfChannels }) {
+  const out = new AudioBuffer({ length: Math.max(1, totalLength(segments)), numberOfChannels, sampleRate });
+  let pos = 0;
+  for (const s of segments) {
+    if (s.source) {
+      for (let c = 0; c < numberOfChannels; c++) {
+        const data = s.source.getChannelData(Math.min(c, s.source.numberOfChannels - 1));
+        out.copyToChannel(data.subarray(s.offset, s.offset + s.length), c, pos);
+      }
+    }
+    pos += s.length;
+  }
+  return out;
+}
+
+/**
+ * Unlimited undo / redo over immutable states. Dispatches 'change' after every move.
+ */
+export class EditHistory extends EventTarget {
+  constructor(initial) {
+    super();
+    this.reset(initial);
+  }
+
+  reset(state) {
+    this.past = [];       // [{ state, label }], oldest first
+    this.future = [];
+    this.present = { state, label: null };
+    this.dispatchEvent(new Event('change'));
+  }
+
+  get state() { return this.present.state; }
+  get canUndo() { return this.past.length > 0; }
+  get canRedo() { return this.future.length > 0; }
+  get undoLabel() { return this.present.label; }
+  get redoLabel() { return this.future[this.future.length - 1]?.label ?? null; }
+
+  push(state, label) {
+    this.past.push(this.present);
+    this.present = { state, label };
+    this.future = [];
+    this.dispatchEvent(new Event('change'));
+  }
+
+  /** @returns {string|null} Label of the undone edit, or null when there was nothing to undo. */
+  undo() {
+    if (!this.past.length) return null;
+    const undone = this.present;
+    this.future.push(undone);
+    this.present = this.past.pop();
+    this.dispatchEvent(new Event('change'));
+    return undone.label;
+  }
+
+  /** @returns {string|null} Label of the redone edit, or null when there was nothing to redo. */
+  redo() {
+    if (!this.future.length) return null;
+    this.past.push(this.present);
+    this.present = this.future.pop();
+    this.dispatchEvent(new Event('change'));
+    return this.present.label;
+  }
+}
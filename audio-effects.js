@@ -0,0 +1,451 @@
+/*
+  audio-effects.js
+  Effects for the editor page. Each one processes a copy of the edited range (see processRange
+  in editor.js) and returns the result, which may be a different length (silence removal,
+  tempo changes); the editor splices it back in as one history step.
+  - normalize to a peak level, or to an integrated loudness (ITU-R BS.1770, see loudness-meter.js)
+  - reverse, noise gate, silence detection / removal
+  - tempo and pitch, each independent of the other: WSOLA time-stretch, then resampling
+  - three-band parametric EQ and convolution reverb, rendered through an OfflineAudioContext
+    with the browser's own nodes; the reverb's impulse responses are generated, not downloaded
+  Normalize, gate, EQ and reverb also build as live node graphs for the editor's preview, with
+  the same processing as their offline form (the EQ and reverb graphs are the very ones rendered
+  offline, the gate runs noise-gate.js in a worklet). Tempo / pitch, reverse and silence removal
+  change the audio's length or order, so they are only previewed from an offline render.
+
+  Effect shape:
+    { label, params: [{ key, label, min, max, step, value, unit } | { key, label, options: [[value, label]], value }],
+      process(buffer, params) → AudioBuffer | Promise<AudioBuffer>,
+      live?(context, params, buffer) → Graph | Promise<Graph> }
+  Graph shape: { input: AudioNode, output: AudioNode, set(params) } — set() takes new values while
+  audio plays through it; `buffer` is what will play (normalize measures it).
+  process() may change and return the buffer it is given; results keep its sample rate and channels.
+*/
+
+import { integratedLoudness } from './loudness-meter.js';
+import { createGateFollower } from './noise-gate.js';
+
+const SILENCE_WINDOW = 0.01;     // s, level is measured per window when looking for silence
+const WSOLA_WINDOW = 0.05;       // s, overlap-add frame
+const WSOLA_TOLERANCE = 0.012;   // s, how far a frame may move to line up with the previous one
+const PARAM_GLIDE = 0.02;        // s, time constant of live parameter changes, so sliders don't click
+
+const dbToGain = db => 10 ** (db / 20);
+
+function emptyLike(buffer, length = buffer.length) {
+  return new AudioBuffer({ length: Math.max(1, length), numberOfChannels: buffer.numberOfChannels, sampleRate: buffer.sampleRate });
+}
+
+function channelsOf(buffer) {
+  return Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+}
+
+function scale(buffer, gain) {
+  for (const data of channelsOf(buffer)) for (let i = 0; i < data.length; i++) data[i] *= gain;
+  return buffer;
+}
+
+function peakOf(buffer) {
+  let peak = 0;
+  for (const data of channelsOf(buffer)) for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+  return peak;
+}
+
+function glide(param, value) {
+  param.setTargetAtTime(value, param.context.currentTime, PARAM_GLIDE);
+}
+
+// --- Normalize ---
+// Gain that brings a peak of `peak` to `target` dBFS; none for digital silence
+const peakGain = (peak, { target }) => peak ? dbToGain(target) / peak : 1;
+
+// Measured like the playlist's normalization (loudness-meter.js), so both land on the same level
+const loudnessGain = (lufs, { target }) => lufs != null ? dbToGain(target - lufs) : 1;
+
+function normalizePeak(buffer, params) {
+  return scale(buffer, peakGain(peakOf(buffer), params));
+}
+
+function normalizeLoudness(buffer, params) {
+  return scale(buffer, loudnessGain(integratedLoudness(channelsOf(buffer), buffer.sampleRate), params));
+}
+
+// Live: the buffer is measured once, the target only moves a gain
+function normalizeGraph(context, params, gainFor) {
+  const node = context.createGain();
+  node.gain.value = gainFor(params);
+  return { input: node, output: node, set: p => glide(node.gain, gainFor(p)) };
+}
+
+// --- Reverse / gate / silence ---
+function reverse(buffer) {
+  for (const data of channelsOf(buffer)) data.reverse();
+  return buffer;
+}
+
+function gate(buffer, params) {
+  const channels = channelsOf(buffer);
+  const follower = createGateFollower(buffer.sampleRate, params);
+  for (let i = 0; i < buffer.length; i++) {
+    let peak = 0;
+    for (const data of channels) peak = Math.max(peak, Math.abs(data[i]));
+    const gain = follower.next(peak);
+    for (const data of channels) data[i] *= gain;
+  }
+  return buffer;
+}
+
+const gateModules = new WeakMap();   // BaseAudioContext → Promise of its noise-gate worklet module
+
+async function gateGraph(context, params, buffer) {
+  if (!gateModules.has(context)) gateModules.set(context, context.audioWorklet.addModule(new URL('./noise-gate-worklet.js', import.meta.url)));
+  await gateModules.get(context);
+  const node = new AudioWorkletNode(context, 'noise-gate', {
+    outputChannelCount: [buffer.numberOfChannels],
+    processorOptions: { params: { ...params } },
+  });
+  return { input: node, output: node, set: p => node.port.postMessage({ ...p }) };
+}
+
+/**
+ * Stretches of silence.
+ * @param {AudioBuffer} buffer
+ * @param {{ threshold: number, minLength: number }} opts Level (dBFS) below which audio counts
+ *        as silent, and the shortest stretch (s) worth reporting.
+ * @returns {{ start: number, end: number }[]} In sample frames.
+ */
+export function detectSilence(buffer, { threshold, minLength }) {
+  const channels = channelsOf(buffer);
+  const win = Math.max(1, Math.round(SILENCE_WINDOW * buffer.sampleRate));
+  const limit = dbToGain(threshold);
+  const minFrames = minLength * buffer.sampleRate;
+  const spans = [];
+  let start = -1;
+  for (let w = 0; w < buffer.length; w += win) {
+    let peak = 0;
+    for (const data of channels) for (let i = w, end = Math.min(buffer.length, w + win); i < end; i++) peak = Math.max(peak, Math.abs(data[i]));
+    if (peak < limit) {
+      if (start < 0) start = w;
+    } else if (start >= 0) {
+      if (w - start >= minFrames) spans.push({ start, end: w });
+      start = -1;
+    }
+  }
+  if (start >= 0 && buffer.length - start >= minFrames) spans.push({ start, end: buffer.length });
+  return spans;
+}
+
+/**
+ * What "Remove silence" cuts: each silent stretch less `padding` seconds at either end.
+ * @returns {{ start: number, end: number }[]} In sample frames.
+ */
+export function silenceCuts(buffer, { threshold, minLength, padding }) {
+  const pad = Math.round(padding * buffer.sampleRate);
+  return detectSilence(buffer, { threshold, minLength })
+    .map(({ start, end }) => ({ start: start + pad, end: end - pad }))
+    .filter(({ start, end }) => end > start);
+}
+
+function removeSilence(buffer, params) {
+  const cuts = silenceCuts(buffer, params);
+  if (!cuts.length) return buffer;
+  const keep = [];
+  let pos = 0;
+  for (const { start, end } of cuts) {
+    keep.push([pos, start]);
+    pos = end;
+  }
+  keep.push([pos, buffer.length]);
+  const out = emptyLike(buffer, keep.reduce((n, [a, b]) => n + b - a, 0));
+  channelsOf(buffer).forEach((data, c) => {
+    let o = 0;
+    for (const [a, b] of keep) {
+      out.copyToChannel(data.subarray(a, b), c, o);
+      o += b - a;
+    }
+  });
+  return out;
+}
+
+// --- Tempo / pitch ---
+// Input position near `nominal` whose audio best continues the previous frame (which would
+// naturally have gone on at `natural`), by cross-correlation: coarse search, then refined
+function bestMatch(mono, natural, nominal, tolerance, size) {
+  const last = mono.length - size;
+  if (natural > last) return Math.min(Math.max(0, nominal), Math.max(0, last));
+  const from = Math.max(0, nominal - tolerance), to = Math.min(last, nominal + tolerance);
+  if (to < from) return Math.min(Math.max(0, nominal), Math.max(0, last));
+  const score = c => {
+    let sum = 0;
+    for (let i = 0; i < size; i += 8) sum += mono[natural + i] * mono[c + i];
+    return sum;
+  };
+  let best = from, bestScore = -Infinity;
+  for (let c = from; c <= to; c += 4) {
+    const s = score(c);
+    if (s > bestScore) { bestScore = s; best = c; }
+  }
+  for (let c = Math.max(from, best - 3), end = Math.min(to, best + 3); c <= end; c++) {
+    const s = score(c);
+    if (s > bestScore) { bestScore = s; best = c; }
+  }
+  return best;
+}
+
+/**
+ * Changes duration without changing pitch (WSOLA: waveform-similarity overlap-add).
+ * @param {AudioBuffer} buffer
+ * @param {number} rate Input consumed per output frame: 2 plays twice as fast.
+ * @returns {AudioBuffer}
+ */
+export function timeStretch(buffer, rate) {
+  if (Math.abs(rate - 1) < 1e-6) return buffer;
+  const size = 2 * Math.round(WSOLA_WINDOW * buffer.sampleRate / 2);
+  const hop = size / 2;
+  const tolerance = Math.round(WSOLA_TOLERANCE * buffer.sampleRate);
+  const channels = channelsOf(buffer);
+  const mono = new Float32Array(buffer.length);
+  for (const data of channels) for (let i = 0; i < data.length; i++) mono[i] += data[i];
+  // periodic Hann windows at 50% overlap sum to exactly 1
+  const window = Float32Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+
+  const outLength = Math.max(1, Math.round(buffer.length / rate));
+  const out = emptyLike(buffer, outLength);
+  const outChannels = channelsOf(out);
+  let prev = -1;
+  // the first frame starts half a window early, so the output doesn't fade in
+  for (let outPos = -hop; outPos < outLength; outPos += hop) {
+    const nominal = Math.round(outPos * rate);
+    const pos = prev < 0 ? nominal : bestMatch(mono, prev + hop, nominal, tolerance, size);
+    channels.forEach((data, c) => {
+      const target = outChannels[c];
+      for (let i = 0; i < size; i++) {
+        const from = pos + i, to = outPos + i;
+        if (from >= 0 && from < data.length && to >= 0 && to < outLength) target[to] += data[from] * window[i];
+      }
+    });
+    prev = pos;
+  }
+  return out;
+}
+
+// Plays the buffer `ratio` times faster (pitch and tempo together), at the same sample rate
+function resample(buffer, ratio) {
+  const context = new OfflineAudioContext(buffer.numberOfChannels, Math.max(1, Math.round(buffer.length / ratio)), buffer.sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.value = ratio;
+  source.connect(context.destination);
+  source.start();
+  return context.startRendering();
+}
+
+// Stretched so that the resampling which sets the pitch also lands on the requested tempo
+function tempoPitch(buffer, { tempo, pitch }) {
+  const pitchRatio = 2 ** (pitch / 12);
+  const stretched = timeStretch(buffer, tempo / 100 / pitchRatio);
+  return pitch ? resample(stretched, pitchRatio) : stretched;
+}
+
+// --- EQ / reverb ---
+function renderThrough(buffer, connect) {
+  const context = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  connect(context, source, context.destination);
+  source.start();
+  return context.startRendering();
+}
+
+// Renders a buffer through an effect's graph, so the offline result is what the live one plays
+function renderGraph(buffer, graph, params) {
+  return renderThrough(buffer, (context, source, destination) => {
+    const { input, output } = graph(context, params);
+    source.connect(input);
+    output.connect(destination);
+  });
+}
+
+function eqGraph(context, params) {
+  const low = context.createBiquadFilter();
+  const mid = context.createBiquadFilter();
+  const high = context.createBiquadFilter();
+  low.type = 'lowshelf';
+  mid.type = 'peaking';
+  high.type = 'highshelf';
+  low.connect(mid).connect(high);
+  const values = ({ lowFreq, lowGain, midFreq, midGain, midQ, highFreq, highGain }) => [
+    [low.frequency, lowFreq], [low.gain, lowGain],
+    [mid.frequency, midFreq], [mid.gain, midGain], [mid.Q, midQ],
+    [high.frequency, highFreq], [high.gain, highGain],
+  ];
+  for (const [param, value] of values(params)) param.value = value;
+  return { input: low, output: high, set: p => values(p).forEach(([param, value]) => glide(param, value)) };
+}
+
+export const IMPULSES = {
+  room: { label: 'Small room', decay: 0.5, predelay: 0.004, damping: 7000 },
+  plate: { label: 'Plate', decay: 1.6, predelay: 0, damping: 10000 },
+  hall: { label: 'Concert hall', decay: 2.4, predelay: 0.022, damping: 4500 },
+  cathedral: { label: 'Cathedral', decay: 5.5, predelay: 0.04, damping: 3000 },
+};
+const impulseCache = new Map();
+
+// Stereo noise decaying by 60 dB over `decay` seconds, darkened by a one-pole low pass
+function impulseResponse(key, sampleRate) {
+  const id = `${key}@${sampleRate}`;
+  if (impulseCache.has(id)) return impulseCache.get(id);
+  const { decay, predelay, damping } = IMPULSES[key] || IMPULSES.hall;
+  const offset = Math.round(predelay * sampleRate);
+  const ir = new AudioBuffer({ length: offset + Math.round(decay * sampleRate), numberOfChannels: 2, sampleRate });
+  const smoothing = Math.exp(-2 * Math.PI * damping / sampleRate);
+  for (let c = 0; c < 2; c++) {
+    const data = ir.getChannelData(c);
+    let lp = 0;
+    for (let i = offset; i < data.length; i++) {
+      const t = (i - offset) / sampleRate;
+      lp = (Math.random() * 2 - 1) * (1 - smoothing) + lp * smoothing;
+      data[i] = lp * Math.exp(-6.9 * t / decay);
+    }
+  }
+  impulseCache.set(id, ir);
+  return ir;
+}
+
+// Wet / dry blend; offline, the tail is cut at the end of the range, which keeps the edit's length.
+// Another space swaps in a new convolver (a convolver's buffer is best set once)
+function reverbGraph(context, { impulse, mix }) {
+  const input = context.createGain();
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  input.connect(dry).connect(output);
+  wet.connect(output);
+  let convolver = null, space = null;
+  const useSpace = key => {
+    if (key === space) return;
+    convolver?.disconnect();
+    convolver = context.createConvolver();
+    convolver.buffer = impulseResponse(key, context.sampleRate);
+    input.connect(convolver).connect(wet);
+    space = key;
+  };
+  useSpace(impulse);
+  dry.gain.value = 1 - mix / 100;
+  wet.gain.value = mix / 100;
+  return {
+    input, output,
+    set(p) {
+      useSpace(p.impulse);
+      glide(dry.gain, 1 - p.mix / 100);
+      glide(wet.gain, p.mix / 100);
+    },
+  };
+}
+
+export const EFFECTS = {
+  'normalize-peak': {
+    label: 'Normalize (peak)',
+    params: [{ key: 'target', label: 'Peak', min: -12, max: 0, step: 0.1, value: -1, unit: 'dBFS' }],
+    process: normalizePeak,
+    live(context, params, buffer) {
+      const peak = peakOf(buffer);
+      return normalizeGraph(context, params, p => peakGain(peak, p));
+    },
+  },
+  'normalize-loudness': {
+    label: 'Normalize (loudness)',
+    params: [{ key: 'target', label: 'Loudness', min: -30, max: -8, step: 0.5, value: -16, unit: 'LUFS' }],
+    process: normalizeLoudness,
+    live(context, params, buffer) {
+      const lufs = integratedLoudness(channelsOf(buffer), buffer.sampleRate);
+      return normalizeGraph(context, params, p => loudnessGain(lufs, p));
+    },
+  },
+  reverse: { label: 'Reverse', params: [], process: reverse },
+  'remove-silence': {
+    label: 'Remove silence',
+    params: [
+      { key: 'threshold', label: 'Below', min: -80, max: -20, step: 1, value: -50, unit: 'dB' },
+      { key: 'minLength', label: 'Longer than', min: 0.1, max: 5, step: 0.1, value: 0.5, unit: 's' },
+      { key: 'padding', label: 'Keep', min: 0, max: 1, step: 0.05, value: 0.1, unit: 's' },
+    ],
+    process: removeSilence,
+  },
+  'tempo-pitch': {
+    label: 'Tempo / pitch',
+    params: [
+      { key: 'tempo', label: 'Tempo', min: 50, max: 200, step: 1, value: 100, unit: '%' },
+      { key: 'pitch', label: 'Pitch', min: -12, max: 12, step: 0.5, value: 0, unit: 'st' },
+    ],
+    process: tempoPitch,
+  },
+  eq: {
+    label: 'Parametric EQ',
+    params: [
+      { key: 'lowFreq', label: 'Low', min: 20, max: 500, step: 5, value: 100, unit: 'Hz' },
+      { key: 'lowGain', label: 'Low gain', min: -18, max: 18, step: 0.5, value: 0, unit: 'dB' },
+      { key: 'midFreq', label: 'Mid', min: 200, max: 8000, step: 10, value: 1000, unit: 'Hz' },
+      { key: 'midGain', label: 'Mid gain', min: -18, max: 18, step: 0.5, value: 0, unit: 'dB' },
+      { key: 'midQ', label: 'Mid Q', min: 0.3, max: 8, step: 0.1, value: 1, unit: '' },
+      { key: 'highFreq', label: 'High', min: 2000, max: 18000, step: 100, value: 8000, unit: 'Hz' },
+      { key: 'highGain', label: 'High gain', min: -18, max: 18, step: 0.5, value: 0, unit: 'dB' },
+    ],
+    process: (buffer, params) => renderGraph(buffer, eqGraph, params),
+    live: eqGraph,
+  },
+  gate: {
+    label: 'Noise gate',
+    params: [
+      { key: 'threshold', label: 'Opens at', min: -80, max: -10, step: 1, value: -45, unit: 'dB' },
+      { key: 'floor', label: 'Closed level', min: -80, max: 0, step: 1, value: -60, unit: 'dB' },
+      { key: 'attack', label: 'Attack', min: 0.5, max: 50, step: 0.5, value: 5, unit: 'ms' },
+      { key: 'hold', label: 'Hold', min: 0, max: 500, step: 5, value: 50, unit: 'ms' },
+      { key: 'release', label: 'Release', min: 10, max: 1000, step: 10, value: 150, unit: 'ms' },
+    ],
+    process: gate,
+    live: gateGraph,
+  },
+  reverb: {
+    label: 'Reverb',
+    params: [
+      { key: 'impulse', label: 'Space', options: Object.entries(IMPULSES).map(([key, ir]) => [key, ir.label]), value: 'hall' },
+      { key: 'mix', label: 'Wet', min: 0, max: 100, step: 1, value: 30, unit: '%' },
+    ],
+    process: (buffer, params) => renderGraph(buffer, reverbGraph, params),
+    live: reverbGraph,
+  },
+};
+
+/** Parameter defaults of an effect, keyed by param key. */
+export function effectDefaults(id) {
+  return Object.fromEntries((EFFECTS[id]?.params || []).map(p => [p.key, p.value]));
+}
+
+/**
+ * Runs an effect.
+ * @param {string} id Key of EFFECTS.
+ * @param {AudioBuffer} buffer A copy the effect may change.
+ * @param {object} params Missing values fall back to the defaults.
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function applyEffect(id, buffer, params = {}) {
+  const effect = EFFECTS[id];
+  if (!effect) throw new Error(`Unknown effect: ${id}`);
+  return effect.process(buffer, { ...effectDefaults(id), ...params });
+}
+
+/**
+ * Builds an effect's live graph, for previews.
+ * @param {string} id Key of EFFECTS.
+ * @param {BaseAudioContext} context
+ * @param {AudioBuffer} buffer What will play through it.
+ * @param {object} params Missing values fall back to the defaults.
+ * @returns {Promise<{ input: AudioNode, output: AudioNode, set(params: object): void } | null>}
+ *          Null for effects that can only be rendered offline.
+ */
+export async function createLiveEffect(id, context, buffer, params = {}) {
+  const effect = EFFECTS[id];
+  if (!effect) throw new Error(`Unknown effect: ${id}`);
+  return effect.live ? effect.live(context, { ...effectDefaults(id), ...params }, buffer) : null;
+}
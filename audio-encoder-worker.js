@@ -0,0 +1,117 @@
+// audio-encoder-worker.js
+// Encodes rendered PCM for the editor's export (see audio-export.js). Module worker.
+// Posted: { id, format: 'wav'|'mp3', sampleRate, channels: ArrayBuffer[] (Float32, transferred),
+//           bitDepth: 16|24|32 (wav), bitrate: kbps (mp3 CBR) | vbrQuality: 0..9 (mp3 VBR) }
+// Replies: { id, progress } while encoding, then { id, bytes: ArrayBuffer } or { id, error }
+
+const MP3_ENCODER_URL = 'https://cdn.jsdelivr.net/npm/wasm-media-encoders@0.7.0/+esm';
+const CHUNK = 1152 * 256;      // frames per step (~6 s at 48 kHz); progress is reported per chunk
+
+function reportProgress(id, done, total) {
+  self.postMessage({ id, progress: total ? done / total : 1 });
+}
+
+// --- WAV ---
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+function encodeWav(id, channels, sampleRate, bitDepth) {
+  const float = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const frames = channels[0].length;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataBytes = frames * blockAlign;
+  const headerBytes = float ? 58 : 44;   // float PCM carries an 18-byte fmt and a fact chunk
+  const out = new ArrayBuffer(headerBytes + dataBytes);
+  const view = new DataView(out);
+
+  writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, out.byteLength - 8, true);
+  writeAscii(view, 8, 'WAVE');
+  writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, float ? 18 : 16, true);
+  view.setUint16(20, float ? 3 : 1, true);          // WAVE_FORMAT_IEEE_FLOAT / WAVE_FORMAT_PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  let o = 36;
+  if (float) {
+    view.setUint16(o, 0, true);                     // cbSize
+    writeAscii(view, o + 2, 'fact');
+    view.setUint32(o + 6, 4, true);
+    view.setUint32(o + 10, frames, true);
+    o += 14;
+  }
+  writeAscii(view, o, 'data');
+  view.setUint32(o + 4, dataBytes, true);
+  o += 8;
+
+  const max = 2 ** (bitDepth - 1) - 1;
+  for (let start = 0; start < frames; start += CHUNK) {
+    const end = Math.min(frames, start + CHUNK);
+    for (let i = start; i < end; i++) {
+      for (const ch of channels) {
+        const s = Math.max(-1, Math.min(1, ch[i]));
+        if (float) {
+          view.setFloat32(o, ch[i], true);
+        } else if (bitDepth === 16) {
+          // TPDF dither at one LSB keeps quiet passages from turning into distortion
+          const v = Math.round(s * max + Math.random() - Math.random());
+          view.setInt16(o, Math.max(-max - 1, Math.min(max, v)), true);
+        } else {
+          const v = Math.round(s * max);
+          view.setUint8(o, v & 0xff);
+          view.setUint8(o + 1, (v >> 8) & 0xff);
+          view.setUint8(o + 2, (v >> 16) & 0xff);
+        }
+        o += bytesPerSample;
+      }
+    }
+    reportProgress(id, end, frames);
+  }
+  return out;
+}
+
+// --- MP3 ---
+async function encodeMp3(id, channels, sampleRate, { bitrate, vbrQuality }) {
+  const { createMp3Encoder } = await import(MP3_ENCODER_URL);
+  const encoder = await createMp3Encoder();
+  encoder.configure({
+    sampleRate,
+    channels: channels.length,
+    ...(vbrQuality != null ? { vbrQuality } : { bitrate }),
+  });
+
+  const parts = [];
+  let size = 0;
+  // the encoder reuses its output buffer, so every chunk is copied out right away
+  const keep = (bytes) => { parts.push(bytes.slice()); size += bytes.length; };
+  const frames = channels[0].length;
+  for (let start = 0; start < frames; start += CHUNK) {
+    const end = Math.min(frames, start + CHUNK);
+    keep(encoder.encode(channels.map(ch => ch.subarray(start, end))));
+    reportProgress(id, end, frames);
+  }
+  keep(encoder.finalize());
+
+  const out = new Uint8Array(size);
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out.buffer;
+}
+
+self.onmessage = async (event) => {
+  const { id, format, sampleRate, bitDepth, bitrate, vbrQuality } = event.data;
+  try {
+    const channels = event.data.channels.map(buf => new Float32Array(buf));
+    const bytes = format === 'mp3'
+      ? await encodeMp3(id, channels.slice(0, 2), sampleRate, { bitrate, vbrQuality })
+      : encodeWav(id, channels, sampleRate, bitDepth);
+    self.postMessage({ id, bytes }, [bytes]);
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
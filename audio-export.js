@@ -0,0 +1,155 @@
+/*
+  audio-export.js
+  Audio export for the editor page: the edit is rendered offline through the mix stage
+  (fades and effects are already in the audio; envelope, volume and pan are applied here, see
+  audio-gain.js), resampled to the chosen rate, then encoded in audio-encoder-worker.js.
+  - WAV: 16-bit PCM (TPDF-dithered), 24-bit PCM or 32-bit float
+  - MP3: constant bitrate, or VBR quality V0 (best) .. V9 (smallest); the source file's tags are
+    carried over as an ID3v2.3 tag: the standard fields as their own frames, the rest as TXXX
+    (tags that describe the old audio, like ReplayGain or length, are dropped)
+
+  Options shape:
+    { format: 'wav'|'mp3', sampleRate, bitDepth, mp3Mode: 'cbr'|'vbr', bitrate, vbrQuality,
+      range?: { from, to } (s), metadata?: readTrackMetadata() result }
+*/
+
+import { renderMix } from './audio-gain.js';
+import { createWorkerQueue } from './worker-jobs.js';
+
+export const AUDIO_EXPORT_FORMATS = {
+  wav: { label: 'WAV', ext: 'wav', mime: 'audio/wav' },
+  mp3: { label: 'MP3', ext: 'mp3', mime: 'audio/mpeg' },
+};
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+export const EXPORT_SAMPLE_RATES = [22050, 32000, 44100, 48000, 88200, 96000];
+export const MP3_SAMPLE_RATES = [32000, 44100, 48000];
+export const MP3_BITRATES = [96, 128, 160, 192, 256, 320];
+
+const RENDER_SHARE = 0.5;   // of the progress bar; encoding takes the rest
+const STALE_TAGS = /^(REPLAYGAIN_|R128_|ITUNNORM|ITUNSMPB|ENCODER|ENCODING|LENGTH)/;
+// Standard `extra` fields (see track-metadata.js) → ID3v2.3 text frames; COMMENT and LYRICS get COMM / USLT
+const ID3_FRAMES = { GENRE: 'TCON', ALBUMARTIST: 'TPE2', COMPOSER: 'TCOM', DISCNUMBER: 'TPOS' };
+
+const runJob = createWorkerQueue(new URL('./audio-encoder-worker.js', import.meta.url), { type: 'module' });
+
+function nearest(list, value) {
+  return list.reduce((best, v) => (Math.abs(v - value) < Math.abs(best - value) ? v : best));
+}
+
+/**
+ * Renders and encodes the edit.
+ * @param {AudioBuffer} buffer The edit, flattened.
+ * @param {object} mix Volume / pan / envelope (see audio-gain.js).
+ * @param {object} options See the header.
+ * @param {(p: number) => void} [onProgress] 0..1 over rendering and encoding.
+ * @returns {Promise<Blob>}
+ */
+export async function exportAudio(buffer, mix, options, onProgress = () => {}) {
+  const format = AUDIO_EXPORT_FORMATS[options.format] ? options.format : 'wav';
+  let sampleRate = Number(options.sampleRate) || buffer.sampleRate;
+  if (format === 'mp3') sampleRate = nearest(MP3_SAMPLE_RATES, sampleRate);
+
+  const audio = await renderMix(buffer, mix, {
+    ...options.range,
+    sampleRate,
+    onProgress: p => onProgress(p * RENDER_SHARE),
+  });
+  onProgress(RENDER_SHARE);
+
+  const channels = [];
+  for (let c = 0; c < audio.numberOfChannels; c++) channels.push(audio.getChannelData(c).slice().buffer);
+  const message = {
+    format,
+    sampleRate,
+    channels,
+    bitDepth: WAV_BIT_DEPTHS.includes(Number(options.bitDepth)) ? Number(options.bitDepth) : 16,
+    ...(options.mp3Mode === 'vbr'
+      ? { vbrQuality: Math.min(9, Math.max(0, Number(options.vbrQuality) || 0)) }
+      : { bitrate: MP3_BITRATES.includes(Number(options.bitrate)) ? Number(options.bitrate) : 192 }),
+  };
+  const { bytes } = await runJob(async () => ({
+    message,
+    transfer: channels,
+    onProgress: p => onProgress(RENDER_SHARE + p * (1 - RENDER_SHARE)),
+  }));
+
+  const parts = [bytes];
+  if (format === 'mp3' && options.metadata) {
+    const tag = await id3v2Tag(options.metadata);
+    if (tag) parts.unshift(tag);
+  }
+  return new Blob(parts, { type: AUDIO_EXPORT_FORMATS[format].mime });
+}
+
+// --- ID3v2.3 ---
+function utf16(text) {
+  const out = new Uint8Array(2 + text.length * 2);
+  out[0] = 0xff; out[1] = 0xfe;   // BOM, little-endian
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    out[2 + i * 2] = c & 0xff;
+    out[3 + i * 2] = c >> 8;
+  }
+  return out;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+function frame(id, body) {
+  const head = new Uint8Array(10);
+  for (let i = 0; i < 4; i++) head[i] = id.charCodeAt(i);
+  new DataView(head.buffer).setUint32(4, body.length);   // plain big-endian in v2.3
+  return concat([head, body]);
+}
+
+const textFrame = (id, value) => frame(id, concat([[1], utf16(value)]));
+const userTextFrame = (key, value) => frame('TXXX', concat([[1], utf16(key), [0, 0], utf16(value)]));
+// COMM / USLT: encoding, language, empty description, text
+const languageFrame = (id, value) => frame(id, concat([[1, 0x65, 0x6e, 0x67], utf16(''), [0, 0], utf16(value)]));
+
+// v2.3 has a year frame (TYER) and a DDMM frame (TDAT) where v2.4 and Vorbis have one date
+function dateFrames(date) {
+  const [, year, month, day] = /^(\d{4})(?:-(\d{2})-(\d{2}))?/.exec(date) || [];
+  if (!year) return [];
+  return [textFrame('TYER', year), ...(day ? [textFrame('TDAT', `${day}${month}`)] : [])];
+}
+
+/**
+ * @param {object} meta readTrackMetadata() result.
+ * @returns {Promise<Uint8Array|null>} The tag, or null when there's nothing to write.
+ */
+async function id3v2Tag(meta) {
+  const frames = [];
+  if (meta.title) frames.push(textFrame('TIT2', meta.title));
+  if (meta.artist) frames.push(textFrame('TPE1', meta.artist));
+  if (meta.album) frames.push(textFrame('TALB', meta.album));
+  if (meta.trackNumber) frames.push(textFrame('TRCK', String(meta.trackNumber)));
+  for (const [key, value] of Object.entries(meta.extra || {})) {
+    if (STALE_TAGS.test(key) || value == null || value === '') continue;
+    if (key === 'DATE') frames.push(...dateFrames(String(value)));
+    else if (key === 'COMMENT') frames.push(languageFrame('COMM', String(value)));
+    else if (key === 'LYRICS') frames.push(languageFrame('USLT', String(value)));
+    else if (ID3_FRAMES[key]) frames.push(textFrame(ID3_FRAMES[key], String(value)));
+    else frames.push(userTextFrame(key, String(value)));
+  }
+  if (meta.picture) {
+    const mime = Array.from(meta.picture.type || 'image/jpeg', c => c.charCodeAt(0));
+    const data = new Uint8Array(await meta.picture.arrayBuffer());
+    // encoding 0 (latin-1), MIME, picture type 3 (front cover), empty description
+    frames.push(frame('APIC', concat([[0], mime, [0, 3, 0], data])));
+  }
+  if (!frames.length) return null;
+
+  const body = concat(frames);
+  const size = body.length;
+  const header = Uint8Array.of(
+    0x49, 0x44, 0x33, 3, 0, 0,  // "ID3", v2.3.0, no flags
+    (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f,
+  );
+  return concat([header, body]);
+}
@@ -0,0 +1,130 @@
+/*
+  audio-files.js
+  Helpers for getting audio files into the playlist:
+  - sniffAudioType:        identifies the container/codec from the file header (not the extension)
+  - checkPlayable:         sniff + canPlayType, with a human-readable reason when a file can't play
+  - expandDroppedEntries:  walks dropped folders (FileSystemEntry) recursively, in path order
+                           (collectDroppedEntries keeps the paths)
+*/
+
+let probe = null;
+
+function canPlay(mime) {
+  probe ??= document.createElement('audio');
+  return probe.canPlayType(mime) !== '';
+}
+
+function ascii(bytes, start, len) {
+  return String.fromCharCode(...bytes.subarray(start, start + len));
+}
+
+async function readBytes(file, start, length) {
+  return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+function sniffBytes(b) {
+  if (b.length < 4) return null;
+  const tag4 = ascii(b, 0, 4);
+
+  if (tag4 === 'fLaC') return { mime: 'audio/flac', label: 'FLAC' };
+  if (tag4 === 'OggS') {
+    const head = ascii(b, 0, b.length);
+    if (head.includes('OpusHead')) return { mime: 'audio/ogg; codecs="opus"', label: 'Ogg Opus' };
+    if (head.includes('FLAC')) return { mime: 'audio/ogg; codecs="flac"', label: 'Ogg FLAC' };
+    return { mime: 'audio/ogg; codecs="vorbis"', label: 'Ogg Vorbis' };
+  }
+  if ((tag4 === 'RIFF' || tag4 === 'RF64') && ascii(b, 8, 4) === 'WAVE') return { mime: 'audio/wav', label: 'WAV' };
+  if (tag4 === 'FORM' && /^AIF[FC]$/.test(ascii(b, 8, 4))) return { mime: 'audio/aiff', label: 'AIFF' };
+  if (ascii(b, 4, 4) === 'ftyp') return { mime: 'audio/mp4; codecs="mp4a.40.2"', label: 'M4A/AAC' };
+  if (b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3) return { mime: 'audio/webm', label: 'WebM' };
+
+  if (b[0] === 0xff) {
+    if ((b[1] & 0xf6) === 0xf0) return { mime: 'audio/aac', label: 'AAC (ADTS)' };
+    if ((b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) return { mime: 'audio/mpeg', label: 'MP3' };
+  }
+  return null;
+}
+
+/**
+ * Identifies an audio file from its first bytes.
+ * @param {Blob} file
+ * @returns {Promise<{ mime: string, label: string }|null>} null when the header isn't a known audio format.
+ */
+export async function sniffAudioType(file) {
+  const head = await readBytes(file, 0, 64);
+  if (ascii(head, 0, 3) === 'ID3' && head.length >= 10) {
+    // ID3v2 can precede MP3, AAC or FLAC data: look at what follows the tag
+    const size = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+    const footer = (head[5] & 0x10) ? 10 : 0;
+    const after = await readBytes(file, 10 + size + footer, 64);
+    return sniffBytes(after) || { mime: 'audio/mpeg', label: 'MP3' };
+  }
+  return sniffBytes(head);
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<{ ok: boolean, mime?: string, label?: string, reason?: string }>}
+ */
+export async function checkPlayable(file) {
+  let type = null;
+  try { type = await sniffAudioType(file); } catch {
+    return { ok: false, reason: 'could not be read' };
+  }
+  if (!type) {
+    // Unknown header: trust the browser's MIME type as a last resort
+    if (file.type?.startsWith('audio/') && canPlay(file.type)) return { ok: true, mime: file.type, label: file.type };
+    return { ok: false, reason: 'not a recognized audio file' };
+  }
+  if (!canPlay(type.mime)) return { ok: false, ...type, reason: `${type.label} isn't supported by this browser` };
+  return { ok: true, ...type };
+}
+
+// --- Folder drops ---
+function readAllEntries(dirEntry) {
+  const reader = dirEntry.createReader();
+  const all = [];
+  // readEntries returns results in batches; keep reading until it returns nothing
+  return new Promise((resolve, reject) => {
+    const next = () => reader.readEntries(batch => {
+      if (!batch.length) { resolve(all); return; }
+      all.push(...batch);
+      next();
+    }, reject);
+    next();
+  });
+}
+
+function entryFile(fileEntry) {
+  return new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+}
+
+/**
+ * Flattens dropped files and (nested) folders into Files, ordered by full path with
+ * natural number ordering ("2 - x" before "10 - y").
+ * @param {FileSystemEntry[]} entries From DataTransferItem.webkitGetAsEntry(), captured during the drop event.
+ * @returns {Promise<File[]>}
+ */
+export async function expandDroppedEntries(entries) {
+  return (await collectDroppedEntries(entries)).map(f => f.file);
+}
+
+/**
+ * Like expandDroppedEntries, keeping each file's path within the drop (e.g. "/Album/01.mp3"),
+ * which playlist files refer to.
+ * @returns {Promise<{ path: string, file: File }[]>}
+ */
+export async function collectDroppedEntries(entries) {
+  const found = [];
+  const walk = async (entry) => {
+    if (!entry) return;
+    if (entry.isFile) {
+      try { found.push({ path: entry.fullPath || entry.name, file: await entryFile(entry) }); } catch {}
+    } else if (entry.isDirectory) {
+      for (const child of await readAllEntries(entry)) await walk(child);
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  found.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' }));
+  return found;
+}
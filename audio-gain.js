@@ -0,0 +1,161 @@
+/*
+  audio-gain.js
+  Gain shaping for the editor page:
+  - fades (applyFade), baked into a copy of the faded range so they sit in the edit history
+  - the gain envelope: breakpoints { time (s), volume (0..1) } with linear ramps between them,
+    holding the first / last value before / after the outer points
+  - the mix stage (envelope → volume → pan), built the same way for preview playback
+    (EditorPlayer) and for offline rendering (renderMix), so what you hear is what you export
+
+  Mix shape: { volume: 0..2, pan: -1..1, envelope: [{ time, volume }] }
+*/
+
+export const MIX_DEFAULTS = { volume: 1, pan: 0, envelope: [] };
+
+// Gain at progress x (0..1) of a fade in; a fade out runs them backwards
+export const FADE_SHAPES = {
+  linear: x => x,
+  exponential: x => (10 ** (3 * x) - 1) / 999,            // even in dB (60 dB), slow start
+  logarithmic: x => 1 - (10 ** (3 * (1 - x)) - 1) / 999,  // mirror image: fast start
+  's-curve': x => 0.5 - 0.5 * Math.cos(Math.PI * x),
+};
+
+/**
+ * Fades a buffer in place.
+ * @param {AudioBuffer} buffer
+ * @param {'in'|'out'} direction
+ * @param {string} shape Key of FADE_SHAPES.
+ */
+export function applyFade(buffer, direction, shape = 'linear') {
+  const curve = FADE_SHAPES[shape] || FADE_SHAPES.linear;
+  const n = buffer.length;
+  const gains = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = n > 1 ? i / (n - 1) : 1;
+    gains[i] = curve(direction === 'in' ? x : 1 - x);
+  }
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < n; i++) data[i] *= gains[i];
+  }
+}
+
+// --- Gain envelope ---
+function sortedPoints(points) {
+  return [...(points || [])].sort((a, b) => a.time - b.time);
+}
+
+/** Envelope gain at `time` (1 without points). */
+export function envelopeAt(points, time) {
+  const pts = sortedPoints(points);
+  if (!pts.length) return 1;
+  if (time <= pts[0].time) return pts[0].volume;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    if (time <= b.time) return b.time > a.time ? a.volume + (b.volume - a.volume) * (time - a.time) / (b.time - a.time) : b.volume;
+  }
+  return pts[pts.length - 1].volume;
+}
+
+/**
+ * Schedules the envelope on a gain AudioParam for playback starting at `from` seconds into the audio.
+ * @param {AudioParam} param
+ * @param {object[]} points
+ * @param {number} from Position in the audio (s) that plays at context time `when`.
+ * @param {number} when Context time.
+ * @param {number} [rate] Playback speed; below 0 the audio plays backwards from `from`.
+ */
+export function scheduleEnvelope(param, points, from, when, rate = 1) {
+  param.cancelScheduledValues(0);
+  param.setValueAtTime(envelopeAt(points, from), when);
+  const ahead = sortedPoints(points).filter(p => (rate > 0 ? p.time > from : p.time < from));
+  if (rate < 0) ahead.reverse();
+  for (const p of ahead) param.linearRampToValueAtTime(p.volume, when + (p.time - from) / rate);
+}
+
+/**
+ * Moves envelope points along with an edit that replaces [from, to) (s) by `insertLength` seconds.
+ * Points inside the replaced range are dropped.
+ */
+export function spliceEnvelope(points, from, to, insertLength = 0) {
+  const shift = insertLength - (to - from);
+  return (points || [])
+    .filter(p => p.time < from || p.time >= to)
+    .map(p => (p.time >= to ? { ...p, time: p.time + shift } : p));
+}
+
+/** Envelope points within [from, to), moved so `from` becomes 0 (for trims). */
+export function sliceEnvelope(points, from, to) {
+  return (points || []).filter(p => p.time >= from && p.time < to).map(p => ({ ...p, time: p.time - from }));
+}
+
+// --- Mix stage ---
+/**
+ * Builds envelope → volume → pan nodes in `context`.
+ * @returns {{ input: AudioNode, output: AudioNode, envelope: GainNode, volume: GainNode, panner: StereoPannerNode }}
+ */
+export function createMixStage(context) {
+  const envelope = context.createGain();
+  const volume = context.createGain();
+  const panner = context.createStereoPanner();
+  // mono sources are spread to both sides before panning, so centre pan leaves them at full level
+  panner.channelCount = 2;
+  panner.channelCountMode = 'explicit';
+  envelope.connect(volume).connect(panner);
+  return { input: envelope, output: panner, envelope, volume, panner };
+}
+
+/**
+ * Sets a mix stage's volume and pan and schedules its envelope.
+ * @param {object} stage From createMixStage.
+ * @param {object} mix
+ * @param {number} from Position in the audio (s) playing at context time `when`.
+ * @param {number} when Context time.
+ * @param {number} [rate] Playback speed (see scheduleEnvelope).
+ */
+export function applyMix(stage, mix, from, when, rate = 1) {
+  stage.volume.gain.setValueAtTime(mix.volume, when);
+  stage.panner.pan.setValueAtTime(mix.pan, when);
+  scheduleEnvelope(stage.envelope.gain, mix.envelope, from, when, rate);
+}
+
+/**
+ * Renders a buffer through the mix stage offline (for export).
+ * @param {AudioBuffer} buffer
+ * @param {object} mix
+ * @param {{ from?: number, to?: number, sampleRate?: number, onProgress?: (p: number) => void }} [opts]
+ *        Range in seconds (defaults to the whole buffer); a different sample rate resamples.
+ * @returns {Promise<AudioBuffer>} Stereo when panned, else the buffer's own channel count.
+ */
+export function renderMix(buffer, mix, { from = 0, to = buffer.duration, sampleRate = buffer.sampleRate, onProgress } = {}) {
+  const channels = mix.pan !== 0 ? Math.max(2, buffer.numberOfChannels) : buffer.numberOfChannels;
+  const length = Math.max(1, Math.round((to - from) * sampleRate));
+  const context = new OfflineAudioContext(channels, length, sampleRate);
+  const stage = createMixStage(context);
+  stage.output.connect(context.destination);
+  applyMix(stage, mix, from, 0);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(stage.input);
+  source.start(0, from, to - from);
+
+  if (onProgress) reportRenderProgress(context, onProgress);
+  return context.startRendering();
+}
+
+/**
+ * Reports an OfflineAudioContext's rendering progress, which it has no events for, by pausing it
+ * at render-quantum boundaries. Call before startRendering().
+ * @param {OfflineAudioContext} context
+ * @param {(p: number) => void} onProgress 0..1, in 5% steps.
+ */
+export function reportRenderProgress(context, onProgress) {
+  const steps = 20, quantum = 128 / context.sampleRate;
+  const seen = new Set();
+  for (let k = 1; k < steps; k++) {
+    const at = Math.floor((context.length / context.sampleRate) * k / steps / quantum) * quantum;
+    if (at <= 0 || seen.has(at)) continue;
+    seen.add(at);
+    context.suspend(at).then(() => { onProgress(k / steps); context.resume(); });
+  }
+}
@@ -0,0 +1,145 @@
+/*
+  audio-labels.js
+  Named regions and point markers for the editor page. They are part of the edit (so they are
+  undoable), and move with the audio when it is cut, pasted or trimmed, like the gain envelope.
+  They are read from and written to:
+  - CUE sheets: one TRACK per label, INDEX 01 at its start. CUE tracks have no end, so imported
+    tracks become regions running to the next track (the last one to the end of the audio)
+  - Audacity label files: "start<TAB>end<TAB>name" per line, in seconds; start = end is a marker
+
+  Label shape: { id, name, color: '#rrggbb', start (s), end (s) }   (end === start for markers)
+*/
+
+export const LABEL_COLORS = ['#e53e3e', '#4299e1', '#48bb78', '#ecc94b', '#9f7aea', '#ed8936', '#38b2ac', '#ed64a6'];
+const CUE_FRAMES = 75;   // CUE sheet times are mm:ss:ff at 75 frames per second
+
+let lastId = 0;
+
+/** A new label; colors cycle through LABEL_COLORS unless given. */
+export function createLabel({ name, start, end = start, color } = {}) {
+  lastId++;
+  return {
+    id: `label${lastId}`,
+    name: name || (end > start ? `Region ${lastId}` : `Marker ${lastId}`),
+    color: color || LABEL_COLORS[(lastId - 1) % LABEL_COLORS.length],
+    start: Math.max(0, start),
+    end: Math.max(start, end),
+  };
+}
+
+export const isMarker = label => label.end <= label.start;
+
+export function sortLabels(labels) {
+  return [...labels].sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/** '#rrggbb' with alpha, as the region fill color. */
+export function translucent(hex, alpha = 0.25) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${n >> 16}, ${(n >> 8) & 0xff}, ${n & 0xff}, ${alpha})`;
+}
+
+/**
+ * Labels after replacing [from, to) (s) with `insertLength` seconds of audio: later ones move,
+ * edges inside the replaced range snap to its new bounds, and regions left empty are dropped.
+ */
+export function spliceLabels(labels, from, to, insertLength = 0) {
+  const shift = insertLength - (to - from);
+  const move = (t, isEnd) => (t <= from ? t : t >= to ? t + shift : isEnd ? from + insertLength : from);
+  return (labels || []).flatMap(label => {
+    if (isMarker(label)) {
+      const t = move(label.start, false);
+      return [{ ...label, start: t, end: t }];
+    }
+    const start = move(label.start, false), end = move(label.end, true);
+    return end > start ? [{ ...label, start, end }] : [];
+  });
+}
+
+/** Labels within [from, to) (s), clipped to it and moved so `from` becomes 0 (for trims). */
+export function sliceLabels(labels, from, to) {
+  return (labels || []).flatMap(label => {
+    if (isMarker(label)) {
+      return label.start >= from && label.start < to ? [{ ...label, start: label.start - from, end: label.start - from }] : [];
+    }
+    const start = Math.max(from, label.start), end = Math.min(to, label.end);
+    return end > start ? [{ ...label, start: start - from, end: end - from }] : [];
+  });
+}
+
+// --- CUE sheets ---
+function cueTime(seconds) {
+  const frames = Math.round(seconds * CUE_FRAMES);
+  const mm = Math.floor(frames / (60 * CUE_FRAMES));
+  const ss = Math.floor(frames / CUE_FRAMES) % 60;
+  const ff = frames % CUE_FRAMES;
+  return [mm, ss, ff].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+const cueQuote = text => `"${String(text).replace(/"/g, "'")}"`;
+
+/**
+ * @param {object[]} labels
+ * @param {{ fileName: string, title?: string, performer?: string }} info The audio file the sheet describes.
+ * @returns {string}
+ */
+export function toCue(labels, { fileName, title, performer }) {
+  const lines = [];
+  if (performer) lines.push(`PERFORMER ${cueQuote(performer)}`);
+  if (title) lines.push(`TITLE ${cueQuote(title)}`);
+  lines.push(`FILE ${cueQuote(fileName)} ${/\.mp3$/i.test(fileName) ? 'MP3' : 'WAVE'}`);
+  sortLabels(labels).forEach((label, i) => {
+    lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+    lines.push(`    TITLE ${cueQuote(label.name)}`);
+    lines.push(`    INDEX 01 ${cueTime(label.start)}`);
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * @param {string} text
+ * @param {number} duration Of the audio (s), where the last track ends.
+ * @returns {object[]} Labels, one region per track.
+ */
+export function parseCue(text, duration) {
+  const tracks = [];
+  let track = null;
+  for (const line of text.split(/\r?\n/)) {
+    const [, command, rest = ''] = line.trim().match(/^(\S+)\s*(.*)$/) || [];
+    const value = rest.replace(/^"(.*)"$/, '$1');
+    if (command === 'TRACK') {
+      track = { name: '', start: null };
+      tracks.push(track);
+    } else if (track && command === 'TITLE') {
+      track.name = value;
+    } else if (track && command === 'INDEX' && /^01\s/.test(rest)) {
+      const [mm, ss, ff] = rest.slice(3).trim().split(':').map(Number);
+      track.start = mm * 60 + ss + ff / CUE_FRAMES;
+    }
+  }
+  const timed = tracks.filter(t => Number.isFinite(t.start) && t.start < duration).sort((a, b) => a.start - b.start);
+  return timed.map((t, i) => createLabel({
+    name: t.name || `Track ${i + 1}`,
+    start: t.start,
+    end: i + 1 < timed.length ? timed[i + 1].start : duration,
+  }));
+}
+
+// --- Audacity label files ---
+export function toAudacityLabels(labels) {
+  return sortLabels(labels)
+    .map(label => `${label.start.toFixed(6)}\t${label.end.toFixed(6)}\t${label.name}\n`)
+    .join('');
+}
+
+export function parseAudacityLabels(text) {
+  const labels = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('\\')) continue;   // blank, or a spectral-selection line
+    const [start, end, ...name] = line.split('\t');
+    const s = Number(start), e = Number(end);
+    if (!Number.isFinite(s)) continue;
+    labels.push(createLabel({ name: name.join('\t').trim(), start: s, end: Number.isFinite(e) ? e : s }));
+  }
+  return labels;
+}
@@ -0,0 +1,173 @@
+/*
+  audiohub-api.js
+  Public control surface of the visualizer page, for scripts on the page (window.AudioHub)
+  and for host pages embedding it in an iframe (postMessage).
+
+  window.AudioHub
+    load(sources, { replace = false, play = true, persist = false })
+                    File | Blob | URL string, or an array of them; resolves to the number of tracks added.
+                    Unless `persist`, they play as an unsaved session: nothing is stored in the user's
+                    library and their saved playlist is left as it was
+    play()  pause()  toggle()  next()  previous()  playTrack(index)  seek(seconds)
+    setPreset(id)  listPresets()  setSensitivity(0..100)  setParticles(bool)  setVolume(0..100)
+    getState()  → { playing, index, track, currentTime, duration, preset, sensitivity, particles, volume, queue }
+                  track / queue items: { name, title, artist, album, duration, bpm, key }
+    on(event, fn) → unsubscribe function;  off(event, fn)
+  Events (fn gets the detail):
+    track   the current track changed (track object or null)
+    play / pause
+    time    { currentTime, duration }, a few times per second while playing
+    beat    { type: 'kick'|'snare'|'hihat', strength, bpm }
+    preset  { id }
+
+  postMessage, both directions carry `audiohub: 1`:
+    host → { audiohub: 1, id, method, args: [] }   ← { audiohub: 1, id, result } or { audiohub: 1, id, error }
+    host → { audiohub: 1, subscribe: 'beat' }       ← { audiohub: 1, event: 'beat', detail } for each event
+    host → { audiohub: 1, unsubscribe: 'beat' }      ('*' ends all of the sender's subscriptions)
+  Subscriptions also end when their window closes or can no longer be posted to.
+  Files can be sent as File/Blob (structured clone). Browsers only start audio after a user
+  gesture in the frame, unless the iframe has allow="autoplay".
+  Messages are only answered for the page's own origin and the origins listed in
+    <meta name="audiohub-allowed-origins" content="https://example.com https://*.example.org">
+  ("*" allows any origin).
+*/
+
+export const API_METHODS = [
+  'load', 'play', 'pause', 'toggle', 'next', 'previous', 'playTrack', 'seek',
+  'setPreset', 'listPresets', 'setSensitivity', 'setParticles', 'setVolume', 'getState',
+];
+export const API_EVENTS = ['track', 'play', 'pause', 'time', 'beat', 'preset'];
+
+function fileNameFromURL(url) {
+  try {
+    return decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop()) || 'track';
+  } catch {
+    return 'track';
+  }
+}
+
+async function toFile(source) {
+  if (source instanceof File) return source;
+  if (source instanceof Blob) return new File([source], 'track', { type: source.type });
+  if (typeof source === 'string' || source instanceof URL) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Could not fetch ${source} (${res.status})`);
+    const blob = await res.blob();
+    return new File([blob], fileNameFromURL(String(source)), { type: blob.type });
+  }
+  throw new TypeError('load() takes Files, Blobs or URLs');
+}
+
+/**
+ * Builds window.AudioHub around the page's own functions.
+ * @param {object} impl One function per API method; `load` receives Files.
+ * @returns {{ api: object, emit: (event: string, detail?: any) => void }}
+ */
+export function createAudioHubAPI(impl) {
+  const listeners = new Map(API_EVENTS.map(e => [e, new Set()]));
+
+  const api = {
+    version: 1,
+    async load(sources, options = {}) {
+      const list = Array.isArray(sources) ? sources : [sources];
+      return impl.load(await Promise.all(list.map(toFile)), options);
+    },
+    on(event, fn) {
+      if (!listeners.has(event)) throw new Error(`Unknown event: ${event}`);
+      if (typeof fn !== 'function') throw new TypeError('on() needs a listener function');
+      listeners.get(event).add(fn);
+      return () => api.off(event, fn);
+    },
+    off(event, fn) {
+      listeners.get(event)?.delete(fn);
+    },
+  };
+  for (const name of API_METHODS) {
+    if (name !== 'load') api[name] = (...args) => impl[name](...args);
+  }
+
+  const emit = (event, detail) => {
+    for (const fn of listeners.get(event) || []) {
+      try { fn(detail); } catch (e) { console.error(`AudioHub ${event} listener failed:`, e); }
+    }
+  };
+  return { api: Object.freeze(api), emit };
+}
+
+function readAllowedOrigins() {
+  const meta = document.querySelector('meta[name="audiohub-allowed-origins"]');
+  return (meta?.content || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function originAllowed(origin, allowed) {
+  if (origin === window.location.origin) return true;
+  return allowed.some(pattern => {
+    if (pattern === '*' || pattern === origin) return true;
+    // "https://*.example.org" matches any subdomain (not the bare domain)
+    const m = /^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/i.exec(pattern);
+    return !!m && origin.startsWith(m[1]) && origin.endsWith(`.${m[2]}`);
+  });
+}
+
+/**
+ * Answers API calls and event subscriptions sent with postMessage.
+ * @param {object} api From createAudioHubAPI.
+ * @param {{ allowedOrigins?: string[] }} [options] Defaults to the page's audiohub-allowed-origins meta tag.
+ */
+export function listenForMessages(api, { allowedOrigins = readAllowedOrigins() } = {}) {
+  const subscriptions = new Map(); // source window → Map(event → unsubscribe)
+
+  const dropSubscriptions = (source) => {
+    for (const unsubscribe of subscriptions.get(source)?.values() || []) unsubscribe();
+    subscriptions.delete(source);
+  };
+
+  window.addEventListener('message', async (e) => {
+    const msg = e.data;
+    if (!msg || msg.audiohub !== 1 || !e.source) return;
+    if (!originAllowed(e.origin, allowedOrigins)) {
+      console.warn(`AudioHub: ignored a message from ${e.origin} (not in audiohub-allowed-origins)`);
+      return;
+    }
+    const source = e.source;
+    const reply = (data) => {
+      try { source.postMessage({ audiohub: 1, ...data }, e.origin); } catch (err) {
+        console.warn('AudioHub: could not reply:', err);
+      }
+    };
+
+    if (msg.unsubscribe === '*') {
+      dropSubscriptions(source);
+      return;
+    }
+    if (msg.subscribe || msg.unsubscribe) {
+      const event = msg.subscribe || msg.unsubscribe;
+      if (!API_EVENTS.includes(event)) return;
+      if (!subscriptions.has(source)) subscriptions.set(source, new Map());
+      const subs = subscriptions.get(source);
+      subs.get(event)?.();
+      subs.delete(event);
+      if (msg.subscribe) {
+        subs.set(event, api.on(event, (detail) => {
+          // a closed window doesn't throw, so check before posting
+          if (source.closed) { dropSubscriptions(source); return; }
+          try { source.postMessage({ audiohub: 1, event, detail }, e.origin); } catch {
+            dropSubscriptions(source);
+          }
+        }));
+      }
+      return;
+    }
+
+    if (!API_METHODS.includes(msg.method)) {
+      reply({ id: msg.id, error: `Unknown method: ${msg.method}` });
+      return;
+    }
+    try {
+      const result = await api[msg.method](...(Array.isArray(msg.args) ? msg.args : []));
+      reply({ id: msg.id, result });
+    } catch (err) {
+      reply({ id: msg.id, error: err?.message || String(err) });
+    }
+  });
+}
@@ -0,0 +1,172 @@
+/*
+  beat-detector.js
+  - Spectral-flux onset detection on an AnalyserNode's byte spectrum
+  - Adaptive per-band thresholds (mean + k·stddev over a sliding window)
+  - Kick / snare / hi-hat separation by frequency band
+  - Running BPM estimate from inter-onset intervals + beat phase tracking
+  Emits 'beat' events ({ type, strength, time }) and a 'tempo' event when the BPM estimate changes.
+*/
+
+const BANDS = {
+  kick:  { lo: 30,   hi: 150,   k: 1.5, refractory: 0.22 },
+  snare: { lo: 150,  hi: 2500,  k: 1.6, refractory: 0.16 },
+  hihat: { lo: 6000, hi: 16000, k: 1.8, refractory: 0.08 },
+};
+
+const HISTORY_SECONDS = 1.0;   // window for adaptive threshold
+const ONSET_MEMORY = 8;        // seconds of onsets kept for tempo estimation
+const BPM_MIN = 70;
+const BPM_MAX = 180;
+const MIN_FLUX = 2;            // ignore flux below this (silence / noise floor)
+
+export class BeatDetector extends EventTarget {
+  /**
+   * @param {object} opts
+   * @param {number} opts.sampleRate AudioContext sample rate.
+   * @param {number} opts.fftSize Analyser fftSize (bins = fftSize / 2).
+   */
+  constructor({ sampleRate, fftSize }) {
+    super();
+    this.configure({ sampleRate, fftSize });
+  }
+
+  /** Recomputes band bin ranges, e.g. after the analyser's fftSize changes. */
+  configure({ sampleRate, fftSize }) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    const binHz = sampleRate / fftSize;
+    const bins = fftSize / 2;
+    this.bands = Object.entries(BANDS).map(([type, b]) => {
+      const start = Math.min(bins - 1, Math.floor(b.lo / binHz));
+      const end = Math.max(start + 1, Math.min(bins, Math.ceil(b.hi / binHz)));
+      return { type, start, end, k: b.k, refractory: b.refractory };
+    });
+    this.reset();
+  }
+
+  /** Clears all history; call on track or source changes. */
+  reset() {
+    this.prev = null;
+    this.lastTime = null;
+    for (const band of this.bands) {
+      band.history = [];
+      band.lastOnset = -Infinity;
+      band.prevFlux = 0;
+    }
+    this.onsets = [];
+    this.bpm = 0;
+    this.lastBeatTime = null;
+    this.energy = 0;
+  }
+
+  /**
+   * Feeds one analyser frame.
+   * @param {Uint8Array} data Output of analyser.getByteFrequencyData.
+   * @param {number} time Current audio time in seconds (audioContext.currentTime).
+   */
+  update(data, time) {
+    if (!this.prev || this.prev.length !== data.length) {
+      this.prev = new Uint8Array(data);
+      this.lastTime = time;
+      return;
+    }
+
+    let total = 0;
+    for (let i = 0; i < data.length; i++) total += data[i];
+    this.energy = total / (data.length * 255);
+
+    for (const band of this.bands) {
+      let flux = 0;
+      for (let i = band.start; i < band.end; i++) {
+        const d = data[i] - this.prev[i];
+        if (d > 0) flux += d;
+      }
+      flux /= (band.end - band.start);
+
+      // Trim history to the sliding window, then compute the adaptive threshold
+      band.history.push({ t: time, v: flux });
+      while (band.history.length && time - band.history[0].t > HISTORY_SECONDS) band.history.shift();
+      let mean = 0;
+      for (const h of band.history) mean += h.v;
+      mean /= band.history.length;
+      let variance = 0;
+      for (const h of band.history) variance += (h.v - mean) ** 2;
+      const threshold = mean + band.k * Math.sqrt(variance / band.history.length);
+
+      const rising = flux > band.prevFlux;
+      band.prevFlux = flux;
+
+      if (flux > MIN_FLUX && flux > threshold && rising && time - band.lastOnset >= band.refractory) {
+        band.lastOnset = time;
+        const strength = Math.min(1, (flux - threshold) / (threshold + 1e-6));
+        this.onBeat(band.type, strength, time);
+      }
+    }
+
+    this.prev.set(data);
+    this.lastTime = time;
+  }
+
+  onBeat(type, strength, time) {
+    if (type !== 'hihat') {
+      this.onsets.push(time);
+      while (this.onsets.length && time - this.onsets[0] > ONSET_MEMORY) this.onsets.shift();
+      this.estimateTempo();
+    }
+
+    // Snap the phase reference to onsets landing near a predicted beat (or any kick before BPM locks)
+    if (type === 'kick') {
+      const period = this.bpm ? 60 / this.bpm : 0;
+      if (!period || this.lastBeatTime === null) {
+        this.lastBeatTime = time;
+      } else {
+        const phase = ((time - this.lastBeatTime) / period) % 1;
+        if (phase < 0.2 || phase > 0.8) this.lastBeatTime = time;
+      }
+    }
+
+    this.dispatchEvent(new CustomEvent('beat', { detail: { type, strength, time } }));
+  }
+
+  estimateTempo() {
+    if (this.onsets.length < 4) return;
+
+    // Vote inter-onset intervals (up to 4 onsets apart), folded into [BPM_MIN, BPM_MAX]
+    const votes = new Map();
+    for (let i = 0; i < this.onsets.length; i++) {
+      for (let j = i + 1; j < Math.min(this.onsets.length, i + 5); j++) {
+        const interval = this.onsets[j] - this.onsets[i];
+        if (interval <= 0) continue;
+        let bpm = 60 / interval;
+        while (bpm < BPM_MIN) bpm *= 2;
+        while (bpm > BPM_MAX) bpm /= 2;
+        const bucket = Math.round(bpm);
+        // spread each vote over neighbouring buckets to tolerate jitter
+        for (let d = -2; d <= 2; d++) {
+          const w = 1 / (1 + Math.abs(d));
+          votes.set(bucket + d, (votes.get(bucket + d) || 0) + w);
+        }
+      }
+    }
+
+    let best = 0, bestScore = 0;
+    for (const [bpm, score] of votes) {
+      if (score > bestScore) { best = bpm; bestScore = score; }
+    }
+    if (!best) return;
+
+    const prevRounded = Math.round(this.bpm);
+    this.bpm = this.bpm ? this.bpm * 0.8 + best * 0.2 : best;
+    if (Math.round(this.bpm) !== prevRounded) {
+      this.dispatchEvent(new CustomEvent('tempo', { detail: { bpm: Math.round(this.bpm) } }));
+    }
+  }
+
+  /** Position inside the current beat, 0..1 (0 when no tempo is locked). */
+  phase(time) {
+    if (!this.bpm || this.lastBeatTime === null) return 0;
+    const period = 60 / this.bpm;
+    const p = ((time - this.lastBeatTime) / period) % 1;
+    return p < 0 ? p + 1 : p;
+  }
+}
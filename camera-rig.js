@@ -0,0 +1,92 @@
+/*
+  camera-rig.js
+  Camera motion for the visualizer:
+  - optional OrbitControls (drag to orbit, wheel/pinch to zoom) when given a DOM element
+  - audio-reactive auto camera: orbit speed follows overall energy, the modulation matrix's
+    camera distance target dollies in (negative routes push out)
+  The user's chosen distance is kept separately from the dolly, so zooming still works
+  while the camera pumps. Dragging pauses the auto orbit for a few seconds.
+*/
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+export const CAMERA_DEFAULTS = {
+  auto: true,     // audio-reactive orbit + dolly
+  orbit: 50,      // 0..100, orbit speed scale
+  dolly: 50,      // 0..100, how far the camera distance target pulls the camera in
+};
+
+const HOME = new THREE.Vector3(0, 0, 100);
+const USER_IDLE_SECONDS = 4;
+
+export class CameraRig {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {HTMLElement} [domElement] Enables OrbitControls on this element.
+   */
+  constructor(camera, domElement) {
+    this.camera = camera;
+    this.target = new THREE.Vector3();
+    this.settings = { ...CAMERA_DEFAULTS };
+    this.distance = camera.position.distanceTo(this.target);
+    this.dolly = 0;          // smoothed 0..1
+    this.idle = Infinity;    // seconds since the user last touched the controls
+
+    if (domElement) {
+      this.controls = new OrbitControls(camera, domElement);
+      this.controls.enableDamping = true;
+      this.controls.enablePan = false;
+      this.controls.minDistance = 30;
+      this.controls.maxDistance = 400;
+      this.controls.addEventListener('start', () => { this.idle = 0; });
+    }
+  }
+
+  set(settings) {
+    Object.assign(this.settings, settings);
+  }
+
+  reset() {
+    this.camera.position.copy(HOME);
+    this.camera.lookAt(this.target);
+    this.distance = HOME.length();
+    this.controls?.target.copy(this.target);
+    this.controls?.update();
+  }
+
+  /**
+   * @param {number} dt Seconds since the previous frame.
+   * @param {{ energy:number, dolly:number }} [features] energy is 0..1; dolly is the camera distance
+   *        target, ~-1..1 (omit when silent).
+   */
+  update(dt, features) {
+    const offset = this.camera.position.clone().sub(this.target);
+
+    // Undo last frame's dolly so controls see (and can change) the user's distance
+    offset.setLength(this.distance);
+    this.idle += dt;
+
+    const { auto, orbit, dolly } = this.settings;
+    if (auto && this.idle > USER_IDLE_SECONDS) {
+      const speed = (0.05 + (features?.energy ?? 0) * 0.8) * (orbit / 50); // rad/s
+      offset.applyAxisAngle(THREE.Object3D.DEFAULT_UP, speed * dt);
+    }
+    this.camera.position.copy(this.target).add(offset);
+
+    if (this.controls) {
+      this.controls.update();
+      this.distance = this.camera.position.distanceTo(this.target);
+    }
+
+    const want = auto ? THREE.MathUtils.clamp(features?.dolly ?? 0, -1, 1) * (dolly / 100) : 0;
+    this.dolly += (want - this.dolly) * Math.min(1, dt * 12);
+    const pulled = this.camera.position.clone().sub(this.target).setLength(this.distance * (1 - this.dolly * 0.35));
+    this.camera.position.copy(this.target).add(pulled);
+    this.camera.lookAt(this.target);
+  }
+
+  dispose() {
+    this.controls?.dispose();
+  }
+}
@@ -0,0 +1,235 @@
+/*
+  dsp-chain.js
+  Insertable DSP chain for playback: input -> 10-band EQ -> bass boost -> stereo width
+  -> compressor -> limiter -> output, with a click-free bypass.
+  Stages that are switched off (or flat) are left out of the wiring rather than run at
+  neutral settings. Settings persist in localStorage under `audiohub:dsp`.
+
+  Settings shape:
+    { bypass, tap: 'pre'|'post', eq: { preset, gains: [10 × dB] }, bassBoost: dB,
+      width: % (0 mono … 100 as-is … 200 wide),
+      compressor: { enabled, threshold, ratio, attack, release }, limiter: { enabled, ceiling } }
+  `tap` is only stored here; the caller decides where its analyser listens.
+*/
+
+const DSP_KEY = 'audiohub:dsp';
+
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+export const EQ_PRESETS = {
+  flat:        { name: 'Flat',        gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  rock:        { name: 'Rock',        gains: [5, 4, 2, -1, -2, -1, 2, 3, 4, 4] },
+  pop:         { name: 'Pop',         gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  jazz:        { name: 'Jazz',        gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  classical:   { name: 'Classical',   gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  electronic:  { name: 'Electronic',  gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  vocal:       { name: 'Vocal',       gains: [-2, -3, -2, 1, 3, 4, 3, 2, 0, -1] },
+  loudness:    { name: 'Loudness',    gains: [6, 4, 0, 0, -1, 0, -1, 0, 4, 3] },
+};
+
+export const DSP_DEFAULTS = {
+  bypass: false,
+  tap: 'post',
+  eq: { preset: 'flat', gains: [...EQ_PRESETS.flat.gains] },
+  bassBoost: 0,
+  width: 100,
+  compressor: { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 },
+  limiter: { enabled: false, ceiling: -1 },
+};
+
+const EQ_LIMIT = 12;          // ± dB per band
+const BASS_BOOST_FREQ = 90;   // Hz, low shelf
+const BYPASS_RAMP = 0.03;     // s
+const LIMITER_RATIO = 20;
+
+function clampNum(v, lo, hi, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(Math.max(n, lo), hi) : fallback;
+}
+
+/** Fills defaults and clamps everything to the ranges the nodes accept. */
+export function sanitizeDsp(raw) {
+  const d = DSP_DEFAULTS;
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const gains = EQ_BANDS.map((_, i) => clampNum(r.eq?.gains?.[i], -EQ_LIMIT, EQ_LIMIT, 0));
+  const preset = r.eq?.preset === 'custom' || EQ_PRESETS[r.eq?.preset] ? r.eq.preset : d.eq.preset;
+  return {
+    bypass: !!r.bypass,
+    tap: r.tap === 'pre' ? 'pre' : 'post',
+    eq: { preset, gains },
+    bassBoost: clampNum(r.bassBoost, 0, 12, d.bassBoost),
+    width: clampNum(r.width, 0, 200, d.width),
+    compressor: {
+      enabled: !!r.compressor?.enabled,
+      threshold: clampNum(r.compressor?.threshold, -60, 0, d.compressor.threshold),
+      ratio: clampNum(r.compressor?.ratio, 1, 20, d.compressor.ratio),
+      attack: clampNum(r.compressor?.attack, 0, 1, d.compressor.attack),
+      release: clampNum(r.compressor?.release, 0, 1, d.compressor.release),
+    },
+    limiter: {
+      enabled: !!r.limiter?.enabled,
+      ceiling: clampNum(r.limiter?.ceiling, -12, 0, d.limiter.ceiling),
+    },
+  };
+}
+
+/** Deep-merges a partial update into full settings, then sanitizes. */
+export function mergeDsp(current, patch = {}) {
+  return sanitizeDsp({
+    ...current,
+    ...patch,
+    eq: { ...current?.eq, ...patch.eq },
+    compressor: { ...current?.compressor, ...patch.compressor },
+    limiter: { ...current?.limiter, ...patch.limiter },
+  });
+}
+
+export function loadDspSettings() {
+  try {
+    const raw = localStorage.getItem(DSP_KEY);
+    return sanitizeDsp(raw ? JSON.parse(raw) : null);
+  } catch {
+    return sanitizeDsp(null);
+  }
+}
+
+export function saveDspSettings(settings) {
+  try { localStorage.setItem(DSP_KEY, JSON.stringify(settings)); } catch (e) {
+    console.warn('Could not save sound settings:', e);
+  }
+}
+
+/**
+ * Gain that cancels a DynamicsCompressorNode's automatic makeup gain at the limiter's settings.
+ * The node boosts its output by (1 / g)^0.6, where g is its curve's gain for a 0 dBFS input
+ * (Web Audio spec); with a hard knee that curve gives ceiling · (1 - 1/ratio) dB. Peaks then
+ * settle at the ceiling instead of above it. It is not a brickwall: transients faster than the
+ * 1 ms attack can still overshoot briefly.
+ */
+function limiterTrim(ceiling) {
+  return 10 ** (0.6 * ceiling * (1 - 1 / LIMITER_RATIO) / 20);
+}
+
+export class DspChain {
+  /** @param {AudioContext} ctx */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+    this.settings = sanitizeDsp(null);
+
+    // wet / dry paths, crossfaded for bypass
+    this.wet = ctx.createGain();
+    this.dry = ctx.createGain();
+    this.dry.gain.value = 0;
+    this.input.connect(this.dry).connect(this.output);
+    this.wet.connect(this.output);
+
+    this.eq = EQ_BANDS.map((freq, i) => {
+      const f = ctx.createBiquadFilter();
+      f.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+      f.frequency.value = freq;
+      f.Q.value = 1.41; // ~1 octave per band
+      return f;
+    });
+
+    this.bass = ctx.createBiquadFilter();
+    this.bass.type = 'lowshelf';
+    this.bass.frequency.value = BASS_BOOST_FREQ;
+
+    this.width = this.createWidthStage();
+
+    this.compressor = ctx.createDynamicsCompressor();
+    this.compressor.knee.value = 6;
+
+    // Limiter: a compressor at its hardest settings, threshold at the ceiling, followed by a
+    // fixed trim that takes back the makeup gain the node adds on its own (see limiterTrim)
+    this.limiter = ctx.createDynamicsCompressor();
+    this.limiter.knee.value = 0;
+    this.limiter.ratio.value = LIMITER_RATIO;
+    this.limiter.attack.value = 0.001;
+    this.limiter.release.value = 0.1;
+    this.limiterTrim = ctx.createGain();
+    this.limiter.connect(this.limiterTrim);
+
+    this.stages = null;       // currently wired stages
+    this.rewire();
+  }
+
+  // Mid/side matrix: L' = L·a + R·b, R' = R·a + L·b with a = (1+w)/2, b = (1-w)/2
+  createWidthStage() {
+    const ctx = this.ctx;
+    const input = ctx.createGain();
+    // mono sources are up-mixed so both sides carry the signal
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers';
+    const split = ctx.createChannelSplitter(2);
+    const merge = ctx.createChannelMerger(2);
+    const ll = ctx.createGain(), rr = ctx.createGain(), lr = ctx.createGain(), rl = ctx.createGain();
+    input.connect(split);
+    split.connect(ll, 0).connect(merge, 0, 0);
+    split.connect(rl, 1).connect(merge, 0, 0);
+    split.connect(rr, 1).connect(merge, 0, 1);
+    split.connect(lr, 0).connect(merge, 0, 1);
+    return {
+      input,
+      output: merge,
+      set(width) {
+        const w = width / 100;
+        ll.gain.value = rr.gain.value = (1 + w) / 2;
+        lr.gain.value = rl.gain.value = (1 - w) / 2;
+      },
+    };
+  }
+
+  /** Applies (a patch of) settings; returns the sanitized full settings. */
+  apply(patch = {}) {
+    const s = mergeDsp(this.settings, patch);
+    const now = this.ctx.currentTime;
+    s.eq.gains.forEach((g, i) => this.eq[i].gain.setTargetAtTime(g, now, 0.02));
+    this.bass.gain.setTargetAtTime(s.bassBoost, now, 0.02);
+    this.width.set(s.width);
+    const c = s.compressor;
+    this.compressor.threshold.value = c.threshold;
+    this.compressor.ratio.value = c.ratio;
+    this.compressor.attack.value = c.attack;
+    this.compressor.release.value = c.release;
+    this.limiter.threshold.value = s.limiter.ceiling;
+    this.limiterTrim.gain.value = limiterTrim(s.limiter.ceiling);
+
+    this.wet.gain.setTargetAtTime(s.bypass ? 0 : 1, now, BYPASS_RAMP / 3);
+    this.dry.gain.setTargetAtTime(s.bypass ? 1 : 0, now, BYPASS_RAMP / 3);
+
+    this.settings = s;
+    this.rewire();
+    return s;
+  }
+
+  // Connects only the stages that currently do something
+  rewire() {
+    const s = this.settings;
+    const stages = [];
+    if (s.eq.gains.some(g => g !== 0)) stages.push(...this.eq.map(f => ({ input: f, output: f })));
+    if (s.bassBoost > 0) stages.push({ input: this.bass, output: this.bass });
+    if (s.width !== 100) stages.push(this.width);
+    if (s.compressor.enabled) stages.push({ input: this.compressor, output: this.compressor });
+    if (s.limiter.enabled) stages.push({ input: this.limiter, output: this.limiterTrim });
+
+    const wired = this.stages;
+    if (wired && stages.length === wired.length && stages.every((st, i) => st.input === wired[i].input)) return;
+
+    if (wired) {
+      try { this.input.disconnect(wired[0]?.input ?? this.wet); } catch {}
+      for (const st of wired) { try { st.output.disconnect(); } catch {} }
+    }
+    // EQ filters are chained to each other; their outputs were disconnected above
+    let node = this.input;
+    for (const st of stages) {
+      node.connect(st.input);
+      node = st.output;
+    }
+    node.connect(this.wet);
+    this.stages = stages;
+  }
+}
@@ -0,0 +1,173 @@
+/*
+  editor-player.js
+  Web Audio playback of the editor's rendered buffer, shaped like an HTMLMediaElement so
+  WaveSurfer can use it as its `media` (cursor, click-to-seek and play/pause events all work
+  unchanged) while the audio runs through our own graph: source → mix stage (envelope, volume,
+  pan; see audio-gain.js) → output.
+  Swapping in a new buffer after an edit keeps the play position and doesn't stop playback.
+  setRate() shuttles (J / K / L): faster, or backwards from a reversed copy of the buffer.
+*/
+
+import { MIX_DEFAULTS, createMixStage, applyMix } from './audio-gain.js';
+
+const reversedCopies = new WeakMap();   // AudioBuffer → the same audio backwards
+
+function reversed(buffer) {
+  let copy = reversedCopies.get(buffer);
+  if (!copy) {
+    copy = new AudioBuffer({ length: buffer.length, numberOfChannels: buffer.numberOfChannels, sampleRate: buffer.sampleRate });
+    for (let c = 0; c < buffer.numberOfChannels; c++) copy.copyToChannel(buffer.getChannelData(c).slice().reverse(), c);
+    reversedCopies.set(buffer, copy);
+  }
+  return copy;
+}
+
+export class EditorPlayer extends EventTarget {
+  /** @param {AudioContext} context Connect `output` to where the audio should go. */
+  constructor(context) {
+    super();
+    this.context = context;
+    this.stage = createMixStage(context);
+    this.output = this.stage.output;
+    this.mix = MIX_DEFAULTS;
+    this.buffer = null;
+    this.source = null;
+    this.offset = 0;        // position (s) when paused, or where the current source started
+    this.startedAt = 0;     // context time the current source started
+    this.rate = 1;          // shuttle speed; negative plays backwards
+    this._paused = true;
+    this._ended = false;
+
+    // HTMLMediaElement properties WaveSurfer reads or sets; speed is set with setRate() instead
+    this.volume = 1;
+    this.muted = false;
+    this.playbackRate = 1;
+    this.preservesPitch = true;
+    this.seeking = false;
+    this.src = '';
+  }
+
+  get currentSrc() { return this.src; }
+  get duration() { return this.buffer ? this.buffer.duration : 0; }
+  get paused() { return this._paused; }
+  get ended() { return this._ended; }
+
+  get currentTime() {
+    if (this._paused) return this.offset;
+    return Math.min(this.duration, Math.max(0, this.offset + (this.context.currentTime - this.startedAt) * this.rate));
+  }
+
+  set currentTime(time) {
+    const t = Math.min(Math.max(0, Number(time) || 0), this.duration);
+    this._ended = false;
+    this.emit('seeking');
+    if (this._paused) {
+      this.offset = t;
+    } else {
+      this.stopSource();
+      this.startSource(t);
+    }
+    this.emit('timeupdate');
+    this.emit('seeked');
+  }
+
+  /**
+   * Replaces the audio (e.g. after an edit) without interrupting playback.
+   * @param {AudioBuffer} buffer
+   * @param {number} [position] Seconds to continue from; defaults to the current position.
+   */
+  setBuffer(buffer, position = this.currentTime) {
+    const playing = !this._paused;
+    if (playing) this.stopSource();
+    const sizeChanged = buffer?.duration !== this.buffer?.duration;
+    this.buffer = buffer;
+    this.offset = Math.min(Math.max(0, position), this.duration);
+    if (playing) this.startSource(this.offset);
+    if (sizeChanged) this.emit('durationchange');
+    this.emit('timeupdate');
+  }
+
+  /** Volume, pan and gain envelope, applied right away (also mid-playback). */
+  setMix(mix) {
+    this.mix = mix;
+    applyMix(this.stage, mix, this.currentTime, this.context.currentTime, this.rate);
+  }
+
+  /**
+   * Playback speed, taking effect right away: 2 = double speed (pitch rises with it, like tape),
+   * -1 = backwards at normal speed.
+   */
+  setRate(rate) {
+    const position = this.currentTime;
+    this.rate = rate || 1;
+    if (!this._paused) {
+      this.stopSource();
+      this.startSource(position);
+    }
+  }
+
+  async play() {
+    if (!this.buffer || !this._paused) return;
+    if (this.context.state === 'suspended') await this.context.resume();
+    // already at the end (or the start, going backwards): begin again from the other end
+    let from = this.offset;
+    if (this.rate > 0 && (this._ended || from >= this.duration)) from = 0;
+    if (this.rate < 0 && from <= 0) from = this.duration;
+    this._paused = false;
+    this._ended = false;
+    this.startSource(from);
+    this.emit('play');
+    this.emit('playing');
+  }
+
+  pause() {
+    if (this._paused) return;
+    this.offset = this.currentTime;
+    this.stopSource();
+    this._paused = true;
+    this.emit('pause');
+    this.emit('timeupdate');
+  }
+
+  startSource(from) {
+    const backwards = this.rate < 0;
+    const source = this.context.createBufferSource();
+    source.buffer = backwards ? reversed(this.buffer) : this.buffer;
+    source.playbackRate.value = Math.abs(this.rate);
+    source.connect(this.stage.input);
+    source.onended = () => {
+      if (this.source !== source) return; // replaced by a seek or a new buffer
+      this.source = null;
+      this.offset = backwards ? 0 : this.duration;
+      this._paused = true;
+      this._ended = !backwards;
+      this.emit('timeupdate');
+      this.emit('pause');
+      if (!backwards) this.emit('ended');
+    };
+    this.offset = from;
+    this.startedAt = this.context.currentTime;
+    applyMix(this.stage, this.mix, from, this.startedAt, this.rate);
+    source.start(0, backwards ? this.duration - from : from);
+    this.source = source;
+  }
+
+  stopSource() {
+    const source = this.source;
+    this.source = null;
+    if (!source) return;
+    source.onended = null;
+    try { source.stop(); } catch {}
+    source.disconnect();
+  }
+
+  emit(type) {
+    this.dispatchEvent(new Event(type));
+  }
+
+  // No-ops for the rest of the media element surface WaveSurfer may call
+  load() {}
+  canPlayType() { return ''; }
+  removeAttribute() {}
+  setSinkId() { return Promise.resolve(); }
+}
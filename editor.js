@@ -0,0 +1,1231 @@
+import {
+  segmentsFromBuffer, silenceSegment, totalLength, sliceSegments, spliceSegments, renderSegments,
+  nearestZeroCrossing, EditHistory,
+} from './audio-edit.js';
+import { MIX_DEFAULTS, applyFade, spliceEnvelope, sliceEnvelope, createMixStage, applyMix } from './audio-gain.js';
+import { EFFECTS, effectDefaults, applyEffect, createLiveEffect, silenceCuts } from './audio-effects.js';
+import { EditorPlayer } from './editor-player.js';
+import {
+  exportAudio, AUDIO_EXPORT_FORMATS, WAV_BIT_DEPTHS, EXPORT_SAMPLE_RATES, MP3_BITRATES,
+} from './audio-export.js';
+import { readTrackMetadata } from './track-metadata.js';
+import {
+  createLabel, isMarker, sortLabels, translucent, spliceLabels, sliceLabels,
+  toCue, parseCue, toAudacityLabels, parseAudacityLabels,
+} from './audio-labels.js';
+import { createTrack, createClip, sessionDuration, renderSession, MultitrackPlayer } from './multitrack.js';
+import { MultitrackView } from './multitrack-view.js';
+import { SPECTROGRAM_FFT_SIZES, drawSpectrogram } from './spectrogram.js';
+
+const PEAKS_PER_SECOND = 1000;  // waveform resolution handed to WaveSurfer (min/max pairs); also the zoom limit (px/s)
+const WAVEFORM_HEIGHT = 250;     // px; with the spectrogram shown, each gets SPLIT_HEIGHT
+const SPLIT_HEIGHT = 160;
+const SPECTROGRAM_SETTLE_MS = 300; // the spectrogram is redrawn at the new width once zooming stops
+const SPECTROGRAM_MARGIN = 1;    // view widths drawn either side of the view, so scrolling has something to show
+const SNAP_RADIUS = 0.01;        // s, how far a selection edge may move to reach a zero crossing
+const SHUTTLE_MAX = 8;           // fastest J / L speed
+const ENVELOPE_SETTLE_MS = 400;  // a dragged envelope point is recorded once it stops moving
+const PREVIEW_SECONDS = 15;     // previews of offline-only effects loop this much of the range
+const PREVIEW_SETTLE_MS = 250;  // such a preview is re-rendered once a parameter stops changing
+const SILENCE_COLOR = '#a0aec0'; // regions marked by "Detect silence"
+const MIXDOWN_SHARE = 0.3;       // of a multitrack export's progress bar; the rest is exportAudio()
+
+document.addEventListener('DOMContentLoaded', () => {
+  const $ = id => document.getElementById(id);
+  const editorFileInput = $('editorFileInput');
+  const playBtn = $('playBtn');
+  const stopBtn = $('stopBtn');
+  const undoBtn = $('undo-btn');
+  const redoBtn = $('redo-btn');
+  const pasteBtn = $('paste-btn');
+  const silenceInput = $('silence-seconds');
+  const fadeShapeSelect = $('fade-shape');
+  const fadeSecondsInput = $('fade-seconds');
+  const volumeSlider = $('volume-slider');
+  const panSlider = $('pan-slider');
+  const volumeValue = $('volume-value');
+  const panValue = $('pan-value');
+  const effectSelect = $('effect-select');
+  const effectParamsEl = $('effect-params');
+  const effectPreviewBtn = $('effect-preview-btn');
+  const effectDetectBtn = $('effect-detect-btn');
+  const exportBtn = $('export-btn');
+  const exportFormat = $('export-format');
+  const exportRate = $('export-rate');
+  const exportBitDepth = $('export-bit-depth');
+  const exportMp3Mode = $('export-mp3-mode');
+  const exportBitrate = $('export-bitrate');
+  const exportVbrQuality = $('export-vbr-quality');
+  const exportSelection = $('export-selection');
+  const exportProgress = $('export-progress');
+  const currentTimeEl = $('currentTime');
+  const durationTimeEl = $('durationTime');
+  const statusEl = $('editor-status');
+  const dropPrompt = $('drop-prompt');
+  const toolPanel = $('tool-panel');
+  const viewTools = $('view-tools');
+  const snapToggle = $('snap-zero');
+  const spectrogramToggle = $('spectrogram-toggle');
+  const spectrogramFft = $('spectrogram-fft');
+  const labelsPanel = $('labels-panel');
+  const labelList = $('label-list');
+  const splitExportBtn = $('split-export-btn');
+  const editTools = $('edit-tools');
+  const uploadLabel = $('upload-label');
+  const waveformContainer = $('waveform-container');
+  const multitrackEl = $('multitrack');
+  const modeTabs = document.querySelectorAll('.mode-tab');
+
+  let wavesurfer, wsRegions, wsEnvelope;
+  let selectionRegion = null;  // the drag selection; every other region on the waveform is a label
+  let placingSelection = false;  // set while selectFrames() adds the selection region
+  let spectrogramCanvas = null;  // inside WaveSurfer's wrapper, so it scrolls and zooms with the waveform
+  let spectrogramSpan = null;    // [left, right] px of the wrapper that the canvas shows, or is being drawn for
+  let spectrogramTimer = null;
+  let audioContext, player, mtPlayer;
+  let mode = 'single';       // 'single' (one file, edited) | 'multitrack' (clips on tracks, mixed)
+  let format = null;         // { sampleRate, numberOfChannels } of the loaded file
+  let rendered = null;       // current edit flattened to an AudioBuffer
+  let clipboard = null;      // segments from the last cut / copy
+  let sourceName = '';       // loaded file's name, for export file names
+  let sourceMeta = null;     // promise of its tags (readTrackMetadata), carried over into MP3 exports
+  let exporting = false;
+  const history = new EditHistory({ segments: [], mix: MIX_DEFAULTS, labels: [] });
+  let statusTimer = null;
+  let envelopeTimer = null;
+  const effectValues = {};   // effect id → parameter values, kept while switching effects
+  let preview = null;        // { source, stage, graph } of the effect preview that's playing; graph when live
+  let previewRun = 0;        // bumped to drop renders that a newer preview or stop overtook
+  let previewTimer = null;
+  const session = { tracks: [createTrack('Track 1')] };
+  const mtView = new MultitrackView($('multitrack-timeline'), {
+    onChange: multitrackChanged,
+    onSeek: time => { ensureAudio(); mtPlayer.seek(time); },
+  });
+
+  function ensureAudio() {
+    if (audioContext) return;
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    player = new EditorPlayer(audioContext);
+    player.output.connect(audioContext.destination);
+    mtPlayer = new MultitrackPlayer(audioContext, session);
+    mtPlayer.output.connect(audioContext.destination);
+    mtPlayer.addEventListener('play', () => showPlaying(true));
+    mtPlayer.addEventListener('pause', () => showPlaying(false));
+    mtPlayer.addEventListener('timeupdate', () => {
+      currentTimeEl.textContent = formatTime(mtPlayer.currentTime);
+      mtView.setPlayhead(mtPlayer.currentTime);
+    });
+  }
+
+  function initWaveSurfer() {
+    if (wavesurfer) wavesurfer.destroy();
+    selectionRegion = null;
+
+    wavesurfer = WaveSurfer.create({
+      container: '#waveform',
+      waveColor: 'rgb(66, 153, 225)', // Blue
+      progressColor: 'rgb(229, 62, 62)', // Red
+      cursorColor: '#f6e05e', // Yellow
+      height: spectrogramToggle.checked ? SPLIT_HEIGHT : WAVEFORM_HEIGHT,
+      barWidth: 3,
+      barGap: 2,
+      barRadius: 2,
+      media: player,   // WaveSurfer draws and seeks; EditorPlayer plays the edited audio
+    });
+
+    wsRegions = wavesurfer.registerPlugin(WaveSurfer.Regions.create());
+    wsRegions.enableDragSelection({ color: 'rgba(229, 62, 62, 0.2)' });
+    // Double-click the line to add a point, drag points to shape it, double-click a point to remove it
+    wsEnvelope = wavesurfer.registerPlugin(WaveSurfer.Envelope.create({
+      volume: 1,
+      lineColor: 'rgba(246, 224, 94, 0.8)',
+      lineWidth: 2,
+      dragLine: false,
+      dragPointSize: 10,
+      dragPointFill: 'rgba(246, 224, 94, 0.9)',
+      dragPointStroke: 'rgba(0, 0, 0, 0.5)',
+    }));
+    wavesurfer.registerPlugin(WaveSurfer.Timeline.create({
+      height: 20,
+      insertPosition: 'beforebegin',
+      style: { fontSize: '11px', color: '#a0aec0' },
+    }));
+    // Overview of the whole file; drag the highlighted window to scroll
+    wavesurfer.registerPlugin(WaveSurfer.Minimap.create({
+      height: 40,
+      waveColor: 'rgba(160, 174, 192, 0.6)',
+      progressColor: 'rgba(229, 62, 62, 0.6)',
+      cursorColor: '#f6e05e',
+      overlayColor: 'rgba(246, 224, 94, 0.15)',
+    }));
+    // Mouse wheel and trackpad pinch zoom around the pointer
+    wavesurfer.registerPlugin(WaveSurfer.Zoom.create({ scale: 0.25, maxZoom: PEAKS_PER_SECOND }));
+
+    // WaveSurfer renders into a shadow root, out of Tailwind's reach: the canvas is placed inline
+    spectrogramCanvas = document.createElement('canvas');
+    spectrogramCanvas.style.height = `${SPLIT_HEIGHT}px`;
+    spectrogramSpan = null;
+    spectrogramCanvas.style.display = spectrogramToggle.checked ? 'block' : 'none';
+    wavesurfer.getWrapper().append(spectrogramCanvas);
+    setupWaveSurferEvents();
+  }
+
+  function setupWaveSurferEvents() {
+    wavesurfer.on('timeupdate', time => {
+      currentTimeEl.textContent = formatTime(time);
+    });
+
+    wavesurfer.on('ready', () => {
+      durationTimeEl.textContent = formatTime(wavesurfer.getDuration());
+      dropPrompt.style.display = 'none';
+      setToolsEnabled(true);
+    });
+
+    wavesurfer.on('play', () => {
+      stopPreview();
+      showPlaying(true);
+    });
+    wavesurfer.on('pause', () => showPlaying(false));
+
+    wsEnvelope.on('points-change', points => {
+      const envelope = points.map(({ time, volume }) => ({ time, volume }));
+      if (JSON.stringify(envelope) === JSON.stringify(history.state.mix.envelope)) return; // our own setPoints
+      player.setMix({ ...history.state.mix, envelope });
+      clearTimeout(envelopeTimer);
+      envelopeTimer = setTimeout(() => applyMixChange('Gain envelope', { envelope }), ENVELOPE_SETTLE_MS);
+    });
+
+    // A new drag selection replaces the previous one; labels are drawn by syncLabels().
+    // Drag selection ends with region-created only, so a drawn selection snaps here.
+    wsRegions.on('region-created', region => {
+      if (labelById(region.id)) return;
+      if (selectionRegion && selectionRegion !== region) selectionRegion.remove();
+      selectionRegion = region;
+      if (!placingSelection) snapRegion(region);
+    });
+
+    wavesurfer.on('zoom', () => {
+      clearTimeout(spectrogramTimer);
+      spectrogramTimer = setTimeout(updateSpectrogram, SPECTROGRAM_SETTLE_MS);
+    });
+    // Scrolling (or following the playhead) past the drawn part draws the new view
+    wavesurfer.on('scroll', () => {
+      if (!spectrogramSpan) return;
+      const left = wavesurfer.getScroll(), right = left + wavesurfer.getWidth();
+      if (left < spectrogramSpan[0] || right > spectrogramSpan[1]) updateSpectrogram();
+    });
+
+    wsRegions.on('region-removed', region => {
+      if (region === selectionRegion) selectionRegion = null;
+    });
+
+    // Dragged or resized labels on the waveform
+    wsRegions.on('region-updated', region => {
+      if (region === selectionRegion) {
+        snapRegion(region);
+        return;
+      }
+      const label = labelById(region.id);
+      if (!label) return;
+      const end = isMarker(label) ? region.start : region.end;
+      updateLabel(label.id, { start: region.start, end }, isMarker(label) ? 'Move marker' : 'Move region');
+    });
+  }
+
+  function showPlaying(playing) {
+    playBtn.innerHTML = playing ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+    playBtn.classList.toggle('accent-red', playing);
+  }
+
+  function setToolsEnabled(on) {
+    toolPanel.classList.toggle('opacity-50', !on);
+    toolPanel.classList.toggle('pointer-events-none', !on);
+    document.querySelectorAll('#tool-panel .control-btn, #tool-panel input, #tool-panel select, #view-tools input, #view-tools select, #view-tools button, #playBtn, #stopBtn')
+      .forEach(el => el.disabled = !on);
+    exportSelection.disabled = !on || mode === 'multitrack';
+    exportBtn.disabled = !on || exporting;
+    labelsPanel.querySelectorAll('button').forEach(el => { el.disabled = !on; });
+    splitExportBtn.disabled = !on || exporting;
+    if (on) updateHistoryButtons();
+  }
+
+  async function decodeFile(file) {
+    try {
+      return await audioContext.decodeAudioData(await file.arrayBuffer());
+    } catch (e) {
+      console.error('Could not decode', file.name, e);
+      return null;
+    }
+  }
+
+  async function loadAudioFile(file) {
+    if (!file) return;
+    ensureAudio();
+    player.pause();
+    const buffer = await decodeFile(file);
+    if (!buffer) {
+      alert(`Could not open ${file.name}: the browser can't decode this file.`);
+      return;
+    }
+    await openBuffer(buffer, file.name);
+    sourceMeta = readTrackMetadata(file);
+  }
+
+  // Starts a new edit of `buffer` (a loaded file, or a multitrack bounce)
+  async function openBuffer(buffer, name) {
+    stopPreview();
+    format = { sampleRate: buffer.sampleRate, numberOfChannels: buffer.numberOfChannels };
+    clipboard = null;
+    sourceName = name;
+    sourceMeta = null;
+    initWaveSurfer();
+    history.reset({ segments: segmentsFromBuffer(buffer), mix: MIX_DEFAULTS, labels: [] });
+    await renderDocument(0);
+  }
+
+  // --- Editing ---
+  // Flattens the current edit and hands it to the player and the waveform
+  async function renderDocument(position) {
+    rendered = renderSegments(history.state.segments, format);
+    player.setBuffer(rendered, position);
+    await wavesurfer.load('', peaksOf(rendered), rendered.duration);
+    player.emit('timeupdate');
+    syncMix();
+    syncLabels();
+    updateSpectrogram();
+  }
+
+  /**
+   * Records an edit in the history and redraws.
+   * @param {string} label Shown in the undo / redo tooltips.
+   * @param {object} changes New `segments` and / or `mix`.
+   * @param {{ position?: number, select?: [number, number] }} [opts] Cursor (s) and selection (frames) afterwards.
+   */
+  async function applyEdit(label, changes, { position, select } = {}) {
+    stopPreview();
+    history.push({ ...history.state, ...changes }, label);
+    clearSelection();
+    await renderDocument(position);
+    if (select) selectFrames(...select);
+    showStatus(label);
+  }
+
+  // Replaces frames [from, to) with `insert`; envelope points and labels after the edit move with the audio
+  function spliceEdit(label, from, to, insert, opts) {
+    const { segments, mix, labels } = history.state;
+    const rate = format.sampleRate;
+    const envelope = spliceEnvelope(mix.envelope, from / rate, to / rate, totalLength(insert) / rate);
+    return applyEdit(label, {
+      segments: spliceSegments(segments, from, to, insert),
+      mix: { ...mix, envelope },
+      labels: spliceLabels(labels, from / rate, to / rate, totalLength(insert) / rate),
+    }, opts);
+  }
+
+  /**
+   * Runs `process` on a copy of frames [from, to) and puts the result in their place: the copy
+   * itself, or the buffer `process` returns (or resolves to), which may be a different length.
+   */
+  async function processRange(label, from, to, process) {
+    const { segments } = history.state;
+    const piece = renderSegments(sliceSegments(segments, from, to), format);
+    const result = (await process(piece)) || piece;
+    if (history.state.segments !== segments) { showStatus(`${label} skipped: the audio changed meanwhile.`); return; }
+    const insert = segmentsFromBuffer(result);
+    if (result.length === to - from) {
+      return applyEdit(label, { segments: spliceSegments(segments, from, to, insert) }, { select: [from, to] });
+    }
+    return spliceEdit(label, from, to, insert, { select: [from, from + result.length] });
+  }
+
+  // Volume / pan / envelope: recorded without re-rendering the audio
+  function applyMixChange(label, changes) {
+    history.push({ ...history.state, mix: { ...history.state.mix, ...changes } }, label);
+    syncMix();
+  }
+
+  // Player, sliders and envelope points follow the current history state
+  function syncMix() {
+    const { mix } = history.state;
+    player.setMix(mix);
+    volumeSlider.value = Math.round(mix.volume * 100);
+    panSlider.value = Math.round(mix.pan * 100);
+    showMixValues();
+    wsEnvelope?.setPoints(mix.envelope.map(p => ({ ...p })));
+  }
+
+  function showMixValues() {
+    volumeValue.textContent = `${volumeSlider.value}%`;
+    const pan = Number(panSlider.value);
+    panValue.textContent = pan === 0 ? 'C' : `${Math.abs(pan)}${pan < 0 ? 'L' : 'R'}`;
+  }
+
+  function selectionFrames() {
+    const region = selectionRegion;
+    if (!region || !format) return null;
+    const from = Math.round(region.start * format.sampleRate);
+    const to = Math.round(region.end * format.sampleRate);
+    return to > from ? { from, to } : null;
+  }
+
+  // Selects exactly [from, to): callers snap the edges themselves where that's wanted
+  function selectFrames(from, to) {
+    clearSelection();
+    placingSelection = true;
+    try {
+      selectionRegion = wsRegions.addRegion({ start: from / format.sampleRate, end: to / format.sampleRate, color: 'rgba(229, 62, 62, 0.2)' });
+    } finally {
+      placingSelection = false;
+    }
+  }
+
+  // A time moved to the nearest zero crossing, when snapping is on
+  function snapTime(time) {
+    if (!snapToggle.checked || !rendered) return time;
+    const rate = format.sampleRate;
+    return nearestZeroCrossing(rendered, Math.round(time * rate), Math.round(SNAP_RADIUS * rate)) / rate;
+  }
+
+  function snapRegion(region) {
+    if (!snapToggle.checked) return;
+    const start = snapTime(region.start), end = snapTime(region.end);
+    if (start !== region.start || end !== region.end) region.setOptions({ start, end });
+  }
+
+  // I / O: the selection starts / ends at the cursor, keeping its other edge where that still fits
+  function setSelectionEdge(edge) {
+    const at = Math.round(snapTime(player.currentTime) * format.sampleRate);
+    const sel = selectionFrames();
+    const [from, to] = edge === 'in'
+      ? [at, sel && sel.to > at ? sel.to : totalLength(history.state.segments)]
+      : [sel && sel.from < at ? sel.from : 0, at];
+    if (to > from) selectFrames(from, to);
+  }
+
+  function clearSelection() {
+    selectionRegion?.remove();
+    selectionRegion = null;
+  }
+
+  function cursorFrame() {
+    return Math.round(player.currentTime * format.sampleRate);
+  }
+
+  function requireSelection(what) {
+    const sel = selectionFrames();
+    if (!sel) showStatus(`Select a region to ${what}.`);
+    return sel;
+  }
+
+  function trimToSelection() {
+    const sel = requireSelection('trim to');
+    if (!sel) return;
+    const { segments, mix, labels } = history.state;
+    const rate = format.sampleRate;
+    applyEdit('Trim to selection', {
+      segments: sliceSegments(segments, sel.from, sel.to),
+      mix: { ...mix, envelope: sliceEnvelope(mix.envelope, sel.from / rate, sel.to / rate) },
+      labels: sliceLabels(labels, sel.from / rate, sel.to / rate),
+    }, { position: 0 });
+  }
+
+  function deleteSelection(label = 'Delete') {
+    const sel = requireSelection(label.toLowerCase());
+    if (!sel) return;
+    spliceEdit(label, sel.from, sel.to, [], { position: sel.from / format.sampleRate });
+  }
+
+  function copySelection() {
+    const sel = requireSelection('copy');
+    if (!sel) return false;
+    clipboard = sliceSegments(history.state.segments, sel.from, sel.to);
+    pasteBtn.disabled = false;
+    showStatus(`Copied ${formatTime((sel.to - sel.from) / format.sampleRate)}`);
+    return true;
+  }
+
+  function cutSelection() {
+    if (copySelection()) deleteSelection('Cut');
+  }
+
+  // Pastes over the selection, or inserts at the cursor
+  function paste() {
+    if (!clipboard?.length) { showStatus('Nothing to paste.'); return; }
+    const sel = selectionFrames() || { from: cursorFrame(), to: cursorFrame() };
+    const length = totalLength(clipboard);
+    spliceEdit('Paste', sel.from, sel.to, clipboard, {
+      position: sel.from / format.sampleRate,
+      select: [sel.from, sel.from + length],
+    });
+  }
+
+  function insertSilence() {
+    const seconds = Number(silenceInput.value);
+    if (!(seconds > 0)) { showStatus('Enter how many seconds of silence to insert.'); return; }
+    const at = selectionFrames()?.from ?? cursorFrame();
+    const length = Math.round(seconds * format.sampleRate);
+    spliceEdit('Insert silence', at, at, [silenceSegment(length)], {
+      position: at / format.sampleRate,
+      select: [at, at + length],
+    });
+  }
+
+  // Fades the selection, or the first / last few seconds without one
+  function fade(direction) {
+    const total = totalLength(history.state.segments);
+    let sel = selectionFrames();
+    if (!sel) {
+      const length = Math.min(total, Math.round((Number(fadeSecondsInput.value) || 0) * format.sampleRate));
+      if (!length) { showStatus('Select a region or enter a fade length.'); return; }
+      sel = direction === 'in' ? { from: 0, to: length } : { from: total - length, to: total };
+    }
+    const shape = fadeShapeSelect.value;
+    processRange(direction === 'in' ? 'Fade in' : 'Fade out', sel.from, sel.to, piece => applyFade(piece, direction, shape));
+  }
+
+  // --- Regions and markers ---
+  function labelById(id) {
+    return history.state.labels.find(l => l.id === id);
+  }
+
+  function applyLabelsChange(text, labels) {
+    history.push({ ...history.state, labels }, text);
+    syncLabels();
+  }
+
+  function updateLabel(id, changes, text) {
+    applyLabelsChange(text, history.state.labels.map(l => (l.id === id ? { ...l, ...changes } : l)));
+  }
+
+  // Waveform regions and the side panel follow the current history state
+  function syncLabels() {
+    if (!wsRegions) return;
+    for (const region of wsRegions.getRegions()) if (region !== selectionRegion) region.remove();
+    for (const label of history.state.labels) {
+      const marker = isMarker(label);
+      wsRegions.addRegion({
+        id: label.id,
+        start: label.start,
+        end: label.end,
+        content: label.name,
+        color: marker ? label.color : translucent(label.color),
+        drag: true,
+        resize: !marker,
+      });
+    }
+    renderLabelList();
+  }
+
+  function renderLabelList() {
+    const labels = sortLabels(history.state.labels);
+    if (!labels.length) {
+      const hint = document.createElement('li');
+      hint.className = 'text-xs text-gray-400';
+      hint.textContent = 'Select audio and add a Region, or add a Marker at the cursor. Drag them on the waveform to move them.';
+      labelList.replaceChildren(hint);
+      return;
+    }
+    labelList.replaceChildren(...labels.map(labelRow));
+  }
+
+  // Color, name, go-to and remove; then start (and end) in seconds
+  function labelRow(label) {
+    const marker = isMarker(label);
+    const el = (tag, className, props = {}) => Object.assign(document.createElement(tag), { className, ...props });
+    const field = (props, onChange) => {
+      const input = el('input', props.className, props);
+      input.addEventListener('change', () => onChange(input));
+      return input;
+    };
+    const button = (icon, title, onClick) => {
+      const b = el('button', 'text-gray-400 hover:text-white px-1', { title, innerHTML: `<i class="fas ${icon}"></i>` });
+      b.addEventListener('click', onClick);
+      return b;
+    };
+    const time = (value, apply) => field({
+      type: 'number', min: 0, max: rendered.duration.toFixed(2), step: 0.01, value: value.toFixed(2),
+      className: 'w-20 bg-gray-900 border border-gray-700 rounded px-1', title: 'Seconds',
+    }, input => apply(Math.min(rendered.duration, Math.max(0, Number(input.value) || 0))));
+    const moveEdge = (edge, t) => {
+      const [start, end] = edge === 'start' ? [t, label.end] : [label.start, t];
+      if (end - start < 0.01) { showStatus('A region must end after it starts.'); renderLabelList(); return; }
+      updateLabel(label.id, { start, end }, 'Move region');
+    };
+
+    const top = el('div', 'flex items-center gap-2');
+    top.append(
+      field({ type: 'color', value: label.color, className: 'w-6 h-6 flex-shrink-0 bg-transparent cursor-pointer', title: 'Color' },
+        input => updateLabel(label.id, { color: input.value }, marker ? 'Recolor marker' : 'Recolor region')),
+      field({ value: label.name, className: 'flex-grow min-w-0 bg-transparent border-b border-gray-700', title: 'Name' },
+        input => updateLabel(label.id, { name: input.value }, marker ? 'Rename marker' : 'Rename region')),
+      button('fa-crosshairs', marker ? 'Go to marker' : 'Select region', () => goToLabel(label)),
+      button('fa-times', 'Remove', () => applyLabelsChange(marker ? 'Remove marker' : 'Remove region',
+        history.state.labels.filter(l => l.id !== label.id))),
+    );
+    const times = el('div', 'flex items-center gap-1 text-xs text-gray-400');
+    times.append(el('i', `fas ${marker ? 'fa-map-marker-alt' : 'fa-vector-square'} w-5 text-center`));
+    if (marker) {
+      times.append(time(label.start, t => updateLabel(label.id, { start: t, end: t }, 'Move marker')));
+    } else {
+      times.append(time(label.start, t => moveEdge('start', t)), '–', time(label.end, t => moveEdge('end', t)));
+    }
+    const row = el('li', 'bg-gray-800/60 rounded p-2 flex flex-col gap-1');
+    row.append(top, times);
+    return row;
+  }
+
+  function goToLabel(label) {
+    if (!isMarker(label)) selectFrames(Math.round(label.start * format.sampleRate), Math.round(label.end * format.sampleRate));
+    wavesurfer.setTime(label.start);
+  }
+
+  function addRegion() {
+    const sel = requireSelection('turn into a region');
+    if (!sel) return;
+    const rate = format.sampleRate;
+    clearSelection();
+    applyLabelsChange('Add region', [...history.state.labels, createLabel({ start: sel.from / rate, end: sel.to / rate })]);
+  }
+
+  function addMarker() {
+    applyLabelsChange('Add marker', [...history.state.labels, createLabel({ start: player.currentTime })]);
+  }
+
+  // CUE sheets are recognised by name or content; anything else is read as Audacity labels
+  async function importLabels(file) {
+    if (!file || !rendered) return;
+    const text = await file.text();
+    const cue = /\.cue$/i.test(file.name) || /^\s*(FILE|TRACK)\s/m.test(text);
+    const duration = rendered.duration;
+    const imported = (cue ? parseCue(text, duration) : parseAudacityLabels(text))
+      .filter(l => l.start < duration)
+      .map(l => ({ ...l, end: Math.min(l.end, duration) }));
+    if (!imported.length) { showStatus(`No regions or markers found in ${file.name}.`); return; }
+    applyLabelsChange(`Import ${file.name}`, [...history.state.labels, ...imported]);
+    showStatus(`Imported ${imported.length} from ${file.name}`);
+  }
+
+  async function exportLabels(kind) {
+    const { labels } = history.state;
+    if (!labels.length) { showStatus('No regions or markers to export.'); return; }
+    const meta = await sourceMeta;
+    const text = kind === 'cue'
+      ? toCue(labels, { fileName: sourceName || 'audio.wav', title: meta?.album || baseName(), performer: meta?.artist })
+      : toAudacityLabels(labels);
+    downloadBlob(new Blob([text], { type: 'text/plain' }), kind === 'cue' ? `${baseName()}.cue` : `${baseName()}-labels.txt`);
+  }
+
+  // --- Effects ---
+  fillSelect(effectSelect, Object.entries(EFFECTS).map(([id, effect]) => [id, effect.label]), 'normalize-peak');
+
+  function effectParams() {
+    const id = effectSelect.value;
+    return (effectValues[id] ||= effectDefaults(id));
+  }
+
+  // One slider (or select) per parameter of the chosen effect
+  function renderEffectParams() {
+    const values = effectParams();
+    effectDetectBtn.classList.toggle('hidden', effectSelect.value !== 'remove-silence');
+    effectParamsEl.replaceChildren(...EFFECTS[effectSelect.value].params.map(param => {
+      const row = document.createElement('label');
+      row.className = 'flex flex-col gap-1 text-gray-400';
+      const head = document.createElement('span');
+      head.className = 'flex justify-between';
+      const value = document.createElement('span');
+      const show = () => { value.textContent = param.options ? '' : `${values[param.key]} ${param.unit}`.trim(); };
+      head.append(param.label, value);
+      let input;
+      if (param.options) {
+        input = document.createElement('select');
+        input.className = 'bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+        fillSelect(input, param.options, values[param.key]);
+      } else {
+        input = Object.assign(document.createElement('input'), {
+          type: 'range', min: param.min, max: param.max, step: param.step, value: values[param.key], className: 'w-full',
+        });
+      }
+      input.disabled = effectSelect.disabled;
+      input.addEventListener('input', () => {
+        values[param.key] = param.options ? input.value : Number(input.value);
+        show();
+        if (preview?.graph) preview.graph.set(values);
+        else if (preview) {
+          clearTimeout(previewTimer);
+          previewTimer = setTimeout(startPreview, PREVIEW_SETTLE_MS);
+        }
+      });
+      show();
+      row.append(head, input);
+      return row;
+    }));
+  }
+
+  // The selection, or the whole edit without one
+  function effectRange() {
+    return selectionFrames() || { from: 0, to: totalLength(history.state.segments) };
+  }
+
+  // Loops the range through the effect, at the edit's volume and pan. Effects with a live graph
+  // play all of it and follow the sliders as they move; the others loop the first PREVIEW_SECONDS,
+  // rendered offline
+  async function startPreview() {
+    if (!rendered) return;
+    stopPreview();
+    player.pause();
+    const run = previewRun;
+    const id = effectSelect.value;
+    const { from, to } = effectRange();
+    const end = EFFECTS[id].live ? to : Math.min(to, from + PREVIEW_SECONDS * format.sampleRate);
+    const piece = renderSegments(sliceSegments(history.state.segments, from, end), format);
+    showPreviewing(true);
+    let graph, processed = piece;
+    try {
+      graph = await createLiveEffect(id, audioContext, piece, effectParams());
+      if (!graph) processed = await applyEffect(id, piece, effectParams());
+    } catch (e) {
+      console.error('Effect preview failed:', e);
+      showStatus(`Preview failed: ${e.message || e}`);
+      showPreviewing(false);
+      return;
+    }
+    if (run !== previewRun) return;
+    const stage = createMixStage(audioContext);
+    applyMix(stage, { ...history.state.mix, envelope: [] }, 0, audioContext.currentTime);
+    stage.output.connect(audioContext.destination);
+    graph?.output.connect(stage.input);
+    const source = audioContext.createBufferSource();
+    source.buffer = processed;
+    source.loop = true;
+    source.connect(graph ? graph.input : stage.input);
+    source.start();
+    preview = { source, stage, graph };
+  }
+
+  function stopPreview() {
+    previewRun++;
+    clearTimeout(previewTimer);
+    if (preview) {
+      preview.source.stop();
+      preview.graph?.output.disconnect();
+      preview.stage.output.disconnect();
+      preview = null;
+    }
+    showPreviewing(false);
+  }
+
+  function showPreviewing(on) {
+    effectPreviewBtn.innerHTML = on ? '<i class="fas fa-stop"></i> Stop' : '<i class="fas fa-headphones-alt"></i> Preview';
+    effectPreviewBtn.classList.toggle('accent-red', on);
+  }
+
+  async function applyCurrentEffect() {
+    if (!rendered) return;
+    stopPreview();
+    const id = effectSelect.value;
+    const { from, to } = effectRange();
+    showStatus(`${EFFECTS[id].label}…`);
+    try {
+      await processRange(EFFECTS[id].label, from, to, piece => applyEffect(id, piece, effectParams()));
+    } catch (e) {
+      console.error('Effect failed:', e);
+      showStatus(`${EFFECTS[id].label} failed: ${e.message || e}`);
+    }
+  }
+
+  // Marks what "Remove silence" would cut, with its current settings, as regions to review first
+  function detectSilenceRegions() {
+    if (!rendered) return;
+    const { from, to } = effectRange();
+    const piece = renderSegments(sliceSegments(history.state.segments, from, to), format);
+    const rate = format.sampleRate;
+    const found = silenceCuts(piece, effectParams()).map(({ start, end }, i) => createLabel({
+      name: `Silence ${i + 1}`, start: (from + start) / rate, end: (from + end) / rate, color: SILENCE_COLOR,
+    }));
+    if (!found.length) { showStatus('No silence found with these settings.'); return; }
+    applyLabelsChange('Detect silence', [...history.state.labels, ...found]);
+    showStatus(`Marked ${found.length} silent stretch${found.length > 1 ? 'es' : ''} as regions`);
+  }
+
+  // --- Export ---
+  function fillSelect(select, options, selected) {
+    select.replaceChildren(...options.map(([value, label]) => new Option(label, value, false, String(value) === String(selected))));
+  }
+  fillSelect(exportFormat, Object.entries(AUDIO_EXPORT_FORMATS).map(([key, f]) => [key, f.label]), 'wav');
+  fillSelect(exportRate, [['', 'Original rate'], ...EXPORT_SAMPLE_RATES.map(r => [r, `${r / 1000} kHz`])], '');
+  fillSelect(exportBitDepth, WAV_BIT_DEPTHS.map(b => [b, b === 32 ? '32-bit float' : `${b}-bit PCM`]), 16);
+  fillSelect(exportBitrate, MP3_BITRATES.map(b => [b, `${b} kbps`]), 192);
+  fillSelect(exportVbrQuality, Array.from({ length: 10 }, (_, q) => [q, `V${q}${q === 0 ? ' (best)' : q === 9 ? ' (smallest)' : ''}`]), 2);
+
+  function showExportOptions() {
+    const mp3 = exportFormat.value === 'mp3';
+    document.querySelectorAll('[data-export-format]').forEach(el => {
+      el.classList.toggle('hidden', el.dataset.exportFormat !== exportFormat.value);
+    });
+    exportBitrate.classList.toggle('hidden', !mp3 || exportMp3Mode.value !== 'cbr');
+    exportVbrQuality.classList.toggle('hidden', !mp3 || exportMp3Mode.value !== 'vbr');
+  }
+
+  function setExportProgress(p) {
+    exportProgress.classList.toggle('hidden', p == null);
+    exportProgress.firstElementChild.style.width = `${Math.round((p ?? 0) * 100)}%`;
+  }
+
+  // Current export settings; `rate` is the sample rate kept by "Original rate".
+  // Waits for the source's tags, which are still being read right after a file is opened.
+  async function exportOptions(rate, range) {
+    return {
+      format: exportFormat.value,
+      sampleRate: Number(exportRate.value) || rate,
+      bitDepth: Number(exportBitDepth.value),
+      mp3Mode: exportMp3Mode.value,
+      bitrate: Number(exportBitrate.value),
+      vbrQuality: Number(exportVbrQuality.value),
+      range,
+      metadata: await sourceMeta,
+    };
+  }
+
+  // One export at a time, with the progress bar and errors handled
+  async function runExport(task) {
+    exporting = true;
+    exportBtn.disabled = true;
+    splitExportBtn.disabled = true;
+    setExportProgress(0);
+    try {
+      await task();
+    } catch (e) {
+      console.error('Audio export failed:', e);
+      showStatus(`Export failed: ${e.message || e}`);
+    } finally {
+      exporting = false;
+      exportBtn.disabled = false;
+      splitExportBtn.disabled = false;
+      setExportProgress(null);
+    }
+  }
+
+  // Renders the whole edit (or the selection) with its mix, or the multitrack mixdown, and downloads it
+  async function exportEdit() {
+    const multitrack = mode === 'multitrack';
+    if (exporting || (multitrack ? !sessionDuration(session) : !rendered)) return;
+    const rate = multitrack ? audioContext.sampleRate : format.sampleRate;
+    const sel = !multitrack && exportSelection.checked ? requireSelection('export') : null;
+    if (!multitrack && exportSelection.checked && !sel) return;
+
+    await runExport(async () => {
+      const options = await exportOptions(rate, sel ? { from: sel.from / rate, to: sel.to / rate } : undefined);
+      let blob, name;
+      if (multitrack) {
+        const mixdown = await renderSession(session, { sampleRate: rate, onProgress: p => setExportProgress(p * MIXDOWN_SHARE) });
+        blob = await exportAudio(mixdown, MIX_DEFAULTS, { ...options, metadata: null },
+          p => setExportProgress(MIXDOWN_SHARE + p * (1 - MIXDOWN_SHARE)));
+        name = 'mixdown';
+      } else {
+        blob = await exportAudio(rendered, history.state.mix, options, setExportProgress);
+        name = `${baseName()}-${sel ? 'selection' : 'edit'}`;
+      }
+      downloadBlob(blob, `${name}.${AUDIO_EXPORT_FORMATS[options.format].ext}`);
+      showStatus('Export finished');
+    });
+  }
+
+  // What "Split Export" writes: every region, or without any, the stretches between markers
+  function splitParts() {
+    const labels = sortLabels(history.state.labels);
+    const regions = labels.filter(l => !isMarker(l));
+    if (regions.length) return regions.map(l => ({ name: l.name, from: l.start, to: l.end }));
+    const duration = rendered.duration;
+    const markers = labels.filter(l => l.start > 0 && l.start < duration);
+    if (!markers.length) return [];
+    const bounds = [{ start: 0, name: '' }, ...markers];
+    return bounds.map((m, i) => ({
+      name: m.name || `Part ${i + 1}`,
+      from: m.start,
+      to: i + 1 < bounds.length ? bounds[i + 1].start : duration,
+    }));
+  }
+
+  // Each part is a numbered file titled after its label (MP3s also get the track number)
+  async function splitExport() {
+    if (!rendered || exporting) return;
+    const parts = splitParts();
+    if (!parts.length) { showStatus('Add regions or markers to split by.'); return; }
+    await runExport(async () => {
+      for (const [i, part] of parts.entries()) {
+        const options = await exportOptions(format.sampleRate, { from: part.from, to: part.to });
+        options.metadata = { ...(options.metadata || { extra: {} }), title: part.name, trackNumber: i + 1 };
+        const blob = await exportAudio(rendered, history.state.mix, options, p => setExportProgress((i + p) / parts.length));
+        const title = part.name.replace(/[\\/:*?"<>|]+/g, '_').trim();
+        downloadBlob(blob, `${baseName()}-${String(i + 1).padStart(2, '0')}${title ? ` ${title}` : ''}.${AUDIO_EXPORT_FORMATS[options.format].ext}`);
+      }
+      showStatus(`Exported ${parts.length} files`);
+    });
+  }
+
+  function baseName() {
+    return sourceName.replace(/\.[^.]+$/, '') || 'audio';
+  }
+
+  function downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+  }
+
+  async function undo() {
+    stopPreview();
+    const label = history.undo();
+    if (label == null) { showStatus('Nothing to undo.'); return; }
+    clearSelection();
+    await renderDocument();
+    showStatus(`Undo: ${label}`);
+  }
+
+  async function redo() {
+    stopPreview();
+    const label = history.redo();
+    if (label == null) { showStatus('Nothing to redo.'); return; }
+    clearSelection();
+    await renderDocument();
+    showStatus(`Redo: ${label}`);
+  }
+
+  function updateHistoryButtons() {
+    undoBtn.disabled = !history.canUndo;
+    redoBtn.disabled = !history.canRedo;
+    undoBtn.title = history.canUndo ? `Undo ${history.undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = history.canRedo ? `Redo ${history.redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    pasteBtn.disabled = !clipboard?.length;
+  }
+  history.addEventListener('change', updateHistoryButtons);
+
+  // --- View and transport ---
+  fillSelect(spectrogramFft, SPECTROGRAM_FFT_SIZES.map(n => [n, `FFT ${n}`]), 2048);
+
+  // Draws the part of the audio around the view (the whole file when it fits) under that part of the waveform
+  async function updateSpectrogram() {
+    if (!spectrogramToggle.checked || !rendered || !spectrogramCanvas) return;
+    const canvas = spectrogramCanvas;
+    const fullWidth = wavesurfer.getWrapper().scrollWidth;
+    const viewWidth = wavesurfer.getWidth();
+    const left = Math.max(0, wavesurfer.getScroll() - SPECTROGRAM_MARGIN * viewWidth);
+    const right = Math.min(fullWidth, wavesurfer.getScroll() + (1 + SPECTROGRAM_MARGIN) * viewWidth);
+    if (right <= left) return;
+    const pxPerSecond = fullWidth / rendered.duration;
+    spectrogramSpan = [left, right];
+    try {
+      const drawn = await drawSpectrogram(canvas, rendered, {
+        fftSize: Number(spectrogramFft.value),
+        from: left / pxPerSecond,
+        to: right / pxPerSecond,
+        width: right - left,
+        height: SPLIT_HEIGHT,
+      });
+      if (!drawn) return;
+      canvas.style.marginLeft = `${left}px`;
+      canvas.style.width = `${right - left}px`;
+    } catch (e) {
+      console.error('Spectrogram failed:', e);
+      showStatus(`Spectrogram failed: ${e.message || e}`);
+    }
+  }
+
+  function showSpectrogram() {
+    if (!wavesurfer) return;
+    const on = spectrogramToggle.checked;
+    spectrogramCanvas.style.display = on ? 'block' : 'none';
+    wavesurfer.setOptions({ height: on ? SPLIT_HEIGHT : WAVEFORM_HEIGHT });
+    updateSpectrogram();
+  }
+
+  // Multiplies the current zoom; `factor` 0 fits the whole file
+  function zoomBy(factor) {
+    if (!rendered) return;
+    const current = wavesurfer.getWrapper().scrollWidth / rendered.duration;
+    wavesurfer.zoom(factor ? Math.min(PEAKS_PER_SECOND, current * factor) : 0);
+  }
+
+  function togglePlayPause() {
+    if (mode === 'multitrack') {
+      if (!mtPlayer) return;
+      if (mtPlayer.playing) mtPlayer.pause(); else mtPlayer.play();
+    } else if (rendered) {
+      if (player.paused) player.setRate(1);
+      wavesurfer.playPause();
+    }
+  }
+
+  // J / L: play backwards / forwards, each further press doubling the speed (up to SHUTTLE_MAX)
+  function shuttle(direction) {
+    const rate = !player.paused && Math.sign(player.rate) === direction
+      ? Math.min(SHUTTLE_MAX, Math.abs(player.rate) * 2) * direction
+      : direction;
+    player.setRate(rate);
+    if (player.paused) wavesurfer.play();
+    showStatus(`${rate < 0 ? 'Reverse' : 'Play'} ${Math.abs(rate)}×`);
+  }
+
+  // K
+  function stopShuttle() {
+    wavesurfer.pause();
+    player.setRate(1);
+  }
+
+  // --- Multitrack ---
+  function setMode(next) {
+    stopPreview();
+    mode = next;
+    const multitrack = mode === 'multitrack';
+    if (multitrack) player?.pause(); else mtPlayer?.pause();
+    waveformContainer.classList.toggle('hidden', multitrack);
+    multitrackEl.classList.toggle('hidden', !multitrack);
+    editTools.classList.toggle('hidden', multitrack);
+    viewTools.classList.toggle('hidden', multitrack);
+    labelsPanel.classList.toggle('hidden', multitrack);
+    uploadLabel.classList.toggle('hidden', multitrack);
+    modeTabs.forEach(tab => tab.classList.toggle('accent-red', tab.dataset.mode === mode));
+    if (multitrack) {
+      mtView.render(session);
+      showMultitrackState();
+    } else {
+      currentTimeEl.textContent = formatTime(player?.currentTime ?? 0);
+      durationTimeEl.textContent = formatTime(rendered?.duration ?? 0);
+      setToolsEnabled(!!rendered);
+    }
+  }
+
+  function showMultitrackState() {
+    const duration = sessionDuration(session);
+    currentTimeEl.textContent = formatTime(mtPlayer?.currentTime ?? 0);
+    durationTimeEl.textContent = formatTime(duration);
+    setToolsEnabled(duration > 0);
+  }
+
+  function multitrackChanged(kind, track) {
+    if (kind === 'mix') {
+      mtPlayer?.setTrackMix(track);
+    } else if (kind === 'structure') {
+      mtPlayer?.refresh();
+      showMultitrackState();
+    }
+  }
+
+  /**
+   * Decodes audio files into clips: onto `track` one after another from `time` (s), or each
+   * onto a track of its own (the first empty track, then new ones).
+   */
+  async function addClips(files, track = null, time = 0) {
+    ensureAudio();
+    for (const file of files) {
+      const buffer = await decodeFile(file);   // not filtered by MIME type, which is often empty for .flac / .opus / .m4a
+      if (!buffer) { showStatus(`Could not open ${file.name}: the browser can't decode this file.`); continue; }
+      let target = track || session.tracks.find(t => !t.clips.length);
+      if (!target) {
+        target = createTrack(file.name.replace(/\.[^.]+$/, ''));
+        session.tracks.push(target);
+      }
+      target.clips.push(createClip(file.name, buffer, time));
+      if (track) time += buffer.duration;
+      mtView.render(session);
+      multitrackChanged('structure', target);
+    }
+  }
+
+  // Mixes the session down and opens it in the single-file editor
+  async function bounce() {
+    if (!sessionDuration(session)) { showStatus('Add clips to bounce.'); return; }
+    mtPlayer.pause();
+    showStatus('Mixing down…');
+    let mixdown;
+    try {
+      mixdown = await renderSession(session, { sampleRate: audioContext.sampleRate });
+    } catch (e) {
+      console.error('Mixdown failed:', e);
+      showStatus(`Bounce failed: ${e.message || e}`);
+      return;
+    }
+    setMode('single');
+    await openBuffer(mixdown, 'mixdown.wav');
+    showStatus('Bounced the multitrack mix to the editor');
+  }
+
+  function showStatus(text) {
+    statusEl.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => { statusEl.textContent = ''; }, 3000);
+  }
+
+  editorFileInput.addEventListener('change', e => loadAudioFile(e.target.files[0]));
+
+  waveformContainer.addEventListener('dragover', e => {
+    e.preventDefault();
+    e.currentTarget.style.backgroundColor = 'rgba(229, 62, 62, 0.2)';
+  });
+  waveformContainer.addEventListener('dragleave', e => {
+    e.preventDefault();
+    e.currentTarget.style.backgroundColor = '';
+  });
+  waveformContainer.addEventListener('drop', e => {
+    e.preventDefault();
+    e.currentTarget.style.backgroundColor = '';
+    // no MIME check: .flac / .opus / .m4a often arrive without one; decoding tells (loadAudioFile reports it)
+    loadAudioFile(e.dataTransfer.files[0]);
+  });
+
+  multitrackEl.addEventListener('dragover', e => {
+    e.preventDefault();
+    e.currentTarget.style.backgroundColor = 'rgba(229, 62, 62, 0.2)';
+  });
+  multitrackEl.addEventListener('dragleave', e => {
+    e.preventDefault();
+    e.currentTarget.style.backgroundColor = '';
+  });
+  multitrackEl.addEventListener('drop', e => {
+    e.preventDefault();
+    e.currentTarget.style.backgroundColor = '';
+    const hit = mtView.hitTest(e.clientX, e.clientY);
+    addClips([...e.dataTransfer.files], hit?.track, hit?.time);
+  });
+
+  modeTabs.forEach(tab => tab.addEventListener('click', () => setMode(tab.dataset.mode)));
+  $('clipFileInput').addEventListener('change', e => {
+    addClips([...e.target.files]);
+    e.target.value = '';
+  });
+  $('add-track-btn').addEventListener('click', () => {
+    session.tracks.push(createTrack(`Track ${session.tracks.length + 1}`));
+    mtView.render(session);
+  });
+  $('zoom-in-btn').addEventListener('click', () => mtView.setZoom(mtView.pxPerSecond * 1.5));
+  $('zoom-out-btn').addEventListener('click', () => mtView.setZoom(mtView.pxPerSecond / 1.5));
+  $('bounce-btn').addEventListener('click', bounce);
+
+  playBtn.addEventListener('click', togglePlayPause);
+  stopBtn.addEventListener('click', () => {
+    if (mode === 'multitrack') {
+      mtPlayer?.stop();
+    } else if (wavesurfer) {
+      wavesurfer.stop();
+      player.setRate(1);
+    }
+  });
+  $('view-zoom-in-btn').addEventListener('click', () => zoomBy(2));
+  $('view-zoom-out-btn').addEventListener('click', () => zoomBy(0.5));
+  $('view-zoom-fit-btn').addEventListener('click', () => zoomBy(0));
+  spectrogramToggle.addEventListener('change', showSpectrogram);
+  spectrogramFft.addEventListener('change', updateSpectrogram);
+
+  $('trim-btn').addEventListener('click', trimToSelection);
+  $('cut-btn').addEventListener('click', cutSelection);
+  $('copy-btn').addEventListener('click', copySelection);
+  pasteBtn.addEventListener('click', paste);
+  $('delete-btn').addEventListener('click', () => deleteSelection());
+  $('silence-btn').addEventListener('click', insertSilence);
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  $('fade-in-btn').addEventListener('click', () => fade('in'));
+  $('fade-out-btn').addEventListener('click', () => fade('out'));
+  $('add-region-btn').addEventListener('click', addRegion);
+  $('add-marker-btn').addEventListener('click', addMarker);
+  $('labelFileInput').addEventListener('change', e => {
+    importLabels(e.target.files[0]);
+    e.target.value = '';
+  });
+  $('export-cue-btn').addEventListener('click', () => exportLabels('cue'));
+  $('export-labels-btn').addEventListener('click', () => exportLabels('audacity'));
+  splitExportBtn.addEventListener('click', splitExport);
+  effectSelect.addEventListener('change', () => {
+    renderEffectParams();
+    if (preview) startPreview();
+  });
+  // the button reads Stop from the moment a preview starts rendering
+  effectPreviewBtn.addEventListener('click', () => (effectPreviewBtn.classList.contains('accent-red') ? stopPreview() : startPreview()));
+  $('effect-apply-btn').addEventListener('click', applyCurrentEffect);
+  effectDetectBtn.addEventListener('click', detectSilenceRegions);
+  renderEffectParams();
+
+  // Sliders are heard while dragging and recorded when released
+  volumeSlider.addEventListener('input', () => {
+    player?.setMix({ ...history.state.mix, volume: volumeSlider.value / 100 });
+    showMixValues();
+  });
+  volumeSlider.addEventListener('change', () => applyMixChange('Volume', { volume: volumeSlider.value / 100 }));
+  panSlider.addEventListener('input', () => {
+    player?.setMix({ ...history.state.mix, pan: panSlider.value / 100 });
+    showMixValues();
+  });
+  panSlider.addEventListener('change', () => applyMixChange('Pan', { pan: panSlider.value / 100 }));
+  exportBtn.addEventListener('click', exportEdit);
+  exportFormat.addEventListener('change', showExportOptions);
+  exportMp3Mode.addEventListener('change', showExportOptions);
+  showExportOptions();
+  mtView.render(session);
+  renderLabelList();
+
+  // Keyboard shortcuts: Ctrl / ⌘ + key for editing, plain keys for transport, selection and zoom
+  // (left to the browser while typing in a field)
+  document.addEventListener('keydown', e => {
+    if (e.altKey || e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    const key = e.key.toLowerCase();
+    let action = null;
+    if (e.ctrlKey || e.metaKey) {
+      action = key === 'z' ? (e.shiftKey ? redo : undo)
+        : key === 'y' ? redo
+        : key === 'x' ? cutSelection
+        : key === 'c' ? copySelection
+        : key === 'v' ? paste
+        : null;
+    } else if (key === ' ') {
+      if (e.target.closest('button')) return; // the focused button gets the space
+      action = togglePlayPause;
+    } else {
+      action = key === 'j' ? () => shuttle(-1)
+        : key === 'k' ? stopShuttle
+        : key === 'l' ? () => shuttle(1)
+        : key === 'i' ? () => setSelectionEdge('in')
+        : key === 'o' ? () => setSelectionEdge('out')
+        : key === 'delete' || key === 'backspace' ? () => deleteSelection()
+        : key === '+' || key === '=' ? () => zoomBy(2)
+        : key === '-' ? () => zoomBy(0.5)
+        : key === '0' ? () => zoomBy(0)
+        : null;
+    }
+    if (!action || (action !== togglePlayPause && (mode !== 'single' || !rendered))) return;
+    e.preventDefault();
+    action();
+  });
+
+  function formatTime(seconds) {
+    if (isNaN(seconds)) return '0:00';
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+});
+
+// Min / max pairs per channel at PEAKS_PER_SECOND; enough detail for WaveSurfer without
+// handing it (and letting it normalize) the audio itself
+function peaksOf(buffer) {
+  const bucket = Math.max(1, Math.floor(buffer.sampleRate / PEAKS_PER_SECOND));
+  const count = Math.ceil(buffer.length / bucket);
+  const peaks = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    const out = new Float32Array(count * 2);
+    for (let b = 0; b < count; b++) {
+      let min = 0, max = 0;
+      for (let i = b * bucket, end = Math.min(data.length, i + bucket); i < end; i++) {
+        if (data[i] > max) max = data[i];
+        else if (data[i] < min) min = data[i];
+      }
+      out[b * 2] = max;
+      out[b * 2 + 1] = min;
+    }
+    peaks.push(out);
+  }
+  return peaks;
+}
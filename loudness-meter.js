@@ -0,0 +1,145 @@
+/*
+  loudness-meter.js
+  ITU-R BS.1770-4 / EBU R128 measurement, shared by the playlist's analysis worker
+  (track-analysis-worker.js) and the editor's "Normalize (loudness)" effect, so both agree:
+  - integratedLoudness:  K-weighted, gated integrated loudness in LUFS
+  - truePeak:            peak of the oversampled signal in dBTP
+*/
+
+const BLOCK = 0.4;             // s, gating block
+const STEP = 0.1;              // s, 75% block overlap
+const ABSOLUTE_GATE = -70;     // LUFS
+const RELATIVE_GATE = -10;     // LU below the abs-gated loudness
+const TAPS_PER_PHASE = 12;     // true-peak interpolator length
+
+// K-weighting as two biquads (pre-filter shelf + RLB high-pass), derived for any sample rate
+function kWeighting(fs) {
+  const shelf = (() => {
+    const f0 = 1681.974450955533, gain = 3.999843853973347, q = 0.7071752369554196;
+    const k = Math.tan(Math.PI * f0 / fs);
+    const vh = 10 ** (gain / 20);
+    const vb = vh ** 0.4996667741545416;
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+      a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    };
+  })();
+  const highpass = (() => {
+    const f0 = 38.13547087602444, q = 0.5003270373238773;
+    const k = Math.tan(Math.PI * f0 / fs);
+    const a0 = 1 + k / q + k * k;
+    return { b: [1, -2, 1], a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0] };
+  })();
+  return [shelf, highpass];
+}
+
+// Channel weights: 5.1 is L R C LFE Ls Rs (LFE ignored, surrounds +1.5 dB)
+function channelWeights(count) {
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return new Array(count).fill(1);
+}
+
+// Sum of squared K-weighted samples for each 100 ms step
+function stepEnergies(samples, fs, filters) {
+  const stepLen = Math.round(STEP * fs);
+  const out = new Float64Array(Math.floor(samples.length / stepLen));
+  const state = filters.map(() => [0, 0, 0, 0]); // x1 x2 y1 y2
+  let n = 0;
+  for (let s = 0; s < out.length; s++) {
+    let sum = 0;
+    for (const end = n + stepLen; n < end; n++) {
+      let x = samples[n];
+      for (let f = 0; f < filters.length; f++) {
+        const { b, a } = filters[f], st = state[f];
+        const y = b[0] * x + b[1] * st[0] + b[2] * st[1] - a[0] * st[2] - a[1] * st[3];
+        st[1] = st[0]; st[0] = x; st[3] = st[2]; st[2] = y;
+        x = y;
+      }
+      sum += x * x;
+    }
+    out[s] = sum;
+  }
+  return out;
+}
+
+/**
+ * Integrated loudness, gated.
+ * @param {Float32Array[]} channels PCM per channel (5.1 in L R C LFE Ls Rs order).
+ * @param {number} fs Sample rate.
+ * @returns {number|null} LUFS, or null for silence (and audio shorter than one block).
+ */
+export function integratedLoudness(channels, fs) {
+  const filters = kWeighting(fs);
+  const weights = channelWeights(channels.length);
+  const perChannel = channels.map((ch, i) => (weights[i] ? stepEnergies(ch, fs, filters) : null));
+  const steps = perChannel.find(Boolean)?.length ?? 0;
+  const perBlock = Math.round(BLOCK / STEP);
+  const blockLen = perBlock * Math.round(STEP * fs);
+
+  const blocks = [];
+  for (let s = 0; s + perBlock <= steps; s++) {
+    let power = 0;
+    perChannel.forEach((energies, c) => {
+      if (!energies) return;
+      let sum = 0;
+      for (let k = s; k < s + perBlock; k++) sum += energies[k];
+      power += weights[c] * sum / blockLen;
+    });
+    blocks.push(power);
+  }
+
+  const loudness = p => -0.691 + 10 * Math.log10(p);
+  const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+  const aboveAbsolute = blocks.filter(p => p > 0 && loudness(p) > ABSOLUTE_GATE);
+  if (!aboveAbsolute.length) return null;
+  const relative = loudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+  const gated = aboveAbsolute.filter(p => loudness(p) > relative);
+  return loudness(mean(gated));
+}
+
+// Windowed-sinc low-pass for `factor`× oversampling, split into polyphase branches. Each branch
+// is scaled to unity DC gain; the truncated sinc alone sums a little under 1 and reads peaks low.
+function interpolator(factor) {
+  const length = TAPS_PER_PHASE * factor;
+  const h = new Float64Array(length);
+  const center = (length - 1) / 2;
+  for (let i = 0; i < length; i++) {
+    const t = (i - center) / factor;
+    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+    const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (i + 0.5) / length);
+    h[i] = sinc * window;
+  }
+  return Array.from({ length: factor }, (_, p) => {
+    const taps = Float64Array.from({ length: TAPS_PER_PHASE }, (_, k) => h[k * factor + p]);
+    const sum = taps.reduce((a, b) => a + b, 0);
+    return taps.map(t => t / sum);
+  });
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} fs
+ * @returns {number|null} dBTP, or null for digital silence.
+ */
+export function truePeak(channels, fs) {
+  const factor = fs < 96000 ? 4 : fs < 192000 ? 2 : 1;
+  const phases = factor > 1 ? interpolator(factor) : null;
+  let peak = 0;
+  for (const x of channels) {
+    for (let n = 0; n < x.length; n++) {
+      const v = Math.abs(x[n]);
+      if (v > peak) peak = v;
+    }
+    if (!phases) continue;
+    for (let n = TAPS_PER_PHASE - 1; n < x.length; n++) {
+      for (const taps of phases) {
+        let y = 0;
+        for (let k = 0; k < TAPS_PER_PHASE; k++) y += taps[k] * x[n - k];
+        if (y > peak) peak = y;
+        else if (-y > peak) peak = -y;
+      }
+    }
+  }
+  return peak > 0 ? 20 * Math.log10(peak) : null;
+}
@@ -0,0 +1,90 @@
+/*
+  loudness.js
+  Per-track loudness for volume normalization.
+  - loudnessFromTags:   ReplayGain 2 tags (REPLAYGAIN_TRACK_GAIN / _PEAK, album variants) or Opus R128_* tags
+  - measured loudness:  integrated loudness (LUFS) and true peak (dBTP) come from track-analysis.js,
+                        which decodes each track once for all of its analysis
+  - albumLoudness:      combines the tracks of one album
+  - normalizationGain:  linear gain that brings a track (or its album) to the target level
+
+  Loudness shape (stored with the track's tags as meta.loudness):
+    { lufs, truePeak, albumLufs?, albumPeak?, source: 'tags'|'measured' }
+*/
+
+export const NORMALIZE_MODES = ['off', 'track', 'album'];
+export const NORMALIZE_DEFAULTS = { mode: 'off', target: -14, preventClipping: true };
+
+const REPLAYGAIN_REFERENCE = -18;   // LUFS that a ReplayGain 2 gain of 0 dB corresponds to
+const R128_REFERENCE = -23;         // Opus R128_*_GAIN tags are relative to this
+const PEAK_CEILING = -1;            // dBTP; normalization never pushes true peaks above this
+const GAIN_RANGE = [-24, 12];       // dB; keeps near-silent tracks from being boosted to the moon
+
+function numberIn(text) {
+  const n = parseFloat(String(text ?? '').replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+function peakDb(linear) {
+  return linear > 0 ? 20 * Math.log10(linear) : null;
+}
+
+/**
+ * @param {object} extra Upper-cased free-form tags (see track-metadata.js).
+ * @returns {object|null} Loudness (source 'tags'), or null without a track gain tag.
+ */
+export function loudnessFromTags(extra = {}) {
+  const rg = key => numberIn(extra[`REPLAYGAIN_${key}`]);
+  const r128 = key => {
+    const q78 = parseInt(extra[`R128_${key}_GAIN`], 10);
+    return Number.isFinite(q78) ? R128_REFERENCE - q78 / 256 : null;
+  };
+
+  const trackGain = rg('TRACK_GAIN');
+  const lufs = trackGain != null ? REPLAYGAIN_REFERENCE - trackGain : r128('TRACK');
+  if (lufs == null) return null;
+  const albumGain = rg('ALBUM_GAIN');
+  const albumLufs = albumGain != null ? REPLAYGAIN_REFERENCE - albumGain : r128('ALBUM');
+  return {
+    lufs,
+    truePeak: peakDb(rg('TRACK_PEAK')),
+    ...(albumLufs != null && { albumLufs, albumPeak: peakDb(rg('ALBUM_PEAK')) }),
+    source: 'tags',
+  };
+}
+
+/**
+ * Album loudness from its tracks' loudness, weighting each by duration (power average).
+ * @param {{ lufs: number, truePeak?: number|null, duration?: number|null }[]} tracks
+ * @returns {{ lufs: number, truePeak: number|null }|null}
+ */
+export function albumLoudness(tracks) {
+  let power = 0, weight = 0, peak = null;
+  for (const t of tracks) {
+    if (t.lufs == null) continue;
+    const w = t.duration > 0 ? t.duration : 1;
+    power += w * 10 ** (t.lufs / 10);
+    weight += w;
+    if (t.truePeak != null) peak = Math.max(peak ?? -Infinity, t.truePeak);
+  }
+  return weight ? { lufs: 10 * Math.log10(power / weight), truePeak: peak } : null;
+}
+
+/**
+ * @param {object|null} loudness The track's loudness.
+ * @param {{ mode: string, target: number, preventClipping: boolean }} settings
+ * @param {{ lufs: number, truePeak: number|null }|null} [album] Measured album loudness,
+ *        used in album mode when the tags don't carry one.
+ * @returns {number} Linear gain (1 when off or unmeasured).
+ */
+export function normalizationGain(loudness, { mode, target, preventClipping }, album = null) {
+  if (mode === 'off' || loudness?.lufs == null) return 1;
+  let lufs = loudness.lufs, peak = loudness.truePeak;
+  if (mode === 'album') {
+    if (loudness.albumLufs != null) [lufs, peak] = [loudness.albumLufs, loudness.albumPeak];
+    else if (album) [lufs, peak] = [album.lufs, album.truePeak];
+  }
+  let db = target - lufs;
+  if (preventClipping && peak != null) db = Math.min(db, PEAK_CEILING - peak);
+  db = Math.min(Math.max(db, GAIN_RANGE[0]), GAIN_RANGE[1]);
+  return 10 ** (db / 20);
+}
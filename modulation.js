@@ -0,0 +1,203 @@
+/*
+  modulation.js
+  Modulation matrix: audio features routed to visual parameters.
+  - Features are computed from the analyser's byte spectrum each frame:
+      band      average level between `lo` and `hi` Hz
+      rms       overall level (power sum of the spectrum, on the analyser's dB scale)
+      centroid  spectral centroid, log-frequency 20 Hz … Nyquist → 0..1
+      flux      how much the spectrum rose since the previous frame
+    each followed by its own smoothing (one-pole, per 60 fps frame) and attack/release envelope.
+  - Routes add `gain × curve(feature)` to a target. Targets nothing is routed to read 0,
+    except `hue`, which is null so the preset's own hue source applies.
+
+  Settings shape (part of the shareable look):
+    { fftSize, features: [{ id, name, kind, lo?, hi?, smoothing, attack, release }],
+      routes: [{ source: featureId, target, gain, curve }] }
+*/
+
+export const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+export const FEATURE_KINDS = { band: 'Frequency band', rms: 'RMS level', centroid: 'Spectral centroid', flux: 'Spectral flux' };
+export const MOD_TARGETS = {
+  displacement: 'Displacement',
+  hue: 'Hue',
+  saturation: 'Saturation',
+  rotation: 'Rotation speed',
+  particleSize: 'Particle size',
+  particleOpacity: 'Particle opacity',
+  cameraDistance: 'Camera distance',
+};
+export const MOD_CURVES = {
+  linear: x => x,
+  exponential: x => x * x,
+  logarithmic: x => Math.sqrt(x),
+  's-curve': x => x * x * (3 - 2 * x),
+};
+
+const BAND_LIMITS = [20, 20000];  // Hz
+const MAX_FEATURES = 12;
+const MAX_ROUTES = 24;
+
+// The defaults reproduce the fixed mapping this replaced: lows + mids push the web out,
+// mids scale and lows light up the particles, lows pull the camera in
+export const MODULATION_DEFAULTS = {
+  fftSize: 512,
+  features: [
+    { id: 'lows', name: 'Lows', kind: 'band', lo: 20, hi: 2800, smoothing: 0, attack: 0, release: 0 },
+    { id: 'mids', name: 'Mids', kind: 'band', lo: 2800, hi: 11000, smoothing: 0, attack: 0, release: 0 },
+    { id: 'highs', name: 'Highs', kind: 'band', lo: 11000, hi: 20000, smoothing: 0, attack: 0, release: 0 },
+    { id: 'rms', name: 'RMS', kind: 'rms', smoothing: 0, attack: 0.01, release: 0.3 },
+    { id: 'centroid', name: 'Brightness', kind: 'centroid', smoothing: 0.5, attack: 0.1, release: 0.1 },
+    { id: 'flux', name: 'Flux', kind: 'flux', smoothing: 0, attack: 0, release: 0.15 },
+  ],
+  routes: [
+    { source: 'lows', target: 'displacement', gain: 0.67, curve: 'linear' },
+    { source: 'mids', target: 'displacement', gain: 0.33, curve: 'linear' },
+    { source: 'mids', target: 'particleSize', gain: 1, curve: 'linear' },
+    { source: 'lows', target: 'particleOpacity', gain: 1, curve: 'linear' },
+    { source: 'lows', target: 'cameraDistance', gain: 1, curve: 'linear' },
+  ],
+};
+
+function clampNum(v, lo, hi, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(Math.max(n, lo), hi) : fallback;
+}
+
+/** Fills defaults and drops malformed features / routes (input may come from a share link). */
+export function sanitizeModulation(raw) {
+  const d = MODULATION_DEFAULTS;
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const fftSize = FFT_SIZES.includes(Number(r.fftSize)) ? Number(r.fftSize) : d.fftSize;
+
+  const features = [];
+  for (const f of Array.isArray(r.features) ? r.features : d.features) {
+    if (!f || !FEATURE_KINDS[f.kind]) continue;
+    const id = String(f.id || '').trim().slice(0, 32);
+    if (!id || features.some(x => x.id === id) || features.length >= MAX_FEATURES) continue;
+    const feature = {
+      id,
+      name: String(f.name || id).slice(0, 32),
+      kind: f.kind,
+      smoothing: clampNum(f.smoothing, 0, 0.95, 0),
+      attack: clampNum(f.attack, 0, 2, 0),
+      release: clampNum(f.release, 0, 5, 0),
+    };
+    if (f.kind === 'band') {
+      const lo = clampNum(f.lo, ...BAND_LIMITS, 20), hi = clampNum(f.hi, ...BAND_LIMITS, 20000);
+      [feature.lo, feature.hi] = lo <= hi ? [lo, hi] : [hi, lo];
+    }
+    features.push(feature);
+  }
+
+  const routes = [];
+  for (const route of Array.isArray(r.routes) ? r.routes : d.routes) {
+    if (!route || !features.some(f => f.id === route.source) || !MOD_TARGETS[route.target]) continue;
+    if (routes.length >= MAX_ROUTES) break;
+    routes.push({
+      source: route.source,
+      target: route.target,
+      gain: clampNum(route.gain, -2, 2, 1),
+      curve: MOD_CURVES[route.curve] ? route.curve : 'linear',
+    });
+  }
+  return { fftSize, features, routes };
+}
+
+export class ModulationMatrix {
+  constructor(settings = MODULATION_DEFAULTS) {
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    this.settings = sanitizeModulation(settings);
+    this.reset();
+  }
+
+  reset() {
+    this.values = {};       // feature id → 0..1 after smoothing / envelope
+    this.smoothed = {};
+    this.prevSpectrum = null;
+  }
+
+  /**
+   * Advances the features by one frame and evaluates the routes.
+   * @param {Uint8Array} spectrum Analyser byte spectrum (fftSize / 2 bins).
+   * @param {number} dt Seconds since the previous frame.
+   * @param {{ sampleRate: number, minDecibels: number, maxDecibels: number }} analyser
+   * @returns {{ features: object, targets: object }} targets: one number per MOD_TARGETS key (hue may be null)
+   */
+  process(spectrum, dt, { sampleRate, minDecibels, maxDecibels }) {
+    const binHz = sampleRate / (spectrum.length * 2);
+    const frames = dt * 60;
+    for (const f of this.settings.features) {
+      let x = 0;
+      if (f.kind === 'band') x = bandLevel(spectrum, f.lo / binHz, f.hi / binHz);
+      else if (f.kind === 'rms') x = rmsLevel(spectrum, minDecibels, maxDecibels);
+      else if (f.kind === 'centroid') x = centroid(spectrum, binHz, sampleRate / 2);
+      else if (f.kind === 'flux') x = flux(spectrum, this.prevSpectrum);
+
+      // smoothing: per-frame one-pole, like the analyser's smoothingTimeConstant
+      const s = this.smoothed[f.id] ?? x;
+      this.smoothed[f.id] = s + (x - s) * (1 - Math.pow(f.smoothing, frames));
+      // attack / release envelope (0 = instant)
+      const target = this.smoothed[f.id];
+      const v = this.values[f.id] ?? target;
+      const tau = target > v ? f.attack : f.release;
+      this.values[f.id] = tau > 0 ? v + (target - v) * (1 - Math.exp(-dt / tau)) : target;
+    }
+    this.prevSpectrum = Uint8Array.from(spectrum);
+    return { features: this.values, targets: this.evaluate() };
+  }
+
+  /** Route sums for the current feature values. */
+  evaluate() {
+    const targets = Object.fromEntries(Object.keys(MOD_TARGETS).map(t => [t, 0]));
+    targets.hue = null;
+    for (const r of this.settings.routes) {
+      const x = Math.min(1, Math.max(0, this.values[r.source] ?? 0));
+      targets[r.target] = (targets[r.target] ?? 0) + r.gain * MOD_CURVES[r.curve](x);
+    }
+    return targets;
+  }
+}
+
+function bandLevel(spectrum, fromBin, toBin) {
+  let start = Math.max(0, Math.floor(fromBin)), end = Math.min(spectrum.length, Math.ceil(toBin));
+  if (end <= start) {
+    // narrower than one bin at this fftSize: use the nearest bin
+    start = Math.min(spectrum.length - 1, Math.round((fromBin + toBin) / 2));
+    end = start + 1;
+  }
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += spectrum[i];
+  return sum / (end - start) / 255;
+}
+
+function rmsLevel(spectrum, minDb, maxDb) {
+  let power = 0;
+  for (let i = 0; i < spectrum.length; i++) {
+    const db = minDb + (spectrum[i] / 255) * (maxDb - minDb);
+    power += 10 ** (db / 10);
+  }
+  const db = 10 * Math.log10(power / spectrum.length || 1e-12);
+  return Math.min(1, Math.max(0, (db - minDb) / (maxDb - minDb)));
+}
+
+function centroid(spectrum, binHz, nyquist) {
+  let weighted = 0, total = 0;
+  for (let i = 1; i < spectrum.length; i++) {
+    weighted += i * binHz * spectrum[i];
+    total += spectrum[i];
+  }
+  if (!total) return 0;
+  const lo = Math.log(BAND_LIMITS[0]);
+  return Math.min(1, Math.max(0, (Math.log(weighted / total) - lo) / (Math.log(nyquist) - lo)));
+}
+
+function flux(spectrum, prev) {
+  if (!prev || prev.length !== spectrum.length) return 0;
+  let rise = 0;
+  for (let i = 0; i < spectrum.length; i++) if (spectrum[i] > prev[i]) rise += spectrum[i] - prev[i];
+  // a big onset raises a tenth of all bins by ~100 levels
+  return Math.min(1, rise / (spectrum.length * 255) * 20);
+}
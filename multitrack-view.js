@@ -0,0 +1,217 @@
+/*
+  multitrack-view.js
+  Timeline for multitrack sessions (see multitrack.js): a time ruler, one lane per track with its
+  controls (name, volume, pan, mute, solo, remove) and the track's clips drawn as mini waveforms.
+  Clips are dragged to move them in time, or onto another lane to move them between tracks.
+  The view only edits the session object in place and reports what changed:
+    onChange(kind, track?)   kind: 'structure' (clips / tracks / mute / solo), 'mix' (volume / pan),
+                             'name'; track is set for per-track changes
+    onSeek(seconds)          ruler clicks
+*/
+
+const HEADER_WIDTH = 176;          // px, track controls column
+const LANE_HEIGHT = 72;            // px
+const TAIL_SECONDS = 30;           // empty timeline after the last clip, to drag into
+const CLIP_PEAK_COLUMNS = 2000;    // waveform resolution cached per clip buffer
+
+const clipPeaks = new WeakMap();   // AudioBuffer → Float32Array of CLIP_PEAK_COLUMNS peak levels
+
+function peaksFor(buffer) {
+  let peaks = clipPeaks.get(buffer);
+  if (peaks) return peaks;
+  peaks = new Float32Array(CLIP_PEAK_COLUMNS);
+  const per = buffer.length / CLIP_PEAK_COLUMNS;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let p = 0; p < CLIP_PEAK_COLUMNS; p++) {
+      for (let i = Math.floor(p * per), end = Math.floor((p + 1) * per); i < end; i++) {
+        const v = Math.abs(data[i]);
+        if (v > peaks[p]) peaks[p] = v;
+      }
+    }
+  }
+  clipPeaks.set(buffer, peaks);
+  return peaks;
+}
+
+function el(tag, className, props = {}) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return Object.assign(node, props);
+}
+
+export class MultitrackView {
+  /**
+   * @param {HTMLElement} container Scrolling element the timeline is drawn into.
+   * @param {{ onChange: Function, onSeek: Function }} callbacks
+   */
+  constructor(container, { onChange, onSeek }) {
+    this.container = container;
+    this.onChange = onChange;
+    this.onSeek = onSeek;
+    this.pxPerSecond = 40;
+    this.session = null;
+    this.time = 0;
+    this.playhead = el('div', 'absolute top-0 bottom-0 w-px bg-yellow-300 pointer-events-none z-20');
+  }
+
+  setZoom(pxPerSecond) {
+    this.pxPerSecond = Math.min(400, Math.max(5, pxPerSecond));
+    this.render(this.session);
+  }
+
+  setPlayhead(time) {
+    this.time = time;
+    this.playhead.style.left = `${HEADER_WIDTH + time * this.pxPerSecond}px`;
+  }
+
+  /** Rebuilds the timeline (after structural changes). */
+  render(session) {
+    this.session = session;
+    if (!session) return;
+    const end = session.tracks.reduce((max, t) => t.clips.reduce((m, c) => Math.max(m, c.start + c.buffer.duration), max), 0);
+    const width = Math.ceil((end + TAIL_SECONDS) * this.pxPerSecond);
+
+    const root = el('div', 'relative select-none');
+    root.style.width = `${HEADER_WIDTH + width}px`;
+    root.append(this.renderRuler(width));
+    for (const track of session.tracks) root.append(this.renderTrack(track, width));
+    root.append(this.playhead);
+    this.setPlayhead(this.time);
+    this.container.replaceChildren(root);
+  }
+
+  renderRuler(width) {
+    const row = el('div', 'flex sticky top-0 z-30 bg-gray-900/90');
+    row.append(el('div', 'sticky left-0 z-10 flex-shrink-0 bg-gray-900/90 border-r border-gray-700'));
+    row.firstChild.style.width = `${HEADER_WIDTH}px`;
+    const ruler = el('div', 'relative h-6 border-b border-gray-700 cursor-pointer text-xs text-gray-400');
+    ruler.style.width = `${width}px`;
+    // a label every 1 / 5 / 10 / 30 s, whichever keeps them ~60 px apart
+    const step = [1, 5, 10, 30, 60].find(s => s * this.pxPerSecond >= 60) || 120;
+    for (let t = 0; t * this.pxPerSecond < width; t += step) {
+      const tick = el('div', 'absolute top-0 h-full border-l border-gray-600 pl-1', {
+        textContent: `${Math.floor(t / 60)}:${String(t % 60).padStart(2, '0')}`,
+      });
+      tick.style.left = `${t * this.pxPerSecond}px`;
+      ruler.append(tick);
+    }
+    ruler.addEventListener('click', e => {
+      this.onSeek((e.clientX - ruler.getBoundingClientRect().left) / this.pxPerSecond);
+    });
+    row.append(ruler);
+    return row;
+  }
+
+  renderTrack(track, width) {
+    const row = el('div', 'flex border-b border-gray-700');
+    row.style.height = `${LANE_HEIGHT}px`;
+
+    const header = el('div', 'sticky left-0 z-10 flex-shrink-0 bg-gray-900/95 border-r border-gray-700 p-2 flex flex-col gap-1 text-xs');
+    header.style.width = `${HEADER_WIDTH}px`;
+    const top = el('div', 'flex items-center gap-1');
+    const name = el('input', 'flex-grow min-w-0 bg-transparent border-b border-gray-700 text-sm', { value: track.name, title: 'Track name' });
+    name.addEventListener('change', () => { track.name = name.value; this.onChange('name', track); });
+    const toggle = (label, key, onClass, title) => {
+      const button = el('button', `px-1.5 rounded border border-gray-600 ${track[key] ? onClass : 'text-gray-400'}`, { textContent: label, title });
+      button.addEventListener('click', () => { track[key] = !track[key]; this.onChange('structure', track); this.render(this.session); });
+      return button;
+    };
+    const remove = el('button', 'text-gray-400 hover:text-white px-1', { title: 'Remove track', innerHTML: '<i class="fas fa-times"></i>' });
+    remove.addEventListener('click', () => {
+      this.session.tracks.splice(this.session.tracks.indexOf(track), 1);
+      this.onChange('structure');
+      this.render(this.session);
+    });
+    top.append(name, toggle('M', 'mute', 'bg-gray-500 text-white', 'Mute'), toggle('S', 'solo', 'bg-yellow-500 text-black', 'Solo'), remove);
+
+    const slider = (min, max, value, title, apply) => {
+      const input = el('input', 'w-full', { type: 'range', min, max, value, title });
+      input.addEventListener('input', () => { apply(Number(input.value)); this.onChange('mix', track); });
+      return input;
+    };
+    const sliders = el('div', 'grid grid-cols-2 gap-2');
+    sliders.append(
+      slider(0, 200, Math.round(track.volume * 100), 'Volume', v => { track.volume = v / 100; }),
+      slider(-100, 100, Math.round(track.pan * 100), 'Pan', v => { track.pan = v / 100; }),
+    );
+    header.append(top, sliders);
+
+    const lane = el('div', 'relative flex-shrink-0');
+    lane.dataset.trackId = track.id;
+    lane.style.width = `${width}px`;
+    for (const clip of track.clips) lane.append(this.renderClip(track, clip));
+
+    row.append(header, lane);
+    return row;
+  }
+
+  renderClip(track, clip) {
+    const pps = this.pxPerSecond;
+    const box = el('div', 'absolute top-1 bottom-1 rounded bg-blue-500/30 border border-blue-400 overflow-hidden cursor-grab', { title: clip.name });
+    box.style.left = `${clip.start * pps}px`;
+    box.style.width = `${Math.max(2, clip.buffer.duration * pps)}px`;
+
+    const canvas = el('canvas', 'absolute inset-0 w-full h-full pointer-events-none');
+    canvas.width = Math.min(CLIP_PEAK_COLUMNS, Math.max(1, Math.round(clip.buffer.duration * pps)));
+    canvas.height = LANE_HEIGHT - 10;
+    const g = canvas.getContext('2d');
+    const peaks = peaksFor(clip.buffer);
+    g.fillStyle = 'rgba(191, 219, 254, 0.8)';
+    for (let x = 0; x < canvas.width; x++) {
+      const p = peaks[Math.floor(x / canvas.width * CLIP_PEAK_COLUMNS)];
+      const h = Math.max(1, p * canvas.height);
+      g.fillRect(x, (canvas.height - h) / 2, 1, h);
+    }
+
+    const label = el('div', 'absolute top-0 left-1 right-5 truncate text-xs text-white pointer-events-none', { textContent: clip.name });
+    const remove = el('button', 'absolute top-0 right-1 text-xs text-gray-200 hover:text-white', { title: 'Remove clip', innerHTML: '<i class="fas fa-times"></i>' });
+    remove.addEventListener('pointerdown', e => e.stopPropagation());
+    remove.addEventListener('click', () => {
+      track.clips.splice(track.clips.indexOf(clip), 1);
+      this.onChange('structure', track);
+      this.render(this.session);
+    });
+    box.append(canvas, label, remove);
+
+    // drag: horizontally in time; dropping over another lane moves the clip to that track
+    box.addEventListener('pointerdown', e => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      box.setPointerCapture(e.pointerId);
+      box.classList.replace('cursor-grab', 'cursor-grabbing');
+      const startX = e.clientX, startY = e.clientY, origin = clip.start;
+      const move = ev => {
+        clip.start = Math.max(0, origin + (ev.clientX - startX) / pps);
+        box.style.left = `${clip.start * pps}px`;
+        box.style.transform = `translateY(${ev.clientY - startY}px)`;
+      };
+      const up = ev => {
+        box.removeEventListener('pointermove', move);
+        box.removeEventListener('pointerup', up);
+        box.removeEventListener('pointercancel', up);
+        box.style.visibility = 'hidden'; // so elementFromPoint finds the lane underneath
+        const lane = document.elementFromPoint(ev.clientX, ev.clientY)?.closest('[data-track-id]');
+        const target = lane && this.session.tracks.find(t => t.id === lane.dataset.trackId);
+        if (target && target !== track) {
+          track.clips.splice(track.clips.indexOf(clip), 1);
+          target.clips.push(clip);
+        }
+        this.onChange('structure', target || track);
+        this.render(this.session);
+      };
+      box.addEventListener('pointermove', move);
+      box.addEventListener('pointerup', up);
+      box.addEventListener('pointercancel', up);
+    });
+    return box;
+  }
+
+  /** Track and time (s) under a viewport point, for dropping files onto the timeline. */
+  hitTest(clientX, clientY) {
+    const lane = document.elementFromPoint(clientX, clientY)?.closest('[data-track-id]');
+    const track = lane && this.session?.tracks.find(t => t.id === lane.dataset.trackId);
+    if (!track) return null;
+    return { track, time: Math.max(0, (clientX - lane.getBoundingClientRect().left) / this.pxPerSecond) };
+  }
+}
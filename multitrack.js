@@ -0,0 +1,182 @@
+/*
+  multitrack.js
+  Multitrack sessions for the editor page: clips placed in time on parallel tracks, each
+  track with volume, pan, mute and solo. scheduleSession() drives both realtime playback
+  (MultitrackPlayer) and the offline mixdown (renderSession), so a bounce matches what you heard.
+
+  Session shape:
+    { tracks: [{ id, name, volume: 0..2, pan: -1..1, mute, solo,
+                 clips: [{ id, name, buffer: AudioBuffer, start (s) }] }] }
+  Clip buffers are decoded with the editor's AudioContext, so they share its sample rate.
+*/
+
+import { createMixStage, applyMix, reportRenderProgress } from './audio-gain.js';
+
+let lastId = 0;
+const newId = prefix => `${prefix}${++lastId}`;
+
+export function createTrack(name) {
+  return { id: newId('track'), name, volume: 1, pan: 0, mute: false, solo: false, clips: [] };
+}
+
+export function createClip(name, buffer, start = 0) {
+  return { id: newId('clip'), name, buffer, start: Math.max(0, start) };
+}
+
+/** Soloed tracks when any track is soloed, else every track that isn't muted. */
+export function audibleTracks(session) {
+  const soloed = session.tracks.filter(t => t.solo);
+  return soloed.length ? soloed : session.tracks.filter(t => !t.mute);
+}
+
+/** End of the last clip (s). */
+export function sessionDuration(session) {
+  let end = 0;
+  for (const t of session.tracks) for (const c of t.clips) end = Math.max(end, c.start + c.buffer.duration);
+  return end;
+}
+
+const trackMix = track => ({ volume: track.volume, pan: track.pan, envelope: [] });
+
+/**
+ * Schedules every audible clip, `from` seconds into the session playing at context time `when`.
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @returns {{ stages: Map<string, object>, stop: () => void }} Mix stage per track id (for live
+ *          volume / pan changes) and a function that stops and disconnects everything.
+ */
+export function scheduleSession(context, destination, session, from, when) {
+  const stages = new Map();
+  const sources = [];
+  for (const track of audibleTracks(session)) {
+    const stage = createMixStage(context);
+    applyMix(stage, trackMix(track), from, when);
+    stage.output.connect(destination);
+    stages.set(track.id, stage);
+    for (const clip of track.clips) {
+      if (clip.start + clip.buffer.duration <= from) continue;
+      const source = context.createBufferSource();
+      source.buffer = clip.buffer;
+      source.connect(stage.input);
+      source.start(when + Math.max(0, clip.start - from), Math.max(0, from - clip.start));
+      sources.push(source);
+    }
+  }
+  const stop = () => {
+    for (const source of sources) {
+      try { source.stop(); } catch {}
+      source.disconnect();
+    }
+    for (const stage of stages.values()) stage.output.disconnect();
+  };
+  return { stages, stop };
+}
+
+/**
+ * Mixes the session down offline to one stereo buffer.
+ * @param {object} session
+ * @param {{ sampleRate: number, onProgress?: (p: number) => void }} opts
+ * @returns {Promise<AudioBuffer>}
+ */
+export function renderSession(session, { sampleRate, onProgress }) {
+  const length = Math.max(1, Math.ceil(sessionDuration(session) * sampleRate));
+  const context = new OfflineAudioContext(2, length, sampleRate);
+  scheduleSession(context, context.destination, session, 0, 0);
+  if (onProgress) reportRenderProgress(context, onProgress);
+  return context.startRendering();
+}
+
+/**
+ * Realtime playback of a session. Dispatches 'play', 'pause' and 'timeupdate' (every frame while playing).
+ * Call refresh() after changing clips, mute or solo; setTrackMix() for volume / pan.
+ */
+export class MultitrackPlayer extends EventTarget {
+  /**
+   * @param {AudioContext} context
+   * @param {object} session Read on every (re)schedule, so edits to it are picked up.
+   */
+  constructor(context, session) {
+    super();
+    this.context = context;
+    this.session = session;
+    this.output = context.createGain();
+    this.position = 0;      // s, while paused
+    this.startedAt = 0;     // context time `position` was playing at
+    this.scheduled = null;
+    this.frame = 0;
+  }
+
+  get playing() { return !!this.scheduled; }
+
+  get currentTime() {
+    return this.scheduled ? this.position + (this.context.currentTime - this.startedAt) : this.position;
+  }
+
+  async play() {
+    if (this.scheduled) return;
+    if (this.context.state === 'suspended') await this.context.resume();
+    if (this.position >= sessionDuration(this.session)) this.position = 0;
+    this.schedule();
+    this.emit('play');
+    const tick = () => {
+      if (!this.scheduled) return;
+      if (this.currentTime >= sessionDuration(this.session)) {
+        this.pause();
+        return;
+      }
+      this.emit('timeupdate');
+      this.frame = requestAnimationFrame(tick);
+    };
+    this.frame = requestAnimationFrame(tick);
+  }
+
+  pause() {
+    if (!this.scheduled) return;
+    this.position = this.currentTime;
+    this.unschedule();
+    cancelAnimationFrame(this.frame);
+    this.emit('pause');
+    this.emit('timeupdate');
+  }
+
+  stop() {
+    this.pause();
+    this.seek(0);
+  }
+
+  seek(time) {
+    this.position = Math.max(0, time);
+    if (this.scheduled) {
+      this.unschedule();
+      this.schedule();
+    }
+    this.emit('timeupdate');
+  }
+
+  /** Re-reads the session (clips moved, added or removed, mute / solo changed). */
+  refresh() {
+    if (!this.scheduled) return;
+    this.position = this.currentTime;
+    this.unschedule();
+    this.schedule();
+  }
+
+  setTrackMix(track) {
+    const stage = this.scheduled?.stages.get(track.id);
+    if (stage) applyMix(stage, trackMix(track), this.currentTime, this.context.currentTime);
+  }
+
+  schedule() {
+    this.startedAt = this.context.currentTime;
+    this.scheduled = scheduleSession(this.context, this.output, this.session, this.position, this.startedAt);
+  }
+
+  unschedule() {
+    this.scheduled?.stop();
+    this.scheduled = null;
+  }
+
+  emit(type) {
+    this.dispatchEvent(new Event(type));
+  }
+}
@@ -0,0 +1,28 @@
+/*
+  noise-gate-worklet.js
+  AudioWorklet processor 'noise-gate' for the editor's live gate preview (see the gate's
+  live() in audio-effects.js). Params arrive through processorOptions and later port messages.
+*/
+
+import { createGateFollower } from './noise-gate.js';
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions }) {
+    super();
+    this.follower = createGateFollower(sampleRate, processorOptions.params);
+    this.port.onmessage = e => this.follower.set(e.data);
+  }
+
+  process([input], [output]) {
+    if (!input.length) return true;
+    for (let i = 0; i < output[0].length; i++) {
+      let peak = 0;
+      for (const data of input) peak = Math.max(peak, Math.abs(data[i]));
+      const gain = this.follower.next(peak);
+      input.forEach((data, c) => { output[c][i] = data[i] * gain; });
+    }
+    return true;
+  }
+}
+
+registerProcessor('noise-gate', NoiseGateProcessor);
@@ -0,0 +1,42 @@
+/*
+  noise-gate.js
+  The noise gate's gain follower, shared by the editor's offline "Noise gate" effect
+  (audio-effects.js) and its live preview (noise-gate-worklet.js), so both sound the same.
+  Fed one peak level per sample frame (largest across channels), it returns the gain for that frame.
+
+  Params shape: { threshold: dB, floor: dB, attack: ms, hold: ms, release: ms }
+*/
+
+const DETECTOR_FALL = 0.01;   // s, level follower: instant rise, 10 ms fall
+
+const dbToGain = db => 10 ** (db / 20);
+
+/**
+ * @param {number} sampleRate
+ * @param {object} params See the header; set() changes them later without resetting the gain.
+ * @returns {{ set(params: object): void, next(peak: number): number }}
+ */
+export function createGateFollower(sampleRate, params) {
+  const detectorCoef = Math.exp(-1 / (DETECTOR_FALL * sampleRate));
+  let open, closed, attackCoef, releaseCoef, holdFrames;
+  let level = 0, gain = null, held = 0;
+  const follower = {
+    set({ threshold, floor, attack, hold, release }) {
+      open = dbToGain(threshold);
+      closed = dbToGain(floor);
+      attackCoef = Math.exp(-1 / (attack / 1000 * sampleRate));
+      releaseCoef = Math.exp(-1 / (release / 1000 * sampleRate));
+      holdFrames = Math.round(hold / 1000 * sampleRate);
+      gain ??= closed;
+    },
+    next(peak) {
+      level = Math.max(peak, level * detectorCoef);
+      let target = closed;
+      if (level >= open) { target = 1; held = holdFrames; } else if (held > 0) { held--; target = 1; }
+      gain = target + (gain - target) * (target > gain ? attackCoef : releaseCoef);
+      return gain;
+    },
+  };
+  follower.set(params);
+  return follower;
+}
@@ -5,6 +5,8 @@
   - Noise-field motion + wrap-around edges
   - Spatial hashing for connections (better perf)
   - Respects prefers-reduced-motion, pauses when tab hidden
+  - window.setBackgroundPalette(['#rrggbb', ...] | null) overrides the accent colors
+    (e.g. with album art colors); null returns to the theme's accents
 */
 
 let particles = [];
@@ -12,6 +14,7 @@ let grid = null;               // spatial hash grid
 let pg;                        // offscreen graphics for trails
 let theme = null;              // { bg:[r,g,b], accents:[p5.color,...] }
 let reducedMotion = false;
+let paletteOverride = null;    // [[r,g,b], ...] or null
 
 const CONFIG = {
   densityBase: 0.045,          // particles per 1k px (scaled by area)
@@ -78,12 +81,25 @@ function readThemeFromCSS() {
   const a1 = hexToRgbArray(cs.getPropertyValue('--accent-primary') || '#e53e3e', [229, 62, 62]);
   const a2 = hexToRgbArray(cs.getPropertyValue('--accent-secondary') || '#4299e1', [66, 153, 225]);
   const a3 = hexToRgbArray(cs.getPropertyValue('--accent-tertiary') || '#f6e05e', [246, 224, 94]);
+  const accents = paletteOverride || [a1, a2, a3];
   return {
     bg,
-    accents: [color(a1[0], a1[1], a1[2]), color(a2[0], a2[1], a2[2]), color(a3[0], a3[1], a3[2])]
+    accents: accents.map(c => color(c[0], c[1], c[2]))
   };
 }
 
+function recolorParticles() {
+  for (const p of particles) p.color = random(theme.accents);
+}
+
+window.setBackgroundPalette = function (hexes) {
+  const list = Array.isArray(hexes) ? hexes.map(h => hexToRgbArray(h, null)).filter(Boolean) : [];
+  paletteOverride = list.length ? list : null;
+  if (!theme) return; // setup() hasn't run yet; it will pick the override up
+  theme = readThemeFromCSS();
+  recolorParticles();
+};
+
 class Particle {
   constructor() {
     this.x = random(width);
@@ -0,0 +1,484 @@
+/*
+  playback-engine.js
+  Two-deck player for the playlist. While one deck plays, the next track is cued on the other,
+  so track changes don't have to wait for a fresh load:
+  - gapless:    tracks are decoded into AudioBuffers and the cued one is started with
+                AudioBufferSourceNode.start(when) on the sample right after the current one's
+                last, on the shared AudioContext. Tracks longer than MAX_DECODED_SECONDS (or that
+                fail to decode) stream from the deck's <audio> element instead; a change to or
+                from one of those is timed like a crossfade of length zero, so it's not exact
+  - crossfade:  tracks stream from the decks' <audio> elements, which overlap for `duration`
+                seconds along an equal-power, linear or S-curve fade
+  Switches are timed on the audio clock (not setTimeout), so they stay on time in background tabs.
+  A mode change applies from the next track that is loaded or cued.
+  Both decks mix into `output` (a GainNode); anything listening there, like the analyser,
+  gets one continuous signal across the change. Each deck has its own `trim` gain, set per
+  track (volume normalization), ahead of the fade gain.
+
+  Events (EventTarget):
+    play, pause, timeupdate, loadedmetadata   from the active deck only
+    ended     the active deck ran out with nothing cued
+    advance   the cued track took over by itself; detail: { url }
+*/
+
+export const TRANSITION_MODES = ['gapless', 'crossfade'];
+export const CROSSFADE_CURVES = ['equal-power', 'linear', 's-curve'];
+export const TRANSITION_DEFAULTS = { mode: 'gapless', duration: 6, curve: 'equal-power' };
+
+const MAX_DECODED_SECONDS = 20 * 60;  // longer tracks stream (a decoded stereo minute is ~23 MB)
+const ELEMENT_LEAD = 0.03;    // s; covers play() start-up on a preloaded <audio> element
+const ARM_AHEAD = 2;          // s; the switch timer is armed this close to the switch
+const TICK = 0.25;            // s between timeupdate events while a decoded track plays
+const CURVE_STEPS = 128;
+
+// Gain curve for one side of a fade; the fade-out side mirrors the fade-in
+function fadeCurve(curve, fadeIn) {
+  const values = new Float32Array(CURVE_STEPS);
+  for (let i = 0; i < CURVE_STEPS; i++) {
+    const x = i / (CURVE_STEPS - 1);
+    const t = fadeIn ? x : 1 - x;
+    values[i] = curve === 'linear' ? t
+      : curve === 's-curve' ? (1 - Math.cos(Math.PI * t)) / 2
+      : Math.sin(t * Math.PI / 2); // equal-power
+  }
+  return values;
+}
+
+// Calls `fn` after `seconds` of audio-clock time; returns a cancel function
+function audioClockTimeout(ctx, seconds, fn) {
+  const node = ctx.createConstantSource();
+  node.offset.value = 0;
+  node.connect(ctx.destination); // silent; connected so the node is processed
+  node.onended = () => { node.disconnect(); fn(); };
+  node.start();
+  node.stop(ctx.currentTime + Math.max(0, seconds));
+  return () => {
+    node.onended = null;
+    try { node.stop(); } catch {}
+    node.disconnect();
+  };
+}
+
+// Resolves with the element's duration once its metadata is in
+function metadataDuration(el) {
+  if (el.readyState >= 1) return Promise.resolve(el.duration);
+  return new Promise((resolve, reject) => {
+    const done = (ok) => {
+      el.removeEventListener('loadedmetadata', onLoaded);
+      el.removeEventListener('error', onError);
+      if (ok) resolve(el.duration);
+      else reject(new Error('Could not load the track'));
+    };
+    const onLoaded = () => done(true), onError = () => done(false);
+    el.addEventListener('loadedmetadata', onLoaded);
+    el.addEventListener('error', onError);
+  });
+}
+
+// A deck plays its track from `buffer` once decoded, else from its <audio> element
+function createDeck(ctx, output) {
+  const el = new Audio();
+  el.preload = 'auto';
+  const trim = ctx.createGain();
+  const gain = ctx.createGain();
+  ctx.createMediaElementSource(el).connect(trim);
+  trim.connect(gain).connect(output);
+  return {
+    el, trim, gain, url: null,
+    buffer: null, decoding: false, ready: Promise.resolve(),
+    autoplay: false,   // play once decoded (cleared by pause())
+    source: null, playing: false,
+    startedAt: 0,   // context time the buffer's first sample plays (or played) at
+    offset: 0,      // buffer position (s) while stopped
+  };
+}
+
+const deckPaused = deck => (deck.buffer ? !deck.playing : deck.el.paused);
+const deckDuration = deck => (deck.buffer ? deck.buffer.duration : deck.el.duration);
+
+function deckTime(deck, ctx) {
+  if (!deck.buffer) return deck.el.currentTime;
+  if (!deck.playing) return deck.offset;
+  return Math.min(deck.buffer.duration, Math.max(0, ctx.currentTime - deck.startedAt));
+}
+
+// Stops a deck's buffer source, keeping its position
+function stopBuffer(deck, ctx) {
+  if (!deck.source) return;
+  deck.offset = deckTime(deck, ctx);
+  deck.source.onended = null;
+  try { deck.source.stop(); } catch {}
+  deck.source.disconnect();
+  deck.source = null;
+  deck.playing = false;
+}
+
+function setGain(deck, value, ctx) {
+  deck.gain.gain.cancelScheduledValues(ctx.currentTime);
+  deck.gain.gain.setValueAtTime(value, ctx.currentTime);
+}
+
+function setTrim(deck, value, ctx) {
+  deck.trim.gain.cancelScheduledValues(ctx.currentTime);
+  deck.trim.gain.setValueAtTime(value, ctx.currentTime);
+}
+
+export class PlaybackEngine extends EventTarget {
+  /** @param {AudioContext} ctx */
+  constructor(ctx) {
+    super();
+    this.ctx = ctx;
+    this.output = ctx.createGain();
+    this.settings = { ...TRANSITION_DEFAULTS };
+    this.decks = [createDeck(ctx, this.output), createDeck(ctx, this.output)];
+    this.active = 0;
+    this.cuedUrl = null;
+    this.cuedGain = 1;
+    this.fading = null;         // outgoing deck during a crossfade
+    this.cancelSwitch = null;
+    this.cancelFade = null;
+    this.scheduledDeck = null;  // idle deck already started at the exact switch time (gapless)
+    this.switchAt = 0;          // context time of that switch
+    this.ticker = null;
+
+    this.decks.forEach((deck, i) => {
+      for (const type of ['play', 'pause', 'timeupdate', 'loadedmetadata']) {
+        deck.el.addEventListener(type, () => {
+          if (i !== this.active) return;
+          if (type !== 'pause') this.schedule();
+          this.emit(type);
+        });
+      }
+      deck.el.addEventListener('ended', () => this.onEnded(i));
+    });
+  }
+
+  get current() { return this.decks[this.active]; }
+  get idle() { return this.decks[1 - this.active]; }
+
+  get paused() { return deckPaused(this.current); }
+  get duration() { return deckDuration(this.current); }
+  get currentTime() { return deckTime(this.current, this.ctx); }
+  set currentTime(t) {
+    const deck = this.current;
+    if (deck.buffer) {
+      const to = Math.min(Math.max(0, Number(t) || 0), deck.buffer.duration);
+      if (deck.playing) this.startBuffer(deck, to);
+      else deck.offset = to;
+      this.emit('timeupdate');
+    } else {
+      deck.el.currentTime = t;
+    }
+    this.schedule();
+  }
+
+  /** @param {{ mode?: string, duration?: number, curve?: string }} patch */
+  configure(patch = {}) {
+    const s = this.settings;
+    const mode = s.mode;
+    if (TRANSITION_MODES.includes(patch.mode)) s.mode = patch.mode;
+    if (CROSSFADE_CURVES.includes(patch.curve)) s.curve = patch.curve;
+    if (Number.isFinite(Number(patch.duration))) s.duration = Math.min(Math.max(Number(patch.duration), 0.5), 15);
+    if (s.mode !== mode && this.cuedUrl && !this.fading) {
+      // prepare the cued track for the new mode (decoded for gapless, streamed for crossfade)
+      this.clearSwitch();
+      this.loadInto(this.idle, null);
+      this.loadInto(this.idle, this.cuedUrl);
+    }
+    this.schedule();
+  }
+
+  /**
+   * Switches to `url` right away (no transition) and starts playing it. In gapless mode it
+   * starts once decoded.
+   * @param {{ startAt?: number, gain?: number }} [options] gain: the track's trim (linear)
+   */
+  async load(url, { startAt = 0, gain = 1 } = {}) {
+    this.clearSwitch();
+    this.endFade();
+    const deck = this.current;
+    this.loadInto(deck, url);
+    setGain(deck, 1, this.ctx);
+    setTrim(deck, gain, this.ctx);
+    // whatever was cued belongs to the old position in the playlist
+    this.cuedUrl = null;
+    this.loadInto(this.idle, null);
+    this.syncTicker();
+
+    deck.autoplay = true;
+    await deck.ready;
+    if (deck !== this.current || deck.url !== url) return; // another load() took over
+    if (deck.buffer) {
+      deck.offset = Math.min(startAt, Math.max(0, deck.buffer.duration - 1));
+      this.emit('loadedmetadata');
+    } else if (startAt > 0) {
+      metadataDuration(deck.el).then((duration) => {
+        if (deck.url === url) deck.el.currentTime = Math.min(startAt, Math.max(0, duration - 1));
+      }).catch(() => {});
+    }
+    if (deck.autoplay) return this.play();
+  }
+
+  /** Preloads the track that should follow the current one (null: nothing follows). */
+  cue(url, { gain = 1 } = {}) {
+    url = url || null;
+    this.cuedGain = gain;
+    if (url === this.cuedUrl) return;
+    this.clearSwitch();
+    this.cuedUrl = url;
+    // mid-crossfade the idle deck is still fading out; endFade() loads it afterwards
+    if (!this.fading) this.loadInto(this.idle, url);
+    this.schedule();
+  }
+
+  /** Changes the playing track's trim (e.g. when normalization settings change). */
+  setTrackGain(gain) {
+    this.current.trim.gain.setTargetAtTime(gain, this.ctx.currentTime, 0.05);
+  }
+
+  play() {
+    if (this.ctx.state === 'suspended') this.ctx.resume();
+    return this.playDeck(this.current);
+  }
+
+  pause() {
+    this.clearSwitch();
+    this.endFade();
+    const deck = this.current;
+    deck.autoplay = false;
+    if (!deck.buffer) {
+      deck.el.pause();
+      return;
+    }
+    if (!deck.playing) return;
+    stopBuffer(deck, this.ctx);
+    this.syncTicker();
+    this.emit('pause');
+  }
+
+  /** Unloads both decks. */
+  stop() {
+    this.clearSwitch();
+    this.endFade();
+    this.cuedUrl = null;
+    for (const deck of this.decks) this.loadInto(deck, null);
+    this.syncTicker();
+  }
+
+  // --- internals ---
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  loadInto(deck, url) {
+    deck.el.pause();
+    stopBuffer(deck, this.ctx);
+    deck.offset = 0;
+    if (deck.url === url) {
+      if (url && !deck.buffer) deck.el.currentTime = 0;
+      return;
+    }
+    deck.url = url;
+    deck.buffer = null;
+    deck.decoding = false;
+    deck.autoplay = false;
+    if (url) deck.el.src = url;
+    else deck.el.removeAttribute('src');
+    deck.el.load();
+    deck.ready = url && this.settings.mode === 'gapless' ? this.decode(deck, url) : Promise.resolve();
+  }
+
+  // Decodes the deck's track for sample-accurate starts, unless it's too long to hold in memory;
+  // the element only loads its metadata meanwhile, and is emptied once the buffer is there
+  async decode(deck, url) {
+    deck.decoding = true;
+    try {
+      const duration = await metadataDuration(deck.el);
+      if (deck.url !== url || !(duration <= MAX_DECODED_SECONDS)) return;
+      const buffer = await this.ctx.decodeAudioData(await (await fetch(url)).arrayBuffer());
+      if (deck.url !== url) return;
+      deck.buffer = buffer;
+      deck.el.removeAttribute('src');
+      deck.el.load();
+    } catch (e) {
+      if (deck.url === url) console.warn('Could not decode the track; streaming it instead:', e);
+    } finally {
+      if (deck.url === url) deck.decoding = false;
+    }
+    if (deck === this.idle) this.schedule();
+  }
+
+  // Starts a deck now (or once its decode is done)
+  playDeck(deck) {
+    if (deck.decoding) {
+      deck.autoplay = true;
+      return deck.ready.then(() => (deck.autoplay && !deck.decoding ? this.playDeck(deck) : undefined));
+    }
+    if (!deck.buffer) return deck.el.play();
+    if (deck.playing) return Promise.resolve();
+    if (deck.offset >= deck.buffer.duration) deck.offset = 0;
+    this.startBuffer(deck, deck.offset);
+    if (deck === this.current) {
+      this.syncTicker();
+      this.emit('play');
+      this.schedule();
+    }
+    return Promise.resolve();
+  }
+
+  // Plays the deck's buffer from `offset` (s), starting at context time `when`
+  startBuffer(deck, offset, when = this.ctx.currentTime) {
+    stopBuffer(deck, this.ctx);
+    const source = this.ctx.createBufferSource();
+    source.buffer = deck.buffer;
+    source.connect(deck.trim);
+    source.onended = () => {
+      if (deck.source !== source) return;
+      source.disconnect();
+      deck.source = null;
+      deck.playing = false;
+      deck.offset = deck.buffer?.duration ?? 0;
+      this.onEnded(this.decks.indexOf(deck));
+    };
+    source.start(when, offset);
+    deck.source = source;
+    deck.startedAt = when - offset;
+    deck.playing = true;
+  }
+
+  // Decoded tracks have no element to report progress, so they get a timer of their own
+  syncTicker() {
+    const on = !!this.current.buffer && this.current.playing;
+    if (on && !this.ticker) {
+      this.ticker = setInterval(() => {
+        this.emit('timeupdate');
+        this.schedule();
+      }, TICK * 1000);
+    } else if (!on && this.ticker) {
+      clearInterval(this.ticker);
+      this.ticker = null;
+    }
+  }
+
+  // How long before the current track's end the switch happens (when not sample-accurate)
+  transitionLength() {
+    if (this.settings.mode !== 'crossfade') return ELEMENT_LEAD;
+    const halves = [deckDuration(this.current), deckDuration(this.idle)]
+      .filter(Number.isFinite).map(d => d / 2);
+    return Math.min(this.settings.duration, ...halves);
+  }
+
+  // (Re)arms the switch; called on every timeupdate
+  schedule() {
+    const deck = this.current, next = this.idle;
+    if (!this.cuedUrl || this.fading || deckPaused(deck) || !Number.isFinite(deckDuration(deck))) {
+      this.clearSwitch();
+      return;
+    }
+    if (this.settings.mode === 'gapless' && deck.buffer && next.buffer) {
+      // both decoded: start the next one on the sample after this one's last
+      const at = deck.startedAt + deck.buffer.duration;
+      if (this.scheduledDeck === next && this.switchAt === at) return;
+      this.clearSwitch();
+      setGain(next, 1, this.ctx);
+      setTrim(next, this.cuedGain, this.ctx);
+      this.startBuffer(next, 0, at);
+      this.scheduledDeck = next;
+      this.switchAt = at;
+      this.cancelSwitch = audioClockTimeout(this.ctx, at - this.ctx.currentTime, () => {
+        this.cancelSwitch = null;
+        this.advance();
+      });
+      return;
+    }
+    this.clearSwitch();
+    const rate = deck.buffer ? 1 : deck.el.playbackRate || 1;
+    const remaining = (deckDuration(deck) - deckTime(deck, this.ctx)) / rate;
+    const wait = remaining - this.transitionLength();
+    if (wait > ARM_AHEAD) return;
+    this.cancelSwitch = audioClockTimeout(this.ctx, wait, () => {
+      this.cancelSwitch = null;
+      this.advance();
+    });
+  }
+
+  clearSwitch() {
+    this.cancelSwitch?.();
+    this.cancelSwitch = null;
+    const deck = this.scheduledDeck;
+    if (!deck) return;
+    this.scheduledDeck = null;
+    stopBuffer(deck, this.ctx);
+    deck.offset = 0;
+  }
+
+  advance() {
+    const url = this.cuedUrl;
+    const to = this.idle;
+    const started = this.scheduledDeck === to;  // already playing since the exact switch time
+    this.scheduledDeck = null;
+    this.clearSwitch();
+    if (!url) return;
+    const from = this.current;
+    const fade = this.settings.mode === 'crossfade' ? this.transitionLength() : 0;
+
+    this.active = 1 - this.active;
+    this.cuedUrl = null;
+    if (to.url !== url) this.loadInto(to, url);
+    if (!started) setTrim(to, this.cuedGain, this.ctx);
+
+    const crossfade = fade > 0.05 && !deckPaused(from);
+    if (crossfade) {
+      const now = this.ctx.currentTime;
+      to.gain.gain.cancelScheduledValues(now);
+      to.gain.gain.setValueCurveAtTime(fadeCurve(this.settings.curve, true), now, fade);
+      from.gain.gain.cancelScheduledValues(now);
+      from.gain.gain.setValueCurveAtTime(fadeCurve(this.settings.curve, false), now, fade);
+    } else if (!started) {
+      setGain(to, 1, this.ctx);
+    }
+    if (!deckPaused(from)) {
+      // let the outgoing deck finish (its last few ms when gapless) before it is reused
+      this.fading = from;
+      this.cancelFade = audioClockTimeout(this.ctx, crossfade ? fade : ELEMENT_LEAD * 2, () => {
+        this.cancelFade = null;
+        this.endFade();
+      });
+    }
+
+    if (!started) {
+      Promise.resolve(this.playDeck(to)).catch(e => { if (e.name !== 'AbortError') console.error('Playback error:', e); });
+    }
+    this.syncTicker();
+    this.emit('advance', { url });
+    this.emit('loadedmetadata');
+  }
+
+  // Stops a crossfade's outgoing deck and readies it for the next cue
+  endFade() {
+    this.cancelFade?.();
+    this.cancelFade = null;
+    const deck = this.fading;
+    if (!deck) return;
+    this.fading = null;
+    deck.el.pause();
+    stopBuffer(deck, this.ctx);
+    setGain(deck, 1, this.ctx);
+    this.loadInto(deck, this.cuedUrl);
+    this.schedule();
+  }
+
+  onEnded(i) {
+    if (i !== this.active) {
+      if (this.decks[i] === this.fading) this.endFade();
+      return;
+    }
+    // the timer can miss very short tracks; switch now rather than stop
+    if (this.cuedUrl) {
+      this.advance();
+    } else {
+      this.syncTicker();
+      this.emit('ended');
+    }
+  }
+}
@@ -0,0 +1,204 @@
+/*
+  playlist-formats.js
+  Reading and writing playlist files from desktop players:
+  - M3U / M3U8  (#EXTM3U, #EXTINF:<seconds>,<Artist - Title>, #PLAYLIST:<name>)
+  - PLS         ([playlist] FileN / TitleN / LengthN)
+  - XSPF        (XML <trackList><track><location|title|creator|duration ms>)
+  parsePlaylist() gives { title, entries: [{ location, title, duration }] }; matchEntries()
+  pairs entries with the audio files that came with it (by relative path, then filename);
+  serializePlaylist() writes our playlist back out.
+*/
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { label: 'M3U8', mime: 'audio/x-mpegurl', ext: 'm3u8' },
+  m3u:  { label: 'M3U',  mime: 'audio/x-mpegurl', ext: 'm3u' },
+  pls:  { label: 'PLS',  mime: 'audio/x-scpls', ext: 'pls' },
+  xspf: { label: 'XSPF', mime: 'application/xspf+xml', ext: 'xspf' },
+};
+
+function extensionOf(name) {
+  return String(name || '').split('.').pop().toLowerCase();
+}
+
+export function isPlaylistFile(file) {
+  return !!PLAYLIST_FORMATS[extensionOf(file?.name)];
+}
+
+// Old .m3u files are often Latin-1; fall back when the text isn't valid UTF-8
+async function readText(file) {
+  const bytes = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+function positive(n) {
+  const v = Number(n);
+  return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+function parseM3U(text) {
+  const out = { title: null, entries: [] };
+  let info = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) info = { duration: positive(extinf[1]), title: extinf[2].trim() || null };
+      else if (/^#PLAYLIST:/i.test(line)) out.title = line.slice(10).trim() || null;
+      continue;
+    }
+    out.entries.push({ location: line, title: info?.title ?? null, duration: info?.duration ?? null });
+    info = null;
+  }
+  return out;
+}
+
+function parsePLS(text) {
+  const fields = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const m = raw.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!m) continue;
+    const n = Number(m[2]);
+    (fields[n] ??= {})[m[1].toLowerCase()] = m[3].trim();
+  }
+  const entries = Object.keys(fields).map(Number).sort((a, b) => a - b)
+    .filter(n => fields[n].file)
+    .map(n => ({ location: fields[n].file, title: fields[n].title || null, duration: positive(fields[n].length) }));
+  return { title: null, entries };
+}
+
+function parseXSPF(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('XSPF file is not valid XML');
+  // namespaced documents: match on local names
+  const child = (el, name) => [...el.children].find(c => c.localName === name);
+  const playlist = doc.documentElement;
+  const trackList = child(playlist, 'trackList');
+  const entries = [...(trackList?.children || [])].filter(t => t.localName === 'track').map(track => {
+    const title = child(track, 'title')?.textContent.trim();
+    const creator = child(track, 'creator')?.textContent.trim();
+    const ms = positive(child(track, 'duration')?.textContent);
+    return {
+      location: child(track, 'location')?.textContent.trim() || '',
+      title: title ? (creator ? `${creator} - ${title}` : title) : null,
+      duration: ms ? ms / 1000 : null,
+    };
+  }).filter(e => e.location);
+  return { title: child(playlist, 'title')?.textContent.trim() || null, entries };
+}
+
+/**
+ * @param {File} file An .m3u/.m3u8/.pls/.xspf file.
+ * @returns {Promise<{ title: string|null, entries: { location: string, title: string|null, duration: number|null }[] }>}
+ */
+export async function parsePlaylist(file) {
+  const text = await readText(file);
+  const ext = extensionOf(file.name);
+  const parsed = ext === 'pls' ? parsePLS(text) : ext === 'xspf' ? parseXSPF(text) : parseM3U(text);
+  parsed.title ??= file.name.replace(/\.[^.]+$/, '');
+  return parsed;
+}
+
+// "file:///C:/Music/a%20b.mp3", "..\\Music\\a b.mp3" -> ["music", "a b.mp3"]
+function pathSegments(location) {
+  let p = location;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(p) && !/^[a-z]:[\\/]/i.test(p)) {
+    try { p = new URL(p).pathname; } catch {}
+  }
+  try { p = decodeURIComponent(p); } catch {}
+  return p.replace(/\\/g, '/').split('/').filter(s => s && s !== '.' && s !== '..').map(s => s.toLowerCase());
+}
+
+/**
+ * Pairs playlist entries with files. An entry matches the file whose path shares the
+ * longest tail with the entry's location (so "Disc 2/01.mp3" beats another "01.mp3");
+ * a bare filename match is the fallback. Each file is used once.
+ * @param {{ location: string }[]} entries
+ * @param {{ file: File, path: string }[]} files path relative to the drop (or just the name)
+ * @returns {{ matched: { entry: object, file: File, path?: string }[], missing: object[], unused: File[] }}
+ */
+export function matchEntries(entries, files) {
+  const candidates = files.map(f => ({ ...f, segments: pathSegments(f.path || f.file.name), used: false }));
+  const byName = new Map();
+  for (const c of candidates) {
+    const name = c.segments.at(-1);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(c);
+  }
+
+  const matched = [], missing = [];
+  for (const entry of entries) {
+    const want = pathSegments(entry.location);
+    const options = (byName.get(want.at(-1)) || []).filter(c => !c.used);
+    let best = null, bestScore = 0;
+    for (const c of options) {
+      let score = 0;
+      while (score < want.length && score < c.segments.length
+        && want[want.length - 1 - score] === c.segments[c.segments.length - 1 - score]) score++;
+      if (score > bestScore) { best = c; bestScore = score; }
+    }
+    if (best) {
+      best.used = true;
+      matched.push({ entry, file: best.file, path: best.path });
+    } else {
+      missing.push(entry);
+    }
+  }
+  return { matched, missing, unused: candidates.filter(c => !c.used).map(c => c.file) };
+}
+
+// --- Export ---
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/**
+ * @param {'m3u8'|'m3u'|'pls'|'xspf'} format
+ * @param {{ location: string, title?: string, artist?: string, duration?: number }[]} tracks
+ *        `location` is written as-is (a path relative to the playlist, or a filename), URI-encoded for XSPF.
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+export function serializePlaylist(format, tracks, { title = 'Playlist' } = {}) {
+  const secs = t => (t.duration > 0 ? Math.round(t.duration) : -1);
+  const display = t => (t.artist && t.title ? `${t.artist} - ${t.title}` : t.title || t.location);
+
+  if (format === 'pls') {
+    const lines = ['[playlist]'];
+    tracks.forEach((t, i) => {
+      lines.push(`File${i + 1}=${t.location}`, `Title${i + 1}=${display(t)}`, `Length${i + 1}=${secs(t)}`);
+    });
+    lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  if (format === 'xspf') {
+    const items = tracks.map(t => [
+      '    <track>',
+      `      <location>${escapeXml(t.location.split('/').map(encodeURIComponent).join('/'))}</location>`,
+      t.title ? `      <title>${escapeXml(t.title)}</title>` : null,
+      t.artist ? `      <creator>${escapeXml(t.artist)}</creator>` : null,
+      t.duration > 0 ? `      <duration>${Math.round(t.duration * 1000)}</duration>` : null,
+      '    </track>',
+    ].filter(Boolean).join('\n'));
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(title)}</title>`,
+      '  <trackList>',
+      ...items,
+      '  </trackList>',
+      '</playlist>',
+      '',
+    ].join('\n');
+  }
+
+  // M3U / M3U8 (both written as UTF-8)
+  const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+  for (const t of tracks) lines.push(`#EXTINF:${secs(t)},${display(t)}`, t.location);
+  return lines.join('\n') + '\n';
+}
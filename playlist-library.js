@@ -0,0 +1,194 @@
+/*
+  playlist-library.js
+  IndexedDB-backed track library and named playlists for the visualizer.
+  - tracks:    { id, fingerprint, name, path?, type, size, lastModified, addedAt, blob, meta? }
+               de-duplicated by fingerprint, so a file in several playlists is stored once;
+               `path` is where the file was within a dropped folder (e.g. "/Album/01.mp3");
+               `meta` holds parsed tags (see track-metadata.js) so they're read only once
+  - playlists: { id, name, trackIds, currentTrackId, position, createdAt, updatedAt }
+  - meta:      { key, value } (e.g. the active playlist)
+  Tracks no playlist references any more are removed by collectGarbage().
+*/
+
+const DB_NAME = 'audiohub-library';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) { reject(new Error('IndexedDB is not available')); return; }
+    const open = indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      const db = open.result;
+      if (!db.objectStoreNames.contains('tracks')) {
+        db.createObjectStore('tracks', { keyPath: 'id' }).createIndex('fingerprint', 'fingerprint', { unique: true });
+      }
+      if (!db.objectStoreNames.contains('playlists')) db.createObjectStore('playlists', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+    };
+    open.onsuccess = () => {
+      const db = open.result;
+      // another tab upgraded the schema; drop our handle so it isn't blocked
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    open.onerror = () => reject(open.error);
+    open.onblocked = () => reject(new Error('Library database is blocked by another tab'));
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Runs `fn(stores)` in one transaction; resolves with fn's result once the transaction commits. */
+async function transact(storeNames, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(n => [n, tx.objectStore(n)]));
+    let result;
+    Promise.resolve(fn(stores)).then(r => { result = r; }, err => { try { tx.abort(); } catch {} reject(err); });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function newId() {
+  return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+export function fingerprintOf(file) {
+  return `${file.name}::${file.size ?? -1}::${file.lastModified ?? 0}`;
+}
+
+export function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || /quota/i.test(err?.message || '');
+}
+
+// --- Tracks ---
+/**
+ * Stores a File/Blob (or reuses an identical stored one) and returns its track id.
+ * With `playlistId`, the id is also added to that playlist in the same transaction,
+ * so collectGarbage() never finds the track unreferenced. `path` (its place in a dropped
+ * folder) is kept with the record.
+ */
+export async function putTrack(file, playlistId = null, path = null) {
+  const fingerprint = fingerprintOf(file);
+  return transact(['tracks', 'playlists'], 'readwrite', async ({ tracks, playlists }) => {
+    const existing = await promisify(tracks.index('fingerprint').get(fingerprint));
+    const id = existing?.id ?? newId();
+    const list = playlistId ? await promisify(playlists.get(playlistId)) : null;
+    if (list && !list.trackIds.includes(id)) playlists.put({ ...list, trackIds: [...list.trackIds, id], updatedAt: Date.now() });
+    if (existing) {
+      if (path && !existing.path) tracks.put({ ...existing, path });
+      return id;
+    }
+    tracks.add({
+      id,
+      fingerprint,
+      name: file.name,
+      ...(path && { path }),
+      type: file.type || '',
+      size: file.size,
+      lastModified: file.lastModified || 0,
+      addedAt: Date.now(),
+      blob: file,
+    });
+    return id;
+  });
+}
+
+/** Resolves to records in the same order as `ids` (null where a track is missing). */
+export async function getTracks(ids) {
+  return transact(['tracks'], 'readonly', ({ tracks }) =>
+    Promise.all(ids.map(id => promisify(tracks.get(id)).then(t => t || null))));
+}
+
+/** Merges `patch` into a stored track record (e.g. { meta }). */
+export async function updateTrack(id, patch) {
+  return transact(['tracks'], 'readwrite', async ({ tracks }) => {
+    const current = await promisify(tracks.get(id));
+    if (!current) return null;
+    const next = { ...current, ...patch, id };
+    tracks.put(next);
+    return next;
+  });
+}
+
+/** Deletes tracks no playlist references. Returns how many were removed. */
+export async function collectGarbage() {
+  return transact(['tracks', 'playlists'], 'readwrite', async ({ tracks, playlists }) => {
+    const lists = await promisify(playlists.getAll());
+    const referenced = new Set(lists.flatMap(p => p.trackIds));
+    const keys = await promisify(tracks.getAllKeys());
+    let removed = 0;
+    for (const id of keys) {
+      if (!referenced.has(id)) { tracks.delete(id); removed++; }
+    }
+    return removed;
+  });
+}
+
+// --- Playlists ---
+export async function listPlaylists() {
+  const all = await transact(['playlists'], 'readonly', ({ playlists }) => promisify(playlists.getAll()));
+  return all.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function getPlaylist(id) {
+  return transact(['playlists'], 'readonly', ({ playlists }) => promisify(playlists.get(id)).then(p => p || null));
+}
+
+export async function createPlaylist(name) {
+  const now = Date.now();
+  const record = { id: newId(), name: String(name || 'Untitled').slice(0, 80), trackIds: [], currentTrackId: null, position: 0, createdAt: now, updatedAt: now };
+  await transact(['playlists'], 'readwrite', ({ playlists }) => { playlists.add(record); });
+  return record;
+}
+
+/** Merges `patch` into a playlist record. */
+export async function updatePlaylist(id, patch) {
+  return transact(['playlists'], 'readwrite', async ({ playlists }) => {
+    const current = await promisify(playlists.get(id));
+    if (!current) return null;
+    const next = { ...current, ...patch, id, updatedAt: Date.now() };
+    playlists.put(next);
+    return next;
+  });
+}
+
+export async function deletePlaylist(id) {
+  await transact(['playlists'], 'readwrite', ({ playlists }) => { playlists.delete(id); });
+  await collectGarbage();
+}
+
+// --- Meta ---
+export async function getMeta(key) {
+  return transact(['meta'], 'readonly', ({ meta }) => promisify(meta.get(key)).then(r => r?.value));
+}
+
+export async function setMeta(key, value) {
+  return transact(['meta'], 'readwrite', ({ meta }) => { meta.put({ key, value }); });
+}
+
+// --- Storage quota ---
+/** { usage, quota, persisted } in bytes; nulls where the browser doesn't say. */
+export async function storageEstimate() {
+  const est = await navigator.storage?.estimate?.().catch(() => null);
+  const persisted = await navigator.storage?.persisted?.().catch(() => false);
+  return { usage: est?.usage ?? null, quota: est?.quota ?? null, persisted: !!persisted };
+}
+
+/** Asks the browser not to evict the library under storage pressure. */
+export async function requestPersistence() {
+  try { return await navigator.storage?.persist?.() ?? false; } catch { return false; }
+}
@@ -0,0 +1,151 @@
+/*
+  post-fx.js
+  EffectComposer chain for the visualizer: bloom, chromatic aberration, film grain and
+  afterimage trails. Each effect is toggled and scaled with `setEffect(name, { enabled, intensity })`
+  (intensity 0..100, same range as the settings sliders). When nothing is enabled the scene
+  is drawn with a plain renderer.render, keeping the canvas transparent over the p5 background.
+*/
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+const ChromaticAberrationShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    amount: { value: 0.003 },
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+    }`,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float amount;
+    varying vec2 vUv;
+    void main() {
+      // radial split: stronger towards the edges
+      vec2 offset = ( vUv - 0.5 ) * amount;
+      vec4 g = texture2D( tDiffuse, vUv );
+      float r = texture2D( tDiffuse, vUv + offset ).r;
+      float b = texture2D( tDiffuse, vUv - offset ).b;
+      gl_FragColor = vec4( r, g.g, b, g.a );
+    }`,
+};
+
+export const EFFECT_DEFAULTS = {
+  bloom:     { enabled: false, intensity: 50 },
+  chromatic: { enabled: false, intensity: 30 },
+  grain:     { enabled: false, intensity: 30 },
+  trails:    { enabled: false, intensity: 50 },
+};
+
+export class PostFX {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   */
+  constructor(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.settings = structuredClone(EFFECT_DEFAULTS);
+    this.composer = null;   // built lazily on first enabled effect
+    this.beat = 0;          // 0..1, briefly boosts bloom on beats
+  }
+
+  build() {
+    const size = this.renderer.getSize(new THREE.Vector2());
+    const composer = new EffectComposer(this.renderer);
+    composer.addPass(new RenderPass(this.scene, this.camera));
+
+    this.bloomPass = new UnrealBloomPass(size, 1, 0.4, 0.1);
+    this.trailsPass = new AfterimagePass(0.9);
+    this.chromaticPass = new ShaderPass(ChromaticAberrationShader);
+    this.grainPass = new FilmPass(0.3, false);
+
+    composer.addPass(this.bloomPass);
+    composer.addPass(this.trailsPass);
+    composer.addPass(this.chromaticPass);
+    composer.addPass(this.grainPass);
+    composer.addPass(new OutputPass());
+
+    this.composer = composer;
+    this.applySettings(this.settings);
+  }
+
+  /** Copies every effect's settings (e.g. from the live chain onto an export chain). */
+  applySettings(settings) {
+    for (const [name, value] of Object.entries(settings)) this.setEffect(name, value);
+  }
+
+  setEffect(name, { enabled, intensity } = {}) {
+    const current = this.settings[name];
+    if (!current) return;
+    if (enabled !== undefined) current.enabled = !!enabled;
+    if (intensity !== undefined) current.intensity = Math.min(Math.max(Number(intensity) || 0, 0), 100);
+
+    if (!this.composer) {
+      if (!this.anyEnabled()) return;
+      this.build(); // applySettings() re-enters with the composer in place
+      return;
+    }
+
+    const k = current.intensity / 100;
+    switch (name) {
+      case 'bloom':
+        this.bloomPass.enabled = current.enabled;
+        this.bloomPass.strength = k * 2.5;
+        break;
+      case 'chromatic':
+        this.chromaticPass.enabled = current.enabled;
+        this.chromaticPass.uniforms.amount.value = k * 0.02;
+        break;
+      case 'grain':
+        this.grainPass.enabled = current.enabled;
+        this.grainPass.uniforms.intensity.value = k;
+        break;
+      case 'trails':
+        this.trailsPass.enabled = current.enabled;
+        this.trailsPass.uniforms.damp.value = 0.8 + k * 0.18;
+        break;
+    }
+  }
+
+  anyEnabled() {
+    return Object.values(this.settings).some(e => e.enabled);
+  }
+
+  setSize(width, height) {
+    this.composer?.setSize(width, height);
+  }
+
+  /**
+   * Draws one frame.
+   * @param {number} dt Seconds since the previous frame (drives grain animation).
+   */
+  render(dt) {
+    if (!this.composer || !this.anyEnabled()) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+    const bloom = this.settings.bloom;
+    if (bloom.enabled) this.bloomPass.strength = (bloom.intensity / 100) * 2.5 * (1 + this.beat * 0.6);
+    this.composer.render(dt);
+  }
+
+  dispose() {
+    if (!this.composer) return;
+    for (const pass of this.composer.passes) pass.dispose?.();
+    this.composer.dispose();
+    this.composer = null;
+  }
+}
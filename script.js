@@ -1,30 +1,104 @@
 import * as THREE from 'three';
-import { Line2 } from 'three/addons/lines/Line2.js';
-import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
-import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
+import { createSpectrumTexture } from './spectrum-line-material.js';
+import { BeatDetector } from './beat-detector.js';
+import { PostFX } from './post-fx.js';
+import { CameraRig } from './camera-rig.js';
+import {
+  loadSettings, saveSettings, sanitizeSettings, buildShareURL, readShareHash, clearShareHash,
+} from './visualizer-settings.js';
+import * as library from './playlist-library.js';
+import { checkPlayable, collectDroppedEntries } from './audio-files.js';
+import { PLAYLIST_FORMATS, isPlaylistFile, parsePlaylist, matchEntries, serializePlaylist } from './playlist-formats.js';
+import { PlaybackEngine } from './playback-engine.js';
+import { DspChain, EQ_BANDS, EQ_PRESETS, loadDspSettings, saveDspSettings, mergeDsp } from './dsp-chain.js';
+import { readTrackMetadata, extractPalette } from './track-metadata.js';
+import { loudnessFromTags, albumLoudness, normalizationGain } from './loudness.js';
+import { analyzeTrack, camelotOrder } from './track-analysis.js';
+import { createAudioHubAPI, listenForMessages } from './audiohub-api.js';
+import { ModulationMatrix, MODULATION_DEFAULTS } from './modulation.js';
+import { decodeForExport, analyzeSpectrumFrames, encodeVisualizerVideo, EXPORT_FORMATS } from './video-exporter.js';
+import {
+  DEFAULT_PRESET, getPreset, listPresets, loadUserPresets,
+  importUserPreset, deleteUserPreset, exportPresetJSON, registerSharedPreset, keepSharedPreset,
+} from './visualizer-presets.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   // --- Globals ---
   let scene, camera, renderer, analyser;
-  let audioContext, source, audioElement;
+  let cameraRig, postFX;
+  let audioContext, player, masterGain;
+  let dsp, dspSettings = loadDspSettings();   // EQ / dynamics chain between the player and the volume
+  let transition = null;     // gapless / crossfade settings, applied to the player once it exists
+  let normalize = null;      // volume normalization settings (see loudness.js)
+  let analysisQueue = [];    // entries waiting for background analysis (loudness, tempo / key / waveform)
+  let analyzing = false;
+  let mutedVolume = 50;
   let playlist = [], currentTrackIndex = -1;
   let isPlaying = false, isSeeking = false;
+
+  // Play order: shuffle deals every track once per cycle; history powers "previous"
+  let shuffle = false;
+  let repeatMode = 'all';    // 'off' | 'one' | 'all'
+  let shuffleQueue = [];     // playlist entries not yet played this cycle
+  let playHistory = [];      // entries played before the current one, most recent last
+  let cuedEntry = null;      // preloaded on the player's idle deck (see cueNext)
   let dataArray;
 
+  // Saved library (IndexedDB, see playlist-library.js)
+  let libraryReady = false;
+  let activePlaylistId = null;
+  let sessionPlaylist = false; // playing tracks loaded through the API: nothing is saved until a saved playlist is opened
+  let pendingResume = null;  // { index, position } restored on load; starts on the next play
+  let lastPositionSave = 0;
+
+  // Input source: 'playlist' (audio element) or 'live' (getUserMedia)
+  let inputMode = 'playlist';
+  let liveStream = null, liveSource = null;
+  let liveDeviceId = '', liveLabel = '';
+  let liveActive = false;    // false while live input is paused from the transport
+
   // Visualizer state
-  let web;
-  let originalPositions;
+  let activePreset = null;   // registry entry (see visualizer-presets.js)
+  let spectrumTexture;       // analyser bins on the GPU, sampled per vertex by the web material
   let particles;
-  let preset = 'cosmic-grid';
+  let particlesConfig = null;
+  let preset = DEFAULT_PRESET;
+  let sharedLook = false;    // showing a look from a share link; it's saved only if the user keeps it
+  let lastFrameTime = performance.now();
   let sensitivity = 60;      // 0..100
   let particlesEnabled = true;
+  let albumColors = false;   // color the scene + background from the current track's cover
+  let albumPalette = null;   // THREE.Color[] while albumColors applies to the current track
+  let paletteKey = '';
+  let theme = 'dark';
+  let seekBars = null;       // seek-bar waveform path, cached: { waveform, w, h, path: Path2D }
+  let seekColors = null;     // its theme colors, { unplayed, played }; cleared by applyTheme
+  let saveTimer = null;
+  const modulation = new ModulationMatrix();  // audio features → visual parameters (see modulation.js)
+
+  // Beat reactions (decay each frame)
+  let beatDetector;
+  let beatPulse = 0;         // kick → displacement pulse
+  let beatFlash = 0;         // snare → color flash
+  let rotationKick = 0;      // hi-hat / kick → extra spin
+  let shownBpm = -1;
+
+  let exportJob = null;      // AbortController while a video export runs (pauses the live loop)
+
+  // Public API (window.AudioHub, see audiohub-api.js); emitApi is a no-op until it's set up
+  let emitApi = () => {};
+  let announcedTrack;        // last track reported through the API's 'track' event
 
   // --- DOM ---
   const $ = id => document.getElementById(id);
   const playPauseButton = $('playPauseButton');
   const skipBackButton = $('skipBackButton');
   const skipForwardButton = $('skipForwardButton');
+  const shuffleButton = $('shuffleButton');
+  const repeatButton = $('repeatButton');
   const seekBar = $('seekBar');
+  const seekWrap = $('seekWrap');
+  const seekWaveform = $('seekWaveform');
   const currentTimeDisplay = $('currentTime');
   const totalDurationDisplay = $('totalDuration');
   const visualizerContainer = $('visualizer-container');
@@ -33,18 +107,40 @@ document.addEventListener('DOMContentLoaded', () => {
   const emptyPlaylistMessage = $('empty-playlist-message');
   const messageBar = $('message-bar');
   const currentTrackNameDisplay = $('currentTrackName');
+  const currentTrackArt = $('currentTrackArt');
   const volumeSlider = $('volumeSlider');
   const volumeIcon = $('volumeIcon');
+  const bpmDisplay = $('bpmDisplay');
+  const beatPhaseBar = $('beatPhaseBar');
+  const beatIndicator = $('beatIndicator');
 
   // prevent double wiring in dev/hot-reload
   let _listenersWired = false;
 
+  // Handed to preset hooks; getters so presets always see current objects
+  const presetContext = {
+    THREE,
+    get scene() { return scene; },
+    get spectrumTexture() { return spectrumTexture; },
+    get resolution() { return new THREE.Vector2(visualizerContainer.clientWidth, visualizerContainer.clientHeight); },
+    get particles() { return particles; },
+    get palette() { return albumPalette; },
+    configureParticles,
+  };
+
   // --- Init ---
   function init() {
+    // ?embed hides the page chrome (before the canvas is sized); the host page drives playback
+    if (new URLSearchParams(window.location.search).has('embed')) document.documentElement.classList.add('embed');
     initThree();
     setupEventListeners();
     setupGlobalShortcuts();
+    restoreSettings();
+    broadcastDsp();
     updateUI();
+    broadcastInputState();
+    setupPublicAPI();
+    initLibrary();
     animate();
   }
 
@@ -64,72 +160,60 @@ document.addEventListener('DOMContentLoaded', () => {
     renderer.setSize(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
     renderer.setClearColor(0x000000, 0);
 
-    createVisualizerWeb('cosmic-grid');
-    ensureParticlesLayer();
+    spectrumTexture = createSpectrumTexture(renderer, 256);
+    cameraRig = new CameraRig(camera, canvas);
+    postFX = new PostFX(renderer, scene, camera);
+
+    loadUserPresets();
+    setPreset(DEFAULT_PRESET);
     updateParticlesVisibility();
   }
 
-  function createVisualizerWeb(nextPreset = 'cosmic-grid') {
-    if (web) {
-      web.geometry?.dispose();
-      web.material?.dispose();
-      scene.remove(web);
-      web = null;
-    }
-
-    let baseGeometry, lineColor;
-    switch (nextPreset) {
-      case 'wave-tunnel':
-        baseGeometry = new THREE.TorusKnotGeometry(28, 6, 200, 16);
-        lineColor = 0x22d3ee; // cyan
-        break;
-      case 'particle-burst':
-        baseGeometry = new THREE.DodecahedronGeometry(40, 6);
-        lineColor = 0xf97316; // orange
-        break;
-      case 'cosmic-grid':
-      default:
-        baseGeometry = new THREE.IcosahedronGeometry(40, 8);
-        lineColor = 0x4299e1; // blue
-        break;
-    }
-
-    const edges = new THREE.EdgesGeometry(baseGeometry);
-    originalPositions = new Float32Array(edges.attributes.position.array);
-
-    const geometry = new LineGeometry();
-    geometry.setPositions(originalPositions);
-
-    const material = new LineMaterial({
-      color: lineColor,
-      linewidth: 1.5,
-      alphaToCoverage: true,
-    });
-    material.resolution.set(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
-
-    web = new Line2(geometry, material);
-    scene.add(web);
+  function setPreset(id) {
+    const next = getPreset(id);
+    if (!next) return false;
+    if (activePreset) activePreset.dispose(presetContext);
+    activePreset = next;
+    activePreset.setup(presetContext);
+    updateParticlesVisibility();
+    preset = next.id;
+    broadcastPresets();
+    persistSettings();
+    emitApi('preset', { id: preset });
+    return true;
+  }
 
-    preset = nextPreset;
+  function broadcastPresets() {
+    try { window.dispatchEvent(new CustomEvent('presets:state', { detail: { presets: listPresets(), active: preset } })); } catch {}
   }
 
-  function ensureParticlesLayer() {
-    if (particles) return;
-    const count = 1200;
-    const positions = new Float32Array(count * 3);
-    for (let i = 0; i < count; i++) {
-      const r = 90 * Math.cbrt(Math.random());
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      positions[i * 3 + 0] = r * Math.sin(phi) * Math.cos(theta);
-      positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-      positions[i * 3 + 2] = r * Math.cos(phi);
+  function configureParticles({ count = 1200, radius = 90, size = 1.2, color = '#ffffff', opacity = 0.6 } = {}) {
+    if (!particles || particlesConfig?.count !== count || particlesConfig?.radius !== radius) {
+      if (particles) {
+        scene.remove(particles);
+        particles.geometry.dispose();
+        particles.material.dispose();
+      }
+      const positions = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
+        const r = radius * Math.cbrt(Math.random());
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        positions[i * 3 + 0] = r * Math.sin(phi) * Math.cos(theta);
+        positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+        positions[i * 3 + 2] = r * Math.cos(phi);
+      }
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      const mat = new THREE.PointsMaterial({ transparent: true });
+      particles = new THREE.Points(geo, mat);
+      scene.add(particles);
     }
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    const mat = new THREE.PointsMaterial({ size: 1.2, color: 0xffffff, transparent: true, opacity: 0.6 });
-    particles = new THREE.Points(geo, mat);
-    scene.add(particles);
+    particles.material.size = size;
+    particles.material.color.set(color);
+    particles.material.opacity = opacity;
+    particles.scale.set(1, 1, 1);
+    particlesConfig = { count, radius };
   }
 
   function updateParticlesVisibility() {
@@ -141,22 +225,36 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
       audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      audioElement = new Audio();
-      audioElement.volume = volumeSlider.value / 100;
-
       analyser = audioContext.createAnalyser();
-      analyser.fftSize = 512;
+      analyser.fftSize = modulation.settings.fftSize;
       dataArray = new Uint8Array(analyser.frequencyBinCount);
 
-      source = audioContext.createMediaElementSource(audioElement);
-      source.connect(analyser);
-      analyser.connect(audioContext.destination);
-
-      audioElement.addEventListener('play', () => { isPlaying = true; renderPlaylist(); updateUI(); });
-      audioElement.addEventListener('pause', () => { isPlaying = false; renderPlaylist(); updateUI(); });
-      audioElement.addEventListener('ended', () => loadTrack(currentTrackIndex + 1));
-      audioElement.addEventListener('timeupdate', updateSeekBar);
-      audioElement.addEventListener('loadedmetadata', updateSeekBar);
+      beatDetector = new BeatDetector({ sampleRate: audioContext.sampleRate, fftSize: analyser.fftSize });
+      beatDetector.addEventListener('beat', onBeat);
+
+      // player (two decks, each with a normalization trim) -> DSP chain -> volume -> speakers.
+      // The analyser is a side tap, before or after the chain (dspSettings.tap), so live input
+      // can share it without ever reaching the speakers.
+      player = new PlaybackEngine(audioContext);
+      if (transition) player.configure(transition);
+      dsp = new DspChain(audioContext);
+      dsp.apply(dspSettings);
+      masterGain = audioContext.createGain();
+      masterGain.gain.value = volumeSlider.value / 100;
+      player.output.connect(dsp.input);
+      dsp.output.connect(masterGain).connect(audioContext.destination);
+      connectAnalyserTap();
+
+      player.addEventListener('play', () => { isPlaying = true; renderPlaylist(); updateUI(); emitApi('play'); });
+      player.addEventListener('pause', () => { isPlaying = false; renderPlaylist(); updateUI(); persistPosition(true); emitApi('pause'); });
+      player.addEventListener('ended', () => playNext({ auto: true }));
+      player.addEventListener('advance', onAdvance);
+      player.addEventListener('timeupdate', () => {
+        updateSeekBar();
+        persistPosition();
+        emitApi('time', { currentTime: player.currentTime, duration: player.duration });
+      });
+      player.addEventListener('loadedmetadata', updateSeekBar);
 
       showToast("Audio system ready!", "success");
     } catch (e) {
@@ -165,19 +263,34 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  function connectAnalyserTap() {
+    for (const node of [dsp.input, dsp.output]) { try { node.disconnect(analyser); } catch {} }
+    (dspSettings.tap === 'pre' ? dsp.input : dsp.output).connect(analyser);
+  }
+
+  function broadcastDsp() {
+    const presets = Object.entries(EQ_PRESETS).map(([id, p]) => ({ id, name: p.name, gains: p.gains }));
+    try { window.dispatchEvent(new CustomEvent('dsp:state', { detail: { settings: dspSettings, bands: EQ_BANDS, presets } })); } catch {}
+  }
+
   // --- Events ---
   function setupEventListeners() {
     if (_listenersWired) return;
     _listenersWired = true;
 
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('resize', drawSeekWaveform);
+    window.addEventListener('pagehide', () => persistPosition(true));
 
     playPauseButton.onclick = togglePlayPause;
-    skipBackButton.onclick = () => loadTrack(currentTrackIndex - 1);
-    skipForwardButton.onclick = () => loadTrack(currentTrackIndex + 1);
+    skipBackButton.onclick = playPrevious;
+    skipForwardButton.onclick = () => playNext();
+    shuffleButton.onclick = () => setShuffle(!shuffle);
+    repeatButton.onclick = () => setRepeat({ off: 'all', all: 'one', one: 'off' }[repeatMode]);
 
     seekBar.oninput = () => {
       seekBar.style.setProperty('--seek-before-width', `${seekBar.value}%`);
+      drawSeekWaveform();
     };
     seekBar.onmousedown = () => { isSeeking = true; };
     seekBar.onmouseup = () => { isSeeking = false; seekToPosition(); };
@@ -190,6 +303,7 @@ document.addEventListener('DOMContentLoaded', () => {
     window.addEventListener('visualizer:sensitivity', (e) => {
       if (typeof e.detail === 'number') {
         sensitivity = clamp(e.detail, 0, 100);
+        persistSettings();
         showToast(`Sensitivity: ${sensitivity}`, 'success');
       }
     });
@@ -197,47 +311,297 @@ document.addEventListener('DOMContentLoaded', () => {
     window.addEventListener('visualizer:particles', (e) => {
       particlesEnabled = !!e.detail;
       updateParticlesVisibility();
+      persistSettings();
       showToast(particlesEnabled ? 'Particles: on' : 'Particles: off', 'success');
     });
 
+    window.addEventListener('visualizer:album-colors', (e) => {
+      albumColors = !!e.detail;
+      applyAlbumPalette();
+      persistSettings();
+    });
+
     window.addEventListener('visualizer:preset', (e) => {
       const next = String(e.detail || '').toLowerCase();
-      if (['cosmic-grid', 'wave-tunnel', 'particle-burst'].includes(next)) {
-        createVisualizerWeb(next);
-        showToast(`Preset: ${next}`, 'success');
+      if (setPreset(next)) showToast(`Preset: ${activePreset.name}`, 'success');
+    });
+
+    window.addEventListener('visualizer:preset-import', async (e) => {
+      const file = e.detail;
+      if (!file || typeof file.text !== 'function') return;
+      try {
+        const imported = importUserPreset(await file.text());
+        setPreset(imported.id);
+        showToast(`Imported preset: ${imported.name}`, 'success');
+      } catch (err) {
+        showToast(`Preset import failed: ${err.message}`, 'error');
       }
     });
 
+    window.addEventListener('visualizer:preset-export', () => {
+      const json = exportPresetJSON(preset);
+      if (!json) { showToast('This preset cannot be exported.', 'error'); return; }
+      downloadBlob(new Blob([json], { type: 'application/json' }), `${preset}.json`);
+    });
+
+    window.addEventListener('visualizer:effect', (e) => {
+      const { name, enabled, intensity } = e.detail || {};
+      postFX.setEffect(name, { enabled, intensity });
+      persistSettings();
+    });
+
+    window.addEventListener('visualizer:camera', (e) => {
+      const { auto, orbit, dolly } = e.detail || {};
+      cameraRig.set({
+        ...(auto !== undefined && { auto: !!auto }),
+        ...(orbit !== undefined && { orbit: clamp(Number(orbit) || 0, 0, 100) }),
+        ...(dolly !== undefined && { dolly: clamp(Number(dolly) || 0, 0, 100) }),
+      });
+      persistSettings();
+    });
+
+    window.addEventListener('visualizer:transition', (e) => {
+      transition = sanitizeSettings({ transition: { ...transition, ...e.detail } }).transition;
+      player?.configure(transition);
+      persistSettings();
+    });
+
+    window.addEventListener('visualizer:normalize', (e) => {
+      normalize = sanitizeSettings({ normalize: { ...normalize, ...e.detail } }).normalize;
+      applyNormalization();
+      persistSettings();
+    });
+
+    // The whole matrix each time; null restores the defaults
+    window.addEventListener('visualizer:modulation', (e) => {
+      applyModulation(e.detail ?? MODULATION_DEFAULTS);
+      persistSettings();
+      if (e.detail == null) broadcastSettings();
+    });
+
+    // Alpine → sound (EQ / dynamics); saved right away, applied once audio is running
+    window.addEventListener('visualizer:dsp', (e) => {
+      const tap = dspSettings.tap;
+      dspSettings = dsp ? dsp.apply(e.detail || {}) : mergeDsp(dspSettings, e.detail || {});
+      if (dsp && dspSettings.tap !== tap) connectAnalyserTap();
+      saveDspSettings(dspSettings);
+    });
+
+    window.addEventListener('visualizer:theme', (e) => {
+      applyTheme(e.detail);
+      persistSettings();
+    });
+
+    window.addEventListener('visualizer:share', copyShareLink);
+    window.addEventListener('visualizer:keep-look', keepSharedLook);
+    window.addEventListener('hashchange', () => { if (readShareHash()) restoreSettings(); });
+
+    window.addEventListener('visualizer:camera-reset', () => cameraRig.reset());
+
+    // Alpine → input source
+    window.addEventListener('visualizer:input', (e) => {
+      const { mode, deviceId } = e.detail || {};
+      if (mode === 'live') startLiveInput(deviceId ?? liveDeviceId);
+      else stopLiveInput();
+    });
+    navigator.mediaDevices?.addEventListener?.('devicechange', broadcastInputState);
+
+    window.addEventListener('visualizer:export-video', (e) => exportVideo(e.detail));
+    window.addEventListener('visualizer:export-cancel', () => exportJob?.abort());
+
+    window.addEventListener('visualizer:preset-delete', (e) => {
+      const id = String(e.detail || preset);
+      if (!deleteUserPreset(id)) { showToast('Built-in presets cannot be deleted.', 'error'); return; }
+      if (id === preset) setPreset(DEFAULT_PRESET);
+      else broadcastPresets();
+      showToast('Preset deleted', 'success');
+    });
+
     // Alpine → playlist
     window.addEventListener('files:added', (e) => {
       const files = Array.isArray(e.detail) ? e.detail : [];
       if (!files.length) return;
       unlockAndInitAudio();
-      addFilesArrayToPlaylist(files);
+      addIncoming(files.map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    });
+
+    // Drops that may contain folders arrive as FileSystemEntry objects
+    window.addEventListener('files:dropped', async (e) => {
+      const entries = Array.isArray(e.detail) ? e.detail : [];
+      if (!entries.length) return;
+      unlockAndInitAudio();
+      addIncoming(await collectDroppedEntries(entries));
     });
 
-    window.addEventListener('playlist:sort', () => {
+    window.addEventListener('playlist:sort', (e) => {
       if (!playlist.length) return;
+      const key = SORTS[e.detail] ? e.detail : 'alpha';
 
       // Remember current track object (if any), then sort
       const currentTrackObj = currentTrackIndex >= 0 ? playlist[currentTrackIndex] : null;
 
-      playlist.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+      playlist.sort(SORTS[key].compare);
 
       // Re-point currentTrackIndex to the same object at its new position
       if (currentTrackObj) {
         const newIdx = playlist.indexOf(currentTrackObj);
         if (newIdx !== -1) currentTrackIndex = newIdx;
+        if (pendingResume) pendingResume.index = currentTrackIndex;
       }
 
       renderPlaylist();
-      showToast('Playlist sorted A–Z', 'success');
+      persistPlaylistOrder();
+      cueNext();
+      showToast(`Playlist sorted by ${SORTS[key].label}`, 'success');
+    });
+
+    window.addEventListener('playlist:export', async (e) => {
+      const format = PLAYLIST_FORMATS[e.detail] ? e.detail : 'm3u8';
+      if (!playlist.length) { showToast('The playlist is empty.', 'error'); return; }
+      const record = libraryReady && activePlaylistId ? await library.getPlaylist(activePlaylistId) : null;
+      const title = record?.name || 'Playlist';
+      const text = serializePlaylist(format, playlist.map(t => ({
+        location: t.path?.replace(/^\/+/, '') || t.name,   // "Album/01.mp3" from a folder drop
+        title: t.meta?.title,
+        artist: t.meta?.artist,
+        duration: t.meta?.duration,
+      })), { title });
+      const { mime, ext } = PLAYLIST_FORMATS[format];
+      downloadBlob(new Blob([text], { type: mime }), `${title.replace(/[\\/:*?"<>|]+/g, '_')}.${ext}`);
     });
 
     window.addEventListener('playlist:clear', () => {
       stopPlaybackAndClear();
+      persistPlaylistOrder();
       showToast('Playlist cleared', 'success');
     });
+
+    // Alpine → saved playlists
+    window.addEventListener('playlist:new', async (e) => {
+      if (!libraryReady) return;
+      persistPosition(true);
+      const created = await library.createPlaylist(String(e.detail || '').trim() || 'New Playlist');
+      await openPlaylist(created.id);
+      showToast(`Created playlist: ${created.name}`, 'success');
+    });
+
+    window.addEventListener('playlist:switch', async (e) => {
+      if (!libraryReady || !e.detail || e.detail === activePlaylistId) return;
+      persistPosition(true);
+      await openPlaylist(e.detail);
+    });
+
+    window.addEventListener('playlist:rename', async (e) => {
+      const { id = activePlaylistId, name } = e.detail || {};
+      if (!libraryReady || !id || !String(name || '').trim()) return;
+      await library.updatePlaylist(id, { name: String(name).trim().slice(0, 80) });
+      broadcastLibrary();
+    });
+
+    window.addEventListener('playlist:delete', async (e) => {
+      const id = e.detail || activePlaylistId;
+      if (!libraryReady || !id) return;
+      await library.deletePlaylist(id);
+      if (id === activePlaylistId) {
+        let lists = await library.listPlaylists();
+        if (!lists.length) lists = [await library.createPlaylist('My Playlist')];
+        await openPlaylist(lists[0].id);
+      } else {
+        broadcastLibrary();
+      }
+      showToast('Playlist deleted', 'success');
+    });
+  }
+
+  // --- Public API (window.AudioHub + postMessage) ---
+  // Files a host page sends aren't the user's: they play as an unsaved session, detached from the
+  // saved playlist (which is left as it was) until the user opens a saved playlist again
+  function enterSessionPlaylist() {
+    if (sessionPlaylist) return;
+    persistPosition(true);
+    sessionPlaylist = true;
+    activePlaylistId = null;
+    broadcastLibrary();
+  }
+
+  function describeTrack(track) {
+    if (!track) return null;
+    const m = track.meta || {};
+    return {
+      name: track.name,
+      title: m.title || null,
+      artist: m.artist || null,
+      album: m.album || null,
+      duration: m.duration ?? null,
+      bpm: m.analysis?.bpm ?? null,
+      key: m.analysis?.key?.name ?? null,
+    };
+  }
+
+  function setupPublicAPI() {
+    const playing = () => (inputMode === 'live' ? liveActive : isPlaying);
+    const { api, emit } = createAudioHubAPI({
+      async load(files, { replace = false, play = true, persist = false } = {}) {
+        unlockAndInitAudio();
+        if (!persist) enterSessionPlaylist();
+        if (replace) {
+          stopPlaybackAndClear();
+          persistPlaylistOrder();
+        }
+        const added = await addFilesArrayToPlaylist(files);
+        if (play && added.length) playTrackAt(playlist.indexOf(added[0]));
+        return added.length;
+      },
+      play() { if (!playing()) togglePlayPause(); },
+      pause() { if (playing()) togglePlayPause(); },
+      toggle: togglePlayPause,
+      next() { unlockAndInitAudio(); playNext(); },
+      previous() { unlockAndInitAudio(); playPrevious(); },
+      playTrack(index) {
+        if (!playlist[index]) throw new RangeError(`No track at index ${index}`);
+        playTrackAt(index);
+      },
+      seek(seconds) {
+        if (!player || !isFinite(player.duration) || inputMode === 'live') return;
+        player.currentTime = clamp(Number(seconds) || 0, 0, player.duration);
+        updateSeekBar();
+      },
+      setPreset(id) {
+        if (!setPreset(id)) throw new Error(`Unknown preset: ${id}`);
+      },
+      listPresets,
+      setSensitivity(value) {
+        sensitivity = clamp(Number(value) || 0, 0, 100);
+        persistSettings();
+        broadcastSettings();
+      },
+      setParticles(on) {
+        particlesEnabled = !!on;
+        updateParticlesVisibility();
+        persistSettings();
+        broadcastSettings();
+      },
+      setVolume(value) {
+        volumeSlider.value = clamp(Number(value) || 0, 0, 100);
+        handleVolumeChange();
+      },
+      getState: () => ({
+        playing: playing(),
+        input: inputMode,
+        index: currentTrackIndex,
+        track: describeTrack(inputMode === 'live' ? null : playlist[currentTrackIndex]),
+        currentTime: player && inputMode !== 'live' ? player.currentTime : 0,
+        duration: player && isFinite(player.duration) ? player.duration : null,
+        preset,
+        sensitivity,
+        particles: particlesEnabled,
+        volume: Number(volumeSlider.value),
+        queue: playlist.map(describeTrack),
+      }),
+    });
+    emitApi = emit;
+    window.AudioHub = api;
+    listenForMessages(api);
   }
 
   // --- Global keyboard shortcuts ---
@@ -277,11 +641,11 @@ document.addEventListener('DOMContentLoaded', () => {
           break;
         case 'n':
           e.preventDefault();
-          loadTrack(currentTrackIndex + 1);
+          playNext();
           break;
         case 'p':
           e.preventDefault();
-          loadTrack(currentTrackIndex - 1);
+          playPrevious();
           break;
         case 'm':
           e.preventDefault();
@@ -300,9 +664,10 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function seekBy(deltaSeconds) {
-    if (!audioElement || !isFinite(audioElement.duration)) return;
-    const t = Math.max(0, Math.min(audioElement.currentTime + deltaSeconds, audioElement.duration));
-    audioElement.currentTime = t;
+    if (inputMode === 'live') return;
+    if (!player || !isFinite(player.duration)) return;
+    const t = Math.max(0, Math.min(player.currentTime + deltaSeconds, player.duration));
+    player.currentTime = t;
   }
 
   function nudgeVolume(delta) {
@@ -312,23 +677,134 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function toggleMute() {
-    if (!audioElement) return;
-    if (audioElement.volume > 0) {
-      audioElement.dataset.prevVol = volumeSlider.value;
+    if (!player) return;
+    if (Number(volumeSlider.value) > 0) {
+      mutedVolume = Number(volumeSlider.value);
       volumeSlider.value = 0;
     } else {
-      const prev = Number(audioElement.dataset.prevVol || 50);
-      volumeSlider.value = prev;
+      volumeSlider.value = mutedVolume || 50;
     }
     handleVolumeChange();
   }
 
   function handleVolumeChange() {
-    if (audioElement) audioElement.volume = volumeSlider.value / 100;
+    masterGain?.gain.setTargetAtTime(volumeSlider.value / 100, audioContext.currentTime, 0.02);
     const v = volumeSlider.value;
     if (v == 0) volumeIcon.className = 'fas fa-volume-mute text-gray-400';
     else if (v < 50) volumeIcon.className = 'fas fa-volume-down text-gray-400';
     else volumeIcon.className = 'fas fa-volume-up text-gray-400';
+    persistSettings();
+  }
+
+  // --- Settings persistence / share links ---
+  function currentSettings() {
+    return {
+      preset,
+      sensitivity,
+      particles: particlesEnabled,
+      albumColors,
+      theme,
+      volume: Number(volumeSlider.value),
+      shuffle,
+      repeat: repeatMode,
+      transition: { ...transition },
+      normalize: { ...normalize },
+      camera: { ...cameraRig.settings },
+      effects: structuredClone(postFX.settings),
+      modulation: structuredClone(modulation.settings),
+    };
+  }
+
+  // While a shared look is showing, only the playback settings are saved; the user's own look stays stored
+  function persistSettings() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      const { volume, shuffle, repeat, transition, normalize } = currentSettings();
+      saveSettings(sharedLook ? { ...loadSettings(), volume, shuffle, repeat, transition, normalize } : currentSettings());
+    }, 250);
+  }
+
+  // Local settings, overridden for this session by a shared look in the URL hash (volume stays local)
+  function restoreSettings() {
+    let next = loadSettings();
+    const shared = readShareHash();
+    if (shared) {
+      const look = { ...shared.settings };
+      if (shared.presetDefinition) {
+        try {
+          look.preset = registerSharedPreset(shared.presetDefinition).id;
+        } catch (e) {
+          console.warn('Shared preset rejected:', e);
+        }
+      }
+      next = sanitizeSettings({ ...next, ...look, volume: next.volume, shuffle: next.shuffle, repeat: next.repeat, transition: next.transition, normalize: next.normalize });
+      sharedLook = true;
+      clearShareHash();
+    }
+
+    sensitivity = next.sensitivity;
+    particlesEnabled = next.particles;
+    albumColors = next.albumColors;
+    applyAlbumPalette();
+    if (!setPreset(next.preset)) setPreset(DEFAULT_PRESET);
+    updateParticlesVisibility();
+    applyTheme(next.theme);
+    cameraRig.set(next.camera);
+    postFX.applySettings(next.effects);
+    applyModulation(next.modulation);
+    volumeSlider.value = next.volume;
+    handleVolumeChange();
+    repeatMode = next.repeat;
+    transition = next.transition;
+    player?.configure(transition);
+    normalize = next.normalize;
+    applyNormalization();
+    setShuffle(next.shuffle, { quiet: true });
+
+    broadcastSettings();
+    if (shared) showToast('Loaded shared visualizer look (Keep it in Settings to save it)', 'success');
+  }
+
+  // Saves the shared look (and its preset) as the user's own
+  function keepSharedLook() {
+    if (!sharedLook) return;
+    sharedLook = false;
+    if (keepSharedPreset(preset)) broadcastPresets();
+    persistSettings();
+    broadcastSettings();
+    showToast('Shared look saved', 'success');
+  }
+
+  function broadcastSettings() {
+    try { window.dispatchEvent(new CustomEvent('settings:state', { detail: { ...currentSettings(), sharedLook } })); } catch {}
+  }
+
+  // Routes / features, plus the analyser size the matrix asks for
+  function applyModulation(settings) {
+    modulation.configure(settings);
+    const { fftSize } = modulation.settings;
+    if (!analyser || analyser.fftSize === fftSize) return;
+    analyser.fftSize = fftSize;
+    dataArray = new Uint8Array(analyser.frequencyBinCount);
+    beatDetector.configure({ sampleRate: audioContext.sampleRate, fftSize });
+  }
+
+  function applyTheme(next) {
+    theme = next === 'light' ? 'light' : 'dark';
+    document.documentElement.classList.toggle('tw-light', theme === 'light');
+    seekColors = null;
+    drawSeekWaveform();
+  }
+
+  async function copyShareLink() {
+    const definition = getPreset(preset)?.builtin ? null : JSON.parse(exportPresetJSON(preset) || 'null');
+    const url = buildShareURL(currentSettings(), definition);
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast('Share link copied', 'success');
+    } catch {
+      window.prompt('Copy this share link:', url);
+    }
   }
 
   function onWindowResize() {
@@ -336,68 +812,225 @@ document.addEventListener('DOMContentLoaded', () => {
     camera.aspect = visualizerContainer.clientWidth / visualizerContainer.clientHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
-    if (web) web.material.resolution.set(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
+    activePreset?.resize?.(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
+    postFX.setSize(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
   }
 
   // --- Loop ---
   function animate() {
     requestAnimationFrame(animate);
+    if (exportJob) return; // the exporter drives the scene frame by frame
 
-    if (web) {
-      web.rotation.y += (preset === 'wave-tunnel' ? 0.002 : 0.001);
-      web.rotation.x += 0.0005;
-    }
-    if (particles?.visible) particles.rotation.y -= 0.0004;
+    const now = performance.now();
+    const dt = Math.min(0.1, (now - lastFrameTime) / 1000);
+    lastFrameTime = now;
 
-    if (isPlaying && analyser) {
+    let data = null;
+    if (isAnalysing()) {
       analyser.getByteFrequencyData(dataArray);
-      updateVisualizer(dataArray);
+      data = dataArray;
     }
-    renderer.render(scene, camera);
+    const features = stepVisuals(dt, data, audioContext?.currentTime ?? 0, beatDetector);
+    updateBeatUI();
+
+    cameraRig.update(dt, features);
+    postFX.beat = beatPulse;
+    postFX.render(dt);
   }
 
-  function sensitivityFactor() {
-    return 0.25 + (sensitivity / 100) * 1.75;
+  // Advances beat detection, presets and beat decays by one frame.
+  // `data` is the frame's byte spectrum, or null while nothing is playing.
+  // Returns the frame's audio features (null when silent) for the camera.
+  function stepVisuals(dt, data, time, detector) {
+    let features = null, mod;
+    if (data) {
+      detector.update(data, time);
+      uploadSpectrum(data);
+      mod = modulation.process(data, dt, {
+        sampleRate: detector.sampleRate,
+        minDecibels: analyser.minDecibels,
+        maxDecibels: analyser.maxDecibels,
+      }).targets;
+      features = { ...audioFeatures(data), dolly: mod.cameraDistance };
+    } else {
+      modulation.reset();
+      mod = modulation.evaluate();
+    }
+    activePreset?.update({
+      dt,
+      active: !!features,
+      ...(features || { bass: 0, mid: 0, treble: 0, energy: 0 }),
+      mod,
+      sens: sensitivityFactor(),
+      beatPulse, beatFlash, rotationKick,
+    }, presetContext);
+
+    // decay rates are per 60 fps frame, scaled so exports at other frame rates match
+    const frames = dt * 60;
+    beatPulse *= Math.pow(0.9, frames);
+    beatFlash *= Math.pow(0.85, frames);
+    rotationKick *= Math.pow(0.9, frames);
+    return features;
   }
 
-  function updateVisualizer(data) {
-    if (!web || !originalPositions) return;
+  // --- Offline video export ---
+  async function exportVideo({ width, height, fps, format } = {}) {
+    if (exportJob) return;
+    const track = playlist[currentTrackIndex];
+    if (!track || !analyser) { showToast('Load a track before exporting video.', 'info'); return; }
+
+    width = Math.round(clamp(Number(width) || 1920, 16, 3840) / 2) * 2;
+    height = Math.round(clamp(Number(height) || 1080, 16, 3840) / 2) * 2;
+    fps = clamp(Math.round(Number(fps) || 30), 1, 60);
+    format = EXPORT_FORMATS[format] ? format : 'webm';
+
+    const job = new AbortController();
+    exportJob = job;
+    player.pause();
+    const emit = (phase, progress = 0) => {
+      try { window.dispatchEvent(new CustomEvent('export:progress', { detail: { phase, progress } })); } catch {}
+    };
 
-    const newPositions = new Float32Array(originalPositions.length);
-    const bassAvg = avgRange(data, 0, 32);
-    const midAvg = avgRange(data, 32, 128);
-    const sens = sensitivityFactor();
-    const baseDisp = ((bassAvg / 255) * 20 + (midAvg / 255) * 10) * sens;
+    let exportRenderer = null, exportFX = null;
+    const detector = new BeatDetector({ sampleRate: audioContext.sampleRate, fftSize: analyser.fftSize });
+    detector.addEventListener('beat', e => reactToBeat(e.detail)); // render values only: no HUD, no API events
+
+    try {
+      emit('decoding');
+      const audioBuffer = await decodeForExport(await (await fetch(track.url)).arrayBuffer());
+      job.signal.throwIfAborted();
+
+      emit('analyzing');
+      const spectra = await analyzeSpectrumFrames(audioBuffer, {
+        fps,
+        fftSize: analyser.fftSize,
+        smoothingTimeConstant: analyser.smoothingTimeConstant,
+        signal: job.signal,
+        onProgress: p => emit('analyzing', p),
+      });
+      detector.configure({ sampleRate: audioBuffer.sampleRate, fftSize: analyser.fftSize });
+
+      const exportCanvas = document.createElement('canvas');
+      exportRenderer = new THREE.WebGLRenderer({ canvas: exportCanvas, antialias: true, preserveDrawingBuffer: true });
+      exportRenderer.setPixelRatio(1);
+      exportRenderer.setSize(width, height, false);
+      exportRenderer.setClearColor(getComputedStyle(document.documentElement).getPropertyValue('--bg-primary').trim() || '#121212', 1);
+
+      const exportCamera = camera.clone();
+      exportCamera.aspect = width / height;
+      exportCamera.updateProjectionMatrix();
+      const exportRig = new CameraRig(exportCamera);
+      exportRig.set(cameraRig.settings);
+      exportRig.distance = cameraRig.distance;
+      exportFX = new PostFX(exportRenderer, scene, exportCamera);
+      exportFX.applySettings(postFX.settings);
+      activePreset?.resize?.(width, height);
+      beatPulse = beatFlash = rotationKick = 0;
+      modulation.reset();
+
+      emit('rendering');
+      const blob = await encodeVisualizerVideo({
+        audioBuffer,
+        canvas: exportCanvas,
+        width, height, fps, format,
+        signal: job.signal,
+        onProgress: p => emit('rendering', p),
+        renderFrame: (i) => {
+          const features = stepVisuals(1 / fps, spectra[i], i / fps, detector);
+          exportRig.update(1 / fps, features);
+          exportFX.beat = beatPulse;
+          exportFX.render(1 / fps);
+        },
+      });
 
-    for (let i = 0; i < originalPositions.length / 3; i++) {
-      const i3 = i * 3;
-      const originalVector = new THREE.Vector3(
-        originalPositions[i3],
-        originalPositions[i3 + 1],
-        originalPositions[i3 + 2]
-      );
-      const direction = originalVector.clone().normalize();
-      const newPos = originalVector.clone().add(direction.multiplyScalar(baseDisp));
-      newPositions[i3 + 0] = newPos.x;
-      newPositions[i3 + 1] = newPos.y;
-      newPositions[i3 + 2] = newPos.z;
+      downloadBlob(blob, `${track.name.replace(/\.[^.]+$/, '')}-${width}x${height}-${fps}fps.${EXPORT_FORMATS[format].ext}`);
+      showToast('Video exported', 'success');
+    } catch (e) {
+      if (e?.name === 'AbortError') {
+        showToast('Video export cancelled', 'info');
+      } else {
+        console.error('Video export failed:', e);
+        showToast(`Video export failed: ${e.message || e}`, 'error');
+      }
+    } finally {
+      exportFX?.dispose();
+      exportRenderer?.dispose();
+      exportRenderer?.forceContextLoss();
+      activePreset?.resize?.(visualizerContainer.clientWidth, visualizerContainer.clientHeight);
+      beatDetector?.reset();
+      modulation.reset();
+      exportJob = null;
+      lastFrameTime = performance.now();
+      emit('idle');
     }
+  }
 
-    web.geometry.setPositions(newPositions);
+  // --- Beat reactions ---
+  function onBeat(e) {
+    const { type, strength } = e.detail;
+    emitApi('beat', { type, strength, bpm: beatDetector.bpm });
+    reactToBeat(e.detail);
+    if (type === 'kick') flashBeatIndicator();
+  }
 
-    const bassIntensity = bassAvg / 255;
-    let baseHue = 0.6 - (bassIntensity * 0.6); // blue -> red
-    if (preset === 'wave-tunnel') baseHue = 0.55 - (bassIntensity * 0.4);
-    if (preset === 'particle-burst') baseHue = 0.07 + (bassIntensity * 0.15);
-    web.material.color.setHSL(baseHue, 0.8, 0.5);
+  // The values the render reads; also driven by the offline detector during video export
+  function reactToBeat({ type, strength }) {
+    const s = 0.5 + strength * 0.5;
+    if (type === 'kick') {
+      beatPulse = Math.max(beatPulse, s);
+      rotationKick = Math.max(rotationKick, s * 0.5);
+    } else if (type === 'snare') {
+      beatFlash = Math.max(beatFlash, s);
+    } else if (type === 'hihat') {
+      rotationKick = Math.max(rotationKick, s * 0.2);
+    }
+  }
 
-    if (particles?.visible) {
-      const s = 1 + (midAvg / 255) * 0.15 * sens;
-      particles.scale.set(s, s, s);
-      particles.material.opacity = 0.35 + (bassIntensity * 0.4);
+  function flashBeatIndicator() {
+    if (!beatIndicator) return;
+    beatIndicator.classList.remove('beat-hit');
+    void beatIndicator.offsetWidth; // restart the CSS animation
+    beatIndicator.classList.add('beat-hit');
+  }
+
+  function updateBeatUI() {
+    if (!beatDetector) return;
+    const bpm = isAnalysing() ? Math.round(beatDetector.bpm) : 0;
+    if (bpm !== shownBpm && bpmDisplay) {
+      bpmDisplay.textContent = bpm ? String(bpm) : '--';
+      shownBpm = bpm;
+    }
+    if (beatPhaseBar) {
+      const phase = isAnalysing() ? beatDetector.phase(audioContext.currentTime) : 0;
+      beatPhaseBar.style.width = `${(phase * 100).toFixed(1)}%`;
     }
   }
 
+  function sensitivityFactor() {
+    return 0.25 + (sensitivity / 100) * 1.75;
+  }
+
+  function uploadSpectrum(data) {
+    if (spectrumTexture.image.width !== data.length) {
+      const prev = spectrumTexture;
+      spectrumTexture = createSpectrumTexture(renderer, data.length);
+      prev.dispose();
+    }
+    spectrumTexture.image.data.set(data);
+    spectrumTexture.needsUpdate = true;
+  }
+
+  // Normalized (0..1) band levels handed to presets; the bin ranges are for fftSize 512
+  function audioFeatures(data) {
+    const k = data.length / 256;
+    return {
+      bass: avgRange(data, 0, 32 * k) / 255,
+      mid: avgRange(data, 32 * k, 128 * k) / 255,
+      treble: avgRange(data, 128 * k, data.length) / 255,
+      energy: avgRange(data, 0, data.length) / 255,
+    };
+  }
+
   function avgRange(array, start, end) {
     const len = Math.max(0, Math.min(end, array.length) - start);
     if (!len) return 0;
@@ -406,103 +1039,828 @@ document.addEventListener('DOMContentLoaded', () => {
     return sum / len;
   }
 
+  // --- Live input ---
+  function isAnalysing() {
+    if (!analyser) return false;
+    return inputMode === 'live' ? liveActive : isPlaying;
+  }
+
+  async function startLiveInput(deviceId = liveDeviceId) {
+    unlockAndInitAudio();
+    if (!audioContext) return;
+    if (!navigator.mediaDevices?.getUserMedia) {
+      showToast('Live input is not available in this browser (needs HTTPS).', 'error');
+      return;
+    }
+
+    let stream;
+    try {
+      // Music, not speech: keep the browser's voice processing off
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: deviceId ? { exact: deviceId } : undefined,
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        },
+      });
+    } catch (e) {
+      console.error('getUserMedia failed:', e);
+      const reason = e.name === 'NotAllowedError' ? 'permission denied'
+        : e.name === 'NotFoundError' || e.name === 'OverconstrainedError' ? 'device not found'
+        : (e.message || e.name);
+      showToast(`Live input failed: ${reason}`, 'error');
+      broadcastInputState();
+      return;
+    }
+
+    releaseLiveStream();
+    if (player && !player.paused) player.pause();
+    if (audioContext.state === 'suspended') audioContext.resume();
+
+    liveStream = stream;
+    const track = stream.getAudioTracks()[0];
+    liveDeviceId = track?.getSettings().deviceId || deviceId || '';
+    liveLabel = track?.label || 'Microphone';
+    track?.addEventListener('ended', () => {
+      showToast('Live input disconnected', 'error');
+      stopLiveInput();
+    });
+
+    // Analyser only — never connected to the destination
+    liveSource = audioContext.createMediaStreamSource(stream);
+    liveSource.connect(analyser);
+
+    inputMode = 'live';
+    liveActive = true;
+    beatDetector?.reset();
+    updateUI();
+    renderPlaylist();
+    showToast(`Live input: ${liveLabel}`, 'success');
+    await broadcastInputState();
+  }
+
+  function releaseLiveStream() {
+    try { liveSource?.disconnect(); } catch {}
+    liveStream?.getTracks().forEach(t => t.stop());
+    liveSource = null;
+    liveStream = null;
+  }
+
+  function stopLiveInput() {
+    if (inputMode !== 'live') return;
+    releaseLiveStream();
+    inputMode = 'playlist';
+    liveActive = false;
+    beatDetector?.reset();
+    currentTimeDisplay.textContent = '0:00';
+    totalDurationDisplay.textContent = '0:00';
+    updateSeekBar();
+    updateUI();
+    broadcastInputState();
+  }
+
+  function setLiveActive(active) {
+    liveActive = !!active;
+    liveStream?.getAudioTracks().forEach(t => { t.enabled = liveActive; });
+    updateUI();
+  }
+
+  async function broadcastInputState() {
+    let devices = [];
+    try {
+      devices = (await navigator.mediaDevices?.enumerateDevices() || [])
+        .filter(d => d.kind === 'audioinput')
+        .map((d, i) => ({ id: d.deviceId, label: d.label || `Input ${i + 1}` }));
+    } catch {}
+    try {
+      window.dispatchEvent(new CustomEvent('input:state', { detail: { mode: inputMode, deviceId: liveDeviceId, devices } }));
+    } catch {}
+  }
+
+  // --- Library (IndexedDB) ---
+  async function initLibrary() {
+    try {
+      let lists = await library.listPlaylists();
+      if (!lists.length) lists = [await library.createPlaylist('My Playlist')];
+      let activeId = await library.getMeta('activePlaylist');
+      if (!lists.some(p => p.id === activeId)) activeId = lists[0].id;
+      libraryReady = true;
+      if (sessionPlaylist) {
+        // the API loaded tracks first; they keep playing and the saved playlists wait in the picker
+        broadcastLibrary();
+      } else {
+        // files added while the library was opening join the saved playlist instead of being dropped
+        const early = [...playlist];
+        await openPlaylist(activeId, { restorePosition: true });
+        if (early.length) await addFilesArrayToPlaylist(early.map(t => t.file), dropPaths(early));
+      }
+      library.requestPersistence();
+    } catch (e) {
+      console.warn('Playlist library unavailable:', e);
+      showToast('Saved playlists are unavailable in this browser; tracks last until reload.', 'error');
+      broadcastLibrary();
+    }
+  }
+
+  // Replaces the in-memory playlist with a saved one, cueing (not playing) its last track
+  async function openPlaylist(id, { restorePosition = false } = {}) {
+    const record = await library.getPlaylist(id);
+    if (!record) return;
+    stopPlaybackAndClear();
+    activePlaylistId = id;
+    sessionPlaylist = false;
+    library.setMeta('activePlaylist', id).catch(() => {});
+
+    const tracks = await library.getTracks(record.trackIds);
+    playlist = tracks.filter(Boolean).map(t => {
+      const entry = { id: t.id, file: t.blob, name: t.name, path: t.path || null, url: URL.createObjectURL(t.blob), meta: null, addedAt: t.addedAt || 0 };
+      if (t.meta) setTrackMeta(entry, t.meta);
+      return entry;
+    });
+    const missing = tracks.length - playlist.length;
+    if (missing) {
+      // The browser evicted stored data (or it was cleared); drop the dangling entries
+      showToast(`${missing} saved track${missing > 1 ? 's were' : ' was'} removed by the browser. Please re-add ${missing > 1 ? 'them' : 'it'}.`, 'error');
+      persistPlaylistOrder();
+    }
+
+    const index = playlist.findIndex(t => t.id === record.currentTrackId);
+    if (index >= 0) {
+      currentTrackIndex = index;
+      pendingResume = { index, position: restorePosition ? record.position || 0 : 0 };
+    }
+    if (shuffle) dealShuffle();
+    renderPlaylist();
+    broadcastLibrary();
+    // tracks saved before tags were read
+    loadMetadata(playlist.filter(t => !t.meta));
+    queueAnalysis(playlist.filter(t => t.meta));
+  }
+
+  function persistPlaylistOrder() {
+    if (!libraryReady || !activePlaylistId) return;
+    library.updatePlaylist(activePlaylistId, {
+      trackIds: playlist.filter(t => t.id).map(t => t.id),
+      currentTrackId: playlist[currentTrackIndex]?.id ?? null,
+    })
+      .then(() => library.collectGarbage())
+      .then(() => broadcastLibrary())
+      .catch(e => console.warn('Could not save playlist:', e));
+  }
+
+  // Throttled while playing; `force` on pause / track change / page hide
+  function persistPosition(force = false) {
+    if (!libraryReady || !activePlaylistId || !player || inputMode === 'live') return;
+    const now = Date.now();
+    if (!force && now - lastPositionSave < 5000) return;
+    lastPositionSave = now;
+    library.updatePlaylist(activePlaylistId, {
+      currentTrackId: playlist[currentTrackIndex]?.id ?? null,
+      position: player.currentTime || 0,
+    }).catch(() => {});
+  }
+
+  // Each track joins the playlist it was added to as it's stored, even if the user has switched since
+  async function storeTracks(entries) {
+    if (!libraryReady || !activePlaylistId || !entries.length) return;
+    const playlistId = activePlaylistId;
+    let quotaHit = false;
+    for (const entry of entries) {
+      try {
+        entry.id = await library.putTrack(entry.file, playlistId, entry.path);
+        if (entry.meta) saveTrackMeta(entry);
+      } catch (e) {
+        if (library.isQuotaError(e)) quotaHit = true;
+        else console.warn('Could not store track:', e);
+      }
+    }
+    if (quotaHit) showToast('Storage is full: some tracks will only last until you reload.', 'error');
+
+    // still showing that playlist: save its on-screen order and current track
+    if (playlistId === activePlaylistId) persistPlaylistOrder();
+    else broadcastLibrary();
+  }
+
+  async function broadcastLibrary() {
+    let playlists = [], storage = null;
+    if (libraryReady) {
+      try {
+        playlists = (await library.listPlaylists()).map(p => ({ id: p.id, name: p.name, count: p.trackIds.length }));
+        storage = await library.storageEstimate();
+      } catch {}
+    }
+    try {
+      window.dispatchEvent(new CustomEvent('library:state', {
+        detail: { available: libraryReady, playlists, activeId: activePlaylistId, storage },
+      }));
+    } catch {}
+  }
+
+  // --- Track metadata ---
+  // Tags are read one file at a time (cover art can be large); rows update as they arrive
+  async function loadMetadata(entries) {
+    for (const entry of entries) {
+      if (!playlist.includes(entry)) continue; // removed meanwhile
+      const meta = await readTrackMetadata(entry.file);
+      if (meta.picture) {
+        try { meta.palette = await extractPalette(meta.picture); } catch { meta.palette = null; }
+      }
+      const tagged = loudnessFromTags(meta.extra);
+      if (tagged) meta.loudness = tagged;
+      if (!playlist.includes(entry)) continue;
+      setTrackMeta(entry, meta);
+      if (entry.id) saveTrackMeta(entry);
+      if (tagged) onLoudnessKnown(entry);
+      renderPlaylist();
+    }
+    queueAnalysis(entries);
+  }
+
+  function setTrackMeta(entry, meta) {
+    if (entry.meta?.pictureUrl) URL.revokeObjectURL(entry.meta.pictureUrl);
+    entry.meta = { ...meta, pictureUrl: meta.picture ? URL.createObjectURL(meta.picture) : null };
+  }
+
+  function saveTrackMeta(entry) {
+    if (!libraryReady) return;
+    const { pictureUrl, ...meta } = entry.meta;
+    library.updateTrack(entry.id, { meta }).catch(e => console.warn('Could not save track tags:', e));
+  }
+
+  function releaseTrack(entry) {
+    try {
+      if (entry.url) URL.revokeObjectURL(entry.url);
+      if (entry.meta?.pictureUrl) URL.revokeObjectURL(entry.meta.pictureUrl);
+    } catch {}
+  }
+
+  // --- Background analysis ---
+  // One track at a time, after its tags are read. Results are saved with the tags, so a file
+  // is only analysed once; null marks a track that couldn't be (silent, too long, undecodable).
+  // Tracks with ReplayGain tags skip the loudness measurement.
+  const needsAnalysis = t => t.meta.loudness === undefined || t.meta.analysis === undefined;
+
+  function queueAnalysis(entries) {
+    analysisQueue.push(...entries.filter(t => t.meta && needsAnalysis(t)));
+    if (!analyzing) analyzeQueued();
+  }
+
+  async function analyzeQueued() {
+    analyzing = true;
+    while (analysisQueue.length) {
+      const entry = analysisQueue.shift();
+      if (!playlist.includes(entry) || !needsAnalysis(entry)) continue;
+
+      // one decode for whatever is still unknown: loudness (unless tagged), tempo / key / waveform
+      const loudness = entry.meta.loudness === undefined, features = entry.meta.analysis === undefined;
+      let result = {};
+      try {
+        result = await analyzeTrack(entry.file, { duration: entry.meta.duration, loudness, features });
+      } catch (e) {
+        console.warn(`Could not analyse ${entry.name}:`, e);
+      }
+      if (!playlist.includes(entry)) continue;
+      if (loudness) entry.meta.loudness = result.loudness ?? null;
+      if (features) entry.meta.analysis = result.analysis ?? null;
+      if (entry.id) saveTrackMeta(entry);
+      if (loudness) onLoudnessKnown(entry);
+      if (features && entry === playlist[currentTrackIndex]) drawSeekWaveform();
+      renderPlaylist();
+    }
+    analyzing = false;
+  }
+
+  // --- Loudness / normalization ---
+  function onLoudnessKnown(entry) {
+    // in album mode a new measurement shifts the whole album's gain
+    if (entry === playlist[currentTrackIndex] || entry === cuedEntry || normalize?.mode === 'album') applyNormalization();
+  }
+
+  // Tracks group into albums by album tag (and album artist, when tagged)
+  function albumKey(entry) {
+    const m = entry.meta;
+    if (!m?.album) return null;
+    return `${String(m.extra?.ALBUMARTIST || '').toLowerCase()}::${m.album.toLowerCase()}`;
+  }
+
+  function trackGain(entry) {
+    const loudness = entry?.meta?.loudness;
+    if (!normalize || !loudness) return 1;
+    let album = null;
+    const key = normalize.mode === 'album' ? albumKey(entry) : null;
+    if (key) {
+      album = albumLoudness(playlist.filter(t => t.meta?.loudness && albumKey(t) === key)
+        .map(t => ({ ...t.meta.loudness, duration: t.meta.duration })));
+    }
+    return normalizationGain(loudness, normalize, album);
+  }
+
+  function applyNormalization() {
+    if (!player) return;
+    if (currentTrackIndex >= 0 && inputMode !== 'live') player.setTrackGain(trackGain(playlist[currentTrackIndex]));
+    cueNext();
+  }
+
+  function describeLoudness(loudness) {
+    if (!loudness) return '';
+    const peak = loudness.truePeak != null ? `, peak ${loudness.truePeak.toFixed(1)} dBTP` : '';
+    return `${loudness.lufs.toFixed(1)} LUFS${peak} (${loudness.source === 'tags' ? 'ReplayGain tags' : 'measured'})`;
+  }
+
+  // "Artist – Title" from tags, else the filename
+  function trackTitle(track) {
+    const { title, artist } = track.meta || {};
+    if (!title) return track.name;
+    return artist ? `${artist} – ${title}` : title;
+  }
+
+  function applyAlbumPalette() {
+    const track = inputMode === 'live' ? null : playlist[currentTrackIndex];
+    const hexes = albumColors && track?.meta?.palette?.length ? track.meta.palette : null;
+    const key = hexes ? hexes.join() : '';
+    if (key === paletteKey) return;
+    paletteKey = key;
+    albumPalette = hexes ? hexes.map(h => new THREE.Color(h)) : null;
+    window.setBackgroundPalette?.(hexes);
+  }
+
+  function updateNowPlaying() {
+    const live = inputMode === 'live';
+    const track = live ? null : playlist[currentTrackIndex];
+    currentTrackNameDisplay.textContent = live ? `Live: ${liveLabel || 'input'}` : track ? trackTitle(track) : 'No song selected';
+    currentTrackNameDisplay.title = track?.meta?.album ? `${trackTitle(track)} (${track.meta.album})` : '';
+    const art = track?.meta?.pictureUrl;
+    currentTrackArt.hidden = !art;
+    if (art && currentTrackArt.getAttribute('src') !== art) currentTrackArt.src = art;
+    applyAlbumPalette();
+    drawSeekWaveform();
+    if (track !== announcedTrack) {
+      announcedTrack = track;
+      emitApi('track', describeTrack(track));
+    }
+  }
+
+  // The current track's waveform behind the (then transparent) seek bar; the played part in the accent color.
+  // Redrawn on every progress tick, so the bars are only rebuilt for a new waveform or size, and the
+  // theme colors only read again after a theme change.
+  function drawSeekWaveform() {
+    const waveform = inputMode === 'live' ? null : playlist[currentTrackIndex]?.meta?.analysis?.waveform;
+    seekWrap.classList.toggle('has-waveform', !!waveform);
+    seekWaveform.hidden = !waveform;
+    if (!waveform) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.round(seekWaveform.clientWidth * dpr), h = Math.round(seekWaveform.clientHeight * dpr);
+    if (!w || !h) return;
+    if (seekWaveform.width !== w) seekWaveform.width = w;
+    if (seekWaveform.height !== h) seekWaveform.height = h;
+
+    if (seekBars?.waveform !== waveform || seekBars.w !== w || seekBars.h !== h) {
+      const step = w / waveform.length;
+      const path = new Path2D();
+      waveform.forEach((peak, i) => {
+        const amp = Math.max(dpr, (peak / 255) * h);
+        path.rect(i * step, (h - amp) / 2, Math.max(1, step * 0.7), amp);
+      });
+      seekBars = { waveform, w, h, path };
+    }
+    if (!seekColors) {
+      const css = getComputedStyle(document.documentElement);
+      seekColors = {
+        unplayed: css.getPropertyValue('--border-primary').trim(),
+        played: css.getPropertyValue('--accent-primary').trim(),
+      };
+    }
+
+    const ctx = seekWaveform.getContext('2d');
+    const bars = seekBars.path;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = seekColors.unplayed;
+    ctx.fill(bars);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, w * (seekBar.value / 100), h);
+    ctx.clip();
+    ctx.fillStyle = seekColors.played;
+    ctx.fill(bars);
+    ctx.restore();
+  }
+
+  // --- Play order (shuffle / repeat / history) ---
+  const byText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  const byNumber = (a, b) => (a == null) - (b == null) || (a ?? 0) - (b ?? 0); // missing values last
+
+  const SORTS = {
+    alpha: { label: 'title', compare: (a, b) => byText(trackTitle(a), trackTitle(b)) },
+    artist: {
+      label: 'artist',
+      compare: (a, b) => (!a.meta?.artist) - (!b.meta?.artist)
+        || byText(a.meta?.artist || '', b.meta?.artist || '')
+        || byText(a.meta?.album || '', b.meta?.album || '')
+        || byNumber(a.meta?.trackNumber, b.meta?.trackNumber)
+        || byText(trackTitle(a), trackTitle(b)),
+    },
+    duration: { label: 'duration', compare: (a, b) => byNumber(a.meta?.duration, b.meta?.duration) },
+    bpm: { label: 'BPM', compare: (a, b) => byNumber(a.meta?.analysis?.bpm, b.meta?.analysis?.bpm) },
+    key: {
+      label: 'key',
+      compare: (a, b) => byNumber(camelotOrder(a.meta?.analysis?.key), camelotOrder(b.meta?.analysis?.key))
+        || byNumber(a.meta?.analysis?.bpm, b.meta?.analysis?.bpm),
+    },
+    added: { label: 'date added', compare: (a, b) => a.addedAt - b.addedAt },
+  };
+
+  function shuffled(items) {
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  // A new shuffle cycle: every track except the current one, in random order
+  function dealShuffle() {
+    const current = playlist[currentTrackIndex];
+    shuffleQueue = shuffled(playlist.filter(t => t !== current));
+  }
+
+  function setShuffle(on, { quiet = false } = {}) {
+    shuffle = !!on;
+    if (shuffle) dealShuffle();
+    else shuffleQueue = [];
+    cueNext();
+    updateUI();
+    persistSettings();
+    if (!quiet) showToast(shuffle ? 'Shuffle: on' : 'Shuffle: off', 'success');
+  }
+
+  function setRepeat(mode) {
+    repeatMode = mode;
+    cueNext();
+    updateUI();
+    persistSettings();
+    showToast(`Repeat: ${mode}`, 'success');
+  }
+
+  // Index to play after the current track, or -1 to stop.
+  // `auto` means the track ended by itself, so repeat off/one apply.
+  function nextIndex(auto) {
+    if (auto && repeatMode === 'one' && currentTrackIndex >= 0) return currentTrackIndex;
+    if (shuffle) {
+      if (!shuffleQueue.length) {
+        if (auto && repeatMode === 'off') return -1;
+        dealShuffle();
+      }
+      // peek only: loadTrack / onAdvance take the track off the queue once it plays
+      const next = shuffleQueue[0];
+      return next ? playlist.indexOf(next) : currentTrackIndex; // single-track playlist
+    }
+    const i = currentTrackIndex + 1;
+    if (i < playlist.length) return i;
+    return auto && repeatMode === 'off' ? -1 : 0;
+  }
+
+  function rememberCurrent(nextIdx) {
+    const current = playlist[currentTrackIndex];
+    if (!current || pendingResume || nextIdx === currentTrackIndex) return;
+    playHistory.push(current);
+    if (playHistory.length > 500) playHistory.shift();
+  }
+
+  function playNext({ auto = false } = {}) {
+    if (!playlist.length) return;
+    const index = nextIndex(auto);
+    if (index < 0) {
+      // repeat off: stay on the finished track; play starts it over
+      showToast('End of playlist', 'info');
+      return;
+    }
+    rememberCurrent(index);
+    loadTrack(index);
+  }
+
+  function playPrevious() {
+    if (!playlist.length) return;
+    // a few seconds in, "previous" restarts the current track
+    if (player && inputMode !== 'live' && !pendingResume && player.currentTime > 3) {
+      player.currentTime = 0;
+      return;
+    }
+    while (playHistory.length) {
+      const index = playlist.indexOf(playHistory.pop());
+      if (index === -1) continue; // removed since
+      // going back un-plays the current track, so shuffle deals it next again
+      const current = playlist[currentTrackIndex];
+      if (shuffle && current) shuffleQueue.unshift(current);
+      loadTrack(index);
+      return;
+    }
+    if (shuffle) {
+      if (player) player.currentTime = 0;
+      return;
+    }
+    loadTrack(currentTrackIndex - 1);
+  }
+
+  // Cues what plays after the current track on the player's idle deck (gapless / crossfade)
+  function cueNext() {
+    if (!player) return;
+    const index = inputMode === 'live' || pendingResume || currentTrackIndex < 0 ? -1 : nextIndex(true);
+    cuedEntry = index >= 0 ? playlist[index] : null;
+    player.cue(cuedEntry?.url ?? null, { gain: trackGain(cuedEntry) });
+  }
+
+  // The player moved on to the cued track by itself
+  function onAdvance() {
+    const index = playlist.indexOf(cuedEntry);
+    if (index < 0) return;
+    rememberCurrent(index);
+    currentTrackIndex = index;
+    shuffleQueue = shuffleQueue.filter(t => t !== cuedEntry);
+    persistPosition(true);
+    renderPlaylist();
+    cueNext();
+  }
+
+  // A track picked by hand (row click / Enter)
+  function playTrackAt(index) {
+    unlockAndInitAudio();
+    const entry = playlist[index];
+    if (!entry) return;
+    rememberCurrent(index);
+    loadTrack(index);
+  }
+
+  // --- Reordering ---
+  function moveTrack(from, to) {
+    if (from === to || !playlist[from]) return;
+    const current = playlist[currentTrackIndex];
+    const [entry] = playlist.splice(from, 1);
+    playlist.splice(clamp(to, 0, playlist.length), 0, entry);
+    if (current) currentTrackIndex = playlist.indexOf(current);
+    if (pendingResume) pendingResume.index = currentTrackIndex;
+    renderPlaylist();
+    persistPlaylistOrder();
+    cueNext();
+  }
+
+  function focusRow(index) {
+    playlistContainer.querySelector(`.playlist-item[data-index="${index}"]`)?.focus();
+  }
+
+  // Pointer-driven (mouse + touch) drag from a row's handle; a line marks the drop slot
+  function startRowDrag(ev, row) {
+    if (ev.button !== 0) return;
+    ev.preventDefault();
+    const handle = ev.currentTarget;
+    const from = Number(row.dataset.index);
+    const others = [...playlistContainer.querySelectorAll('.playlist-item')].filter(r => r !== row);
+    let to = from;
+
+    const clearMarks = () => others.forEach(r => r.classList.remove('drop-before', 'drop-after'));
+    const onMove = (e) => {
+      // keep the list scrolling while dragging near its edges
+      const box = playlistContainer.getBoundingClientRect();
+      if (e.clientY < box.top + 32) playlistContainer.scrollTop -= 8;
+      else if (e.clientY > box.bottom - 32) playlistContainer.scrollTop += 8;
+
+      to = others.filter(r => {
+        const rect = r.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+      }).length;
+      clearMarks();
+      if (to < others.length) others[to].classList.add('drop-before');
+      else others[others.length - 1]?.classList.add('drop-after');
+    };
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      handle.removeEventListener('pointercancel', onUp);
+      clearMarks();
+      row.classList.remove('dragging');
+      moveTrack(from, to);
+    };
+
+    row.classList.add('dragging');
+    handle.setPointerCapture(ev.pointerId);
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+  }
+
+  // Focused row: ↑/↓ move focus, Alt+↑/↓ move the track, Enter plays, Delete removes
+  function onRowKey(ev, index) {
+    const k = ev.key;
+    const step = k === 'ArrowUp' ? -1 : k === 'ArrowDown' ? 1 : 0;
+    if (step && ev.altKey) {
+      const to = index + step;
+      if (to >= 0 && to < playlist.length) {
+        moveTrack(index, to);
+        focusRow(to);
+      }
+    } else if (step) {
+      focusRow(index + step);
+    } else if (k === 'Enter') {
+      playTrackAt(index);
+    } else if (k === 'Delete') {
+      removeTrack(index);
+      focusRow(Math.min(index, playlist.length - 1));
+    } else {
+      return;
+    }
+    // handled here, not by the global shortcuts
+    ev.preventDefault();
+    ev.stopPropagation();
+  }
+
   // --- Playlist ---
-  function addFilesArrayToPlaylist(files) {
+  // Files from the picker or a drop: playlist files (.m3u, .pls, .xspf) become saved playlists
+  // built from the audio files that came with them; other audio goes to the current playlist.
+  async function addIncoming(items) {
+    let audio = items.filter(it => !isPlaylistFile(it.file));
+    for (const { file } of items.filter(it => isPlaylistFile(it.file))) {
+      let parsed;
+      try {
+        parsed = await parsePlaylist(file);
+      } catch (e) {
+        console.warn(`Could not read ${file.name}:`, e);
+        showToast(`Could not read playlist ${file.name}.`, 'error');
+        continue;
+      }
+      const { matched, missing } = matchEntries(parsed.entries, audio);
+      if (!matched.length) {
+        showToast(`None of the tracks in ${file.name} were found. Add the playlist together with its audio files or folder.`, 'error');
+        continue;
+      }
+      const used = new Set(matched.map(m => m.file));
+      audio = audio.filter(it => !used.has(it.file));
+
+      if (libraryReady) {
+        persistPosition(true);
+        const created = await library.createPlaylist(parsed.title.slice(0, 80));
+        await openPlaylist(created.id);
+      }
+      await addFilesArrayToPlaylist(matched.map(m => m.file), dropPaths(matched));
+      if (missing.length) {
+        const names = missing.map(m => m.title || m.location.split(/[\\/]/).pop());
+        const shown = names.slice(0, 3).join(', ') + (names.length > 3 ? ` and ${names.length - 3} more` : '');
+        console.warn(`${file.name}: ${missing.length} entries not found:`, missing.map(m => m.location));
+        showToast(`Imported ${parsed.title} with ${missing.length} track${missing.length > 1 ? 's' : ''} missing: ${shown}`, 'error');
+      } else {
+        showToast(`Imported playlist: ${parsed.title}`, 'success');
+      }
+    }
+    if (audio.length) await addFilesArrayToPlaylist(audio.map(it => it.file), dropPaths(audio));
+  }
+
+  const dropPaths = items => new Map(items.filter(it => it.path).map(it => [it.file, it.path]));
+
+  // `paths`: File → its path within a folder drop, kept so exported playlists can point into the folder
+  async function addFilesArrayToPlaylist(files, paths = new Map()) {
+    files = files.filter(f => f && f.name);
+    // Sniff every header up front (in parallel) but keep the given order
+    const checks = await Promise.all(files.map(checkPlayable));
+    const skipped = [];
+
     // De-dupe by name+size to prevent “double add”
     const existingKeys = new Set(playlist.map(p => `${p.name}::${p.file?.size ?? -1}`));
-    for (const file of files) {
-      if (!(file && file.name && /\.mp3$/i.test(file.name))) continue;
+    const added = [];
+    for (const [i, file] of files.entries()) {
+      if (!checks[i].ok) {
+        skipped.push(`${file.name} (${checks[i].reason})`);
+        continue;
+      }
       const key = `${file.name}::${file.size ?? -1}`;
       if (existingKeys.has(key)) continue; // skip duplicates
-      playlist.push({ file, name: file.name, url: URL.createObjectURL(file) });
+      const entry = { id: null, file, name: file.name, path: paths.get(file) || null, url: URL.createObjectURL(file), meta: null, addedAt: Date.now() };
+      playlist.push(entry);
+      added.push(entry);
       existingKeys.add(key);
     }
+    if (skipped.length) {
+      const shown = skipped.slice(0, 3).join(', ') + (skipped.length > 3 ? ` and ${skipped.length - 3} more` : '');
+      showToast(`Skipped ${skipped.length} file${skipped.length > 1 ? 's' : ''}: ${shown}`, 'error');
+    }
+    // new tracks join the current shuffle cycle at random spots
+    if (shuffle) for (const entry of added) shuffleQueue.splice(Math.floor(Math.random() * (shuffleQueue.length + 1)), 0, entry);
     renderPlaylist();
-    if (currentTrackIndex === -1 && playlist.length > 0) loadTrack(0);
+    cueNext();
+    storeTracks(added);
+    loadMetadata(added);
+    if (currentTrackIndex === -1 && playlist.length > 0 && inputMode !== 'live') loadTrack(0);
+    return added;
   }
 
   function removeTrack(index) {
     if (index < 0 || index >= playlist.length) return;
 
     const removingCurrent = (index === currentTrackIndex);
-    try { playlist[index].url && URL.revokeObjectURL(playlist[index].url); } catch {}
+    const entry = playlist[index];
+    releaseTrack(entry);
+    shuffleQueue = shuffleQueue.filter(t => t !== entry);
+    playHistory = playHistory.filter(t => t !== entry);
 
     playlist.splice(index, 1);
+    if (index < currentTrackIndex) currentTrackIndex -= 1;
+    persistPlaylistOrder();
 
     if (!playlist.length) {
       stopPlaybackAndClear();
       return;
     }
 
-    if (index < currentTrackIndex) {
-      currentTrackIndex -= 1;
-    } else if (removingCurrent) {
+    if (removingCurrent) {
       if (currentTrackIndex >= playlist.length) currentTrackIndex = 0;
-      loadTrack(currentTrackIndex);
-      return;
+      if (!pendingResume) {
+        loadTrack(currentTrackIndex);
+        return;
+      }
     }
+    // keep a cued (restored) track pointing at the same entry
+    if (pendingResume) pendingResume = { index: currentTrackIndex, position: removingCurrent ? 0 : pendingResume.position };
 
     renderPlaylist();
+    cueNext();
   }
 
-  function loadTrack(index) {
+  function loadTrack(index, { startAt = 0 } = {}) {
     if (!playlist.length || !audioContext) return;
+    if (inputMode === 'live') stopLiveInput();
     if (index < 0) index = playlist.length - 1;
     if (index >= playlist.length) index = 0;
 
     currentTrackIndex = index;
+    pendingResume = null;
     const track = playlist[index];
-    currentTrackNameDisplay.textContent = track.name;
 
-    audioElement.src = track.url;
-    audioElement.play().catch(e => {
+    shuffleQueue = shuffleQueue.filter(t => t !== track);
+
+    beatDetector?.reset();
+    player.load(track.url, { startAt, gain: trackGain(track) }).catch(e => {
+      if (e.name === 'AbortError') return; // superseded by another load
       console.error("Playback error:", e);
       showToast("Error playing audio file.", "error");
     });
+    persistPosition(true);
 
     renderPlaylist();
+    cueNext();
   }
 
   function togglePlayPause() {
+    if (exportJob) return;
+    if (inputMode === 'live') {
+      setLiveActive(!liveActive);
+      return;
+    }
+    if (pendingResume && playlist[pendingResume.index]) {
+      // first play after a reload / playlist switch: pick up where the user left off
+      unlockAndInitAudio();
+      loadTrack(pendingResume.index, { startAt: pendingResume.position });
+      return;
+    }
     if (!audioContext) {
       if (playlist.length > 0) {
         unlockAndInitAudio();
         loadTrack(0);
       } else {
-        showToast("Please add MP3 files to the playlist first.", "info");
+        showToast("Please add audio files to the playlist first.", "info");
       }
       return;
     }
-    if (audioElement.paused) audioElement.play().catch(e => console.error("Playback error:", e));
-    else audioElement.pause();
+    if (player.paused) player.play().catch(e => console.error("Playback error:", e));
+    else player.pause();
   }
 
   function stopPlaybackAndClear() {
-    if (audioElement) {
-      try { audioElement.pause(); } catch {}
-      audioElement.removeAttribute('src');
-      audioElement.load();
-    }
-    for (const item of playlist) { if (item.url) URL.revokeObjectURL(item.url); }
+    player?.stop();
+    cuedEntry = null;
+    for (const item of playlist) releaseTrack(item);
     playlist = [];
     currentTrackIndex = -1;
+    pendingResume = null;
+    shuffleQueue = [];
+    playHistory = [];
     isPlaying = false;
     renderPlaylist();
-    updateUI();
     seekBar.value = 0;
     seekBar.style.setProperty('--seek-before-width', `0%`);
     currentTimeDisplay.textContent = '0:00';
     totalDurationDisplay.textContent = '0:00';
-    currentTrackNameDisplay.textContent = 'No song selected';
+    updateUI(); // live input keeps its own labels
   }
 
   function seekToPosition() {
-    if (!audioElement || !isFinite(audioElement.duration)) return;
-    audioElement.currentTime = (seekBar.value / 100) * audioElement.duration;
+    if (!player || !isFinite(player.duration)) return;
+    player.currentTime = (seekBar.value / 100) * player.duration;
   }
 
   // --- UI helpers ---
   function renderPlaylist() {
+    // keep keyboard focus on the same row across re-renders
+    const focusedIndex = playlistContainer.contains(document.activeElement) ? document.activeElement.dataset.index : undefined;
     playlistContainer.innerHTML = '';
     const has = playlist.length > 0;
 
@@ -515,13 +1873,52 @@ document.addEventListener('DOMContentLoaded', () => {
         const wrapper = document.createElement('div');
         wrapper.className = `playlist-item group flex items-center gap-3 p-3 rounded-md transition-colors mb-1 ${index === currentTrackIndex ? 'bg-red-500/30' : 'hover:bg-gray-700'}`;
         wrapper.dataset.index = String(index);
-
-        const icon = document.createElement('i');
-        icon.className = 'fas fa-music text-gray-400';
-
-        const name = document.createElement('span');
-        name.className = 'flex-grow text-white truncate';
-        name.textContent = track.name;
+        wrapper.tabIndex = 0;
+
+        const handle = document.createElement('span');
+        handle.className = 'drag-handle';
+        handle.title = 'Drag to reorder (or Alt+↑/↓)';
+        handle.innerHTML = '<i class="fa-solid fa-grip-vertical"></i>';
+        handle.addEventListener('pointerdown', (ev) => startRowDrag(ev, wrapper));
+        handle.addEventListener('click', (ev) => ev.stopPropagation());
+
+        const meta = track.meta;
+        let icon;
+        if (meta?.pictureUrl) {
+          icon = document.createElement('img');
+          icon.className = 'w-8 h-8 rounded object-cover flex-shrink-0';
+          icon.src = meta.pictureUrl;
+          icon.alt = '';
+        } else {
+          icon = document.createElement('i');
+          icon.className = 'fas fa-music text-gray-400';
+        }
+
+        const name = document.createElement('div');
+        name.className = 'flex-grow min-w-0';
+        const title = document.createElement('div');
+        title.className = 'text-white truncate';
+        title.textContent = meta?.title || track.name;
+        name.appendChild(title);
+        const subtitle = [meta?.artist, meta?.album].filter(Boolean).join(' · ');
+        if (subtitle) {
+          const sub = document.createElement('div');
+          sub.className = 'text-xs text-gray-400 truncate';
+          sub.textContent = subtitle;
+          name.appendChild(sub);
+        }
+        name.title = [track.name, describeLoudness(meta?.loudness)].filter(Boolean).join('\n');
+
+        // tempo / key from the background analysis
+        const { bpm, key } = meta?.analysis || {};
+        const tempo = document.createElement('span');
+        tempo.className = 'text-xs text-gray-400 tabular-nums flex-shrink-0 text-right';
+        tempo.textContent = [bpm && `${Math.round(bpm)} BPM`, key?.short].filter(Boolean).join(' · ');
+        if (key) tempo.title = `${key.name} (${key.camelot})`;
+
+        const duration = document.createElement('span');
+        duration.className = 'text-xs text-gray-400 tabular-nums flex-shrink-0';
+        duration.textContent = meta?.duration ? formatTime(meta.duration) : '';
 
         // Small remove button — hidden until hover
         const removeBtn = document.createElement('button');
@@ -538,38 +1935,65 @@ document.addEventListener('DOMContentLoaded', () => {
         indicator.className = 'now-playing-indicator';
         indicator.innerHTML = `<div class="bar"></div><div class="bar"></div><div class="bar"></div><div class="bar"></div>`;
 
-        wrapper.append(icon, name, removeBtn, indicator);
-        wrapper.addEventListener('click', () => loadTrack(index));
+        wrapper.append(handle, icon, name, tempo, duration, removeBtn, indicator);
+        wrapper.addEventListener('click', () => playTrackAt(index));
+        wrapper.addEventListener('keydown', (ev) => onRowKey(ev, index));
         if (isCurrent) wrapper.classList.add('playing');
 
         playlistContainer.appendChild(wrapper);
       });
     }
 
+    if (focusedIndex !== undefined) focusRow(Math.min(Number(focusedIndex), playlist.length - 1));
     try { window.dispatchEvent(new CustomEvent('playlist:state', { detail: { hasTracks: has } })); } catch {}
     updateUI();
   }
 
   function updateUI() {
+    const live = inputMode === 'live';
     const hasTracks = playlist.length > 0;
-    playPauseButton.disabled = !hasTracks;
-    skipBackButton.disabled = playlist.length < 2;
-    skipForwardButton.disabled = playlist.length < 2;
-    seekBar.disabled = !hasTracks;
-
-    playPauseButton.innerHTML = isPlaying ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
-    if (!hasTracks) currentTrackNameDisplay.textContent = 'No song selected';
+    playPauseButton.disabled = !live && !hasTracks;
+    skipBackButton.disabled = live || playlist.length < 2;
+    skipForwardButton.disabled = live || playlist.length < 2;
+    seekBar.disabled = live || !hasTracks;
+    shuffleButton.disabled = repeatButton.disabled = live;
+
+    shuffleButton.classList.toggle('is-on', shuffle);
+    shuffleButton.setAttribute('aria-pressed', String(shuffle));
+    shuffleButton.title = `Shuffle: ${shuffle ? 'on' : 'off'}`;
+    repeatButton.classList.toggle('is-on', repeatMode !== 'off');
+    repeatButton.title = `Repeat: ${repeatMode}`;
+    repeatButton.innerHTML = repeatMode === 'one'
+      ? '<i class="fas fa-repeat"></i><span class="repeat-one">1</span>'
+      : '<i class="fas fa-repeat"></i>';
+
+    const showPause = live ? liveActive : isPlaying;
+    playPauseButton.innerHTML = showPause ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+    if (live) {
+      currentTimeDisplay.textContent = 'LIVE';
+      totalDurationDisplay.textContent = '';
+    }
+    updateNowPlaying();
   }
 
   function updateSeekBar() {
-    if (!audioElement || !isFinite(audioElement.duration)) return;
+    if (!player || !isFinite(player.duration)) return;
     if (!isSeeking) {
-      const progress = (audioElement.currentTime / audioElement.duration) * 100;
+      const progress = (player.currentTime / player.duration) * 100;
       seekBar.value = isNaN(progress) ? 0 : progress;
     }
     seekBar.style.setProperty('--seek-before-width', `${seekBar.value}%`);
-    currentTimeDisplay.textContent = formatTime(audioElement.currentTime);
-    totalDurationDisplay.textContent = formatTime(audioElement.duration);
+    drawSeekWaveform();
+    currentTimeDisplay.textContent = formatTime(player.currentTime);
+    totalDurationDisplay.textContent = formatTime(player.duration);
+  }
+
+  function downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 10000);
   }
 
   function showToast(text, type = 'info') {
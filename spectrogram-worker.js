@@ -0,0 +1,99 @@
+// spectrogram-worker.js
+// Spectrogram image of the editor's audio on a log-frequency scale (see spectrogram.js).
+// Posted: { id, sampleRate, samples: ArrayBuffer (Float32 mono, transferred), offset, length, fftSize, columns, rows }
+//         the image spans samples [offset, offset + length); the rest is window padding
+// Replies: { id, pixels: ArrayBuffer (RGBA, rows × columns, top row = highest frequency) } or { id, error }
+
+const MIN_FREQ = 20;           // Hz, bottom of the scale (or one FFT bin, if that's higher)
+const DB_RANGE = [-100, -20];  // dBFS mapped onto the colour scale
+
+// In-place radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci, ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+// Black → blue → red → yellow → white, matching the editor's waveform colours
+function colourMap() {
+  const stops = [[0, 0, 0], [30, 45, 140], [229, 62, 62], [246, 224, 94], [255, 255, 255]];
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const x = i / 255 * (stops.length - 1);
+    const s = Math.min(stops.length - 2, Math.floor(x)), t = x - s;
+    for (let c = 0; c < 3; c++) lut[i * 3 + c] = stops[s][c] + (stops[s + 1][c] - stops[s][c]) * t;
+  }
+  return lut;
+}
+
+// For each image row, the FFT bins it covers on the log scale
+function rowBins(rows, fftSize, sampleRate) {
+  const binHz = sampleRate / fftSize;
+  const low = Math.max(MIN_FREQ, binHz), high = sampleRate / 2;
+  const freq = r => low * (high / low) ** (r / rows);
+  return Array.from({ length: rows }, (_, r) => {
+    const from = freq(r) / binHz, to = freq(r + 1) / binHz;
+    return [Math.max(1, Math.floor(from)), Math.max(1, Math.min(fftSize / 2 - 1, Math.ceil(to)))];
+  });
+}
+
+function spectrogram(samples, offset, length, sampleRate, fftSize, columns, rows) {
+  const window = Float32Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize));
+  const scale = 2 / window.reduce((a, b) => a + b, 0);   // a full-scale sine reads 0 dBFS
+  const bins = rowBins(rows, fftSize, sampleRate);
+  const lut = colourMap();
+  const pixels = new Uint8ClampedArray(columns * rows * 4);
+  const re = new Float64Array(fftSize), im = new Float64Array(fftSize);
+  const db = new Float32Array(fftSize / 2);
+
+  for (let col = 0; col < columns; col++) {
+    const start = offset + Math.round((col + 0.5) / columns * length) - fftSize / 2;
+    for (let i = 0; i < fftSize; i++) {
+      const s = start + i;
+      re[i] = s >= 0 && s < samples.length ? samples[s] * window[i] : 0;
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let b = 1; b < fftSize / 2; b++) db[b] = 20 * Math.log10(Math.hypot(re[b], im[b]) * scale + 1e-12);
+    for (let r = 0; r < rows; r++) {
+      const [from, to] = bins[r];
+      let peak = -Infinity;
+      for (let b = from; b <= to; b++) if (db[b] > peak) peak = db[b];
+      const level = Math.round(Math.min(1, Math.max(0, (peak - DB_RANGE[0]) / (DB_RANGE[1] - DB_RANGE[0]))) * 255);
+      const o = ((rows - 1 - r) * columns + col) * 4;
+      pixels[o] = lut[level * 3];
+      pixels[o + 1] = lut[level * 3 + 1];
+      pixels[o + 2] = lut[level * 3 + 2];
+      pixels[o + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+self.onmessage = (event) => {
+  const { id, sampleRate, offset, length, fftSize, columns, rows } = event.data;
+  try {
+    const pixels = spectrogram(new Float32Array(event.data.samples), offset, length, sampleRate, fftSize, columns, rows);
+    self.postMessage({ id, pixels: pixels.buffer }, [pixels.buffer]);
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,57 @@
+/*
+  spectrogram.js
+  Spectrogram view for the editor page, drawn from the edited audio itself (WaveSurfer only
+  has display peaks) by spectrogram-worker.js, on a log-frequency scale.
+*/
+
+import { createWorkerQueue } from './worker-jobs.js';
+
+export const SPECTROGRAM_FFT_SIZES = [512, 1024, 2048, 4096, 8192];
+
+const runJob = createWorkerQueue(new URL('./spectrogram-worker.js', import.meta.url));
+const monoMixes = new WeakMap();   // AudioBuffer → Float32Array, its channels averaged
+let latestDraw = 0;                // bumped per draw, so requests a newer one overtook are dropped
+
+function monoMix(buffer) {
+  let mono = monoMixes.get(buffer);
+  if (mono) return mono;
+  mono = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / buffer.numberOfChannels;
+  }
+  monoMixes.set(buffer, mono);
+  return mono;
+}
+
+/**
+ * Draws the spectrogram of `buffer` between `from` and `to` onto `canvas`, one column per CSS pixel.
+ * Only that span is analysed, so a zoomed-in view stays as detailed as a zoomed-out one.
+ * A newer call supersedes older ones: those still queued are skipped and none of them paint.
+ * @param {HTMLCanvasElement} canvas Placed by the caller; its pixel size is set here.
+ * @param {AudioBuffer} buffer
+ * @param {{ fftSize: number, from: number, to: number, width: number, height: number }} opts
+ *        `from` / `to` in seconds, `width` / `height` in CSS pixels.
+ * @returns {Promise<boolean>} Whether it was drawn (false when superseded).
+ */
+export async function drawSpectrogram(canvas, buffer, { fftSize, from, to, width, height }) {
+  const columns = Math.max(1, Math.round(width));
+  const rows = Math.max(1, Math.round(height));
+  const draw = ++latestDraw;
+  const result = await runJob(async () => {
+    if (draw !== latestDraw) return null;
+    // the span plus half a window either side, so edge columns see their whole window
+    const start = Math.round(from * buffer.sampleRate), end = Math.round(to * buffer.sampleRate);
+    const first = Math.max(0, start - fftSize / 2), last = Math.min(buffer.length, end + fftSize / 2);
+    const samples = monoMix(buffer).slice(first, last);
+    return {
+      message: { sampleRate: buffer.sampleRate, samples: samples.buffer, offset: start - first, length: end - start, fftSize, columns, rows },
+      transfer: [samples.buffer],
+    };
+  });
+  if (!result || draw !== latestDraw) return false;
+  canvas.width = columns;
+  canvas.height = rows;
+  canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(result.pixels), columns, rows), 0, 0);
+  return true;
+}
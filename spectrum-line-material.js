@@ -0,0 +1,69 @@
+/*
+  spectrum-line-material.js
+  LineMaterial that displaces every line vertex along its direction from the
+  origin on the GPU. The analyser spectrum is uploaded once per frame as a
+  1-row data texture; each vertex samples its own frequency bin (chosen from
+  its polar angle: bass at the top pole, treble towards the bottom), so the
+  shape ripples instead of scaling uniformly.
+*/
+
+import * as THREE from 'three';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
+
+const VERTEX_PARS = /* glsl */`
+		uniform sampler2D spectrum;
+		uniform float baseDisp;      // global (loudness/beat) displacement
+		uniform float binDisp;       // max extra displacement from a vertex's own bin
+		uniform float spectrumRange; // fraction of the spectrum mapped onto the shape
+
+		vec3 displaceBySpectrum( vec3 p ) {
+			float len = length( p );
+			if ( len < 1e-4 ) return p;
+			vec3 dir = p / len;
+			float lat = acos( clamp( dir.y, -1.0, 1.0 ) ) / PI;
+			float u = spectrumRange * pow( lat, 1.5 );
+			float amp = texture2D( spectrum, vec2( u, 0.5 ) ).r;
+			return p + dir * ( baseDisp + amp * binDisp );
+		}
+`;
+
+export class SpectrumLineMaterial extends LineMaterial {
+  /**
+   * @param {object} parameters LineMaterial parameters.
+   * @param {THREE.Texture} spectrumTexture Shared spectrum texture (see createSpectrumTexture).
+   */
+  constructor(parameters, spectrumTexture) {
+    super(parameters);
+
+    this.uniforms.spectrum = { value: spectrumTexture };
+    this.uniforms.baseDisp = { value: 0 };
+    this.uniforms.binDisp = { value: 0 };
+    this.uniforms.spectrumRange = { value: 0.5 }; // ~0–11 kHz, where music has most energy
+
+    this.vertexShader = this.vertexShader
+      .replace('attribute vec3 instanceStart;', `${VERTEX_PARS}\n\t\tattribute vec3 instanceStart;`)
+      .replace('vec4( instanceStart, 1.0 )', 'vec4( displaceBySpectrum( instanceStart ), 1.0 )')
+      .replace('vec4( instanceEnd, 1.0 )', 'vec4( displaceBySpectrum( instanceEnd ), 1.0 )');
+  }
+
+  get baseDisp() { return this.uniforms.baseDisp.value; }
+  set baseDisp(v) { this.uniforms.baseDisp.value = v; }
+
+  get binDisp() { return this.uniforms.binDisp.value; }
+  set binDisp(v) { this.uniforms.binDisp.value = v; }
+}
+
+/**
+ * Creates a 1-row byte texture holding `bins` spectrum values.
+ * Copy analyser data into `texture.image.data` and set `needsUpdate` each frame.
+ * @param {THREE.WebGLRenderer} renderer Used to pick a single-channel format WebGL1 supports.
+ * @param {number} bins Number of frequency bins (analyser.frequencyBinCount).
+ */
+export function createSpectrumTexture(renderer, bins) {
+  const format = renderer.capabilities.isWebGL2 ? THREE.RedFormat : THREE.LuminanceFormat;
+  const texture = new THREE.DataTexture(new Uint8Array(bins), bins, 1, format, THREE.UnsignedByteType);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
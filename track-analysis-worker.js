@@ -0,0 +1,215 @@
+// track-analysis-worker.js
+// Loudness, tempo, key and waveform overview of decoded audio (see track-analysis.js). Module worker.
+// Posted: { id, sampleRate, channels: ArrayBuffer[] (Float32 PCM, transferred), points, loudness: bool, features: bool }
+// Replies: { id, lufs, truePeak } when `loudness` (see loudness-meter.js),
+//          plus { bpm, key: { name, short, camelot }|null, waveform: Uint8Array(points) } when `features`; or { id, error }
+
+import { integratedLoudness, truePeak } from './loudness-meter.js';
+
+const FEATURE_RATE = 12000;    // tempo and key are found in audio decimated to about this rate
+const DECIMATION_TAPS = 64;    // anti-alias low-pass length per decimation
+const FRAME = 2048;            // STFT size (~170 ms at 12 kHz)
+const HOP = 256;               // onset envelope resolution (~21 ms)
+const BPM_RANGE = [60, 200];
+const TEMPO_PRIOR = 120;       // BPM the octave-error prior is centred on
+const CHROMA_RANGE = [65, 2100]; // Hz, C2..C7
+
+// Krumhansl-Kessler key profiles, index 0 = tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+const MAJOR_NAMES = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+const MINOR_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'B♭', 'B'];
+
+function downmix(channels) {
+  if (channels.length === 1) return channels[0];
+  const out = new Float32Array(channels[0].length);
+  for (const ch of channels) for (let i = 0; i < out.length; i++) out[i] += ch[i] / channels.length;
+  return out;
+}
+
+// Keeps every `factor`-th sample after a windowed-sinc low-pass below the new Nyquist frequency
+function decimate(samples, factor) {
+  if (factor <= 1) return samples;
+  const cutoff = 0.45 / factor;   // of the input rate, leaving a little transition band
+  const taps = Float32Array.from({ length: DECIMATION_TAPS }, (_, i) => {
+    const t = i - (DECIMATION_TAPS - 1) / 2;
+    const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+    return sinc * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (DECIMATION_TAPS - 1)));
+  });
+  const out = new Float32Array(Math.floor(samples.length / factor));
+  for (let o = 0; o < out.length; o++) {
+    const start = o * factor - DECIMATION_TAPS / 2;
+    let y = 0;
+    for (let k = 0; k < DECIMATION_TAPS; k++) {
+      const s = start + k;
+      if (s >= 0 && s < samples.length) y += taps[k] * samples[s];
+    }
+    out[o] = y;
+  }
+  return out;
+}
+
+function waveformPeaks(samples, points) {
+  const out = new Uint8Array(points);
+  const per = samples.length / points;
+  for (let p = 0; p < points; p++) {
+    let peak = 0;
+    for (let i = Math.floor(p * per), end = Math.floor((p + 1) * per); i < end; i++) {
+      const v = Math.abs(samples[i]);
+      if (v > peak) peak = v;
+    }
+    out[p] = Math.min(255, Math.round(peak * 255));
+  }
+  return out;
+}
+
+// In-place radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci, ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+// One pass over the STFT: spectral-flux onset envelope and a track-wide chroma vector
+function spectralFeatures(samples, sampleRate) {
+  const bins = FRAME / 2;
+  const window = Float32Array.from({ length: FRAME }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME));
+  const pitchClass = new Int8Array(bins).fill(-1);
+  for (let b = 1; b < bins; b++) {
+    const f = b * sampleRate / FRAME;
+    if (f >= CHROMA_RANGE[0] && f <= CHROMA_RANGE[1]) pitchClass[b] = ((Math.round(12 * Math.log2(f / 440)) + 69) % 12 + 12) % 12;
+  }
+
+  const frames = Math.max(0, Math.floor((samples.length - FRAME) / HOP) + 1);
+  const onset = new Float32Array(frames);
+  const chroma = new Float64Array(12);
+  const re = new Float64Array(FRAME), im = new Float64Array(FRAME);
+  let prev = new Float32Array(bins), cur = new Float32Array(bins);
+
+  for (let f = 0; f < frames; f++) {
+    const start = f * HOP;
+    for (let i = 0; i < FRAME; i++) { re[i] = samples[start + i] * window[i]; im[i] = 0; }
+    fft(re, im);
+    let flux = 0;
+    for (let b = 1; b < bins; b++) {
+      const mag = Math.hypot(re[b], im[b]);
+      const c = Math.log1p(100 * mag);
+      if (c > prev[b]) flux += c - prev[b];
+      cur[b] = c;
+      // chroma only needs a frame every ~93 ms
+      if (f % 4 === 0 && pitchClass[b] >= 0) chroma[pitchClass[b]] += mag;
+    }
+    onset[f] = flux;
+    [prev, cur] = [cur, prev];
+  }
+  return { onset, fps: sampleRate / HOP, chroma };
+}
+
+function estimateTempo(onset, fps) {
+  if (onset.length < fps * 5) return null;
+  // remove the slowly varying part (loudness changes), keep the pulses
+  const win = Math.round(fps);
+  const env = new Float32Array(onset.length);
+  let sum = 0;
+  for (let i = 0; i < onset.length; i++) {
+    sum += onset[i];
+    if (i >= win) sum -= onset[i - win];
+    env[i] = Math.max(0, onset[i] - sum / Math.min(i + 1, win));
+  }
+
+  const maxLag = Math.ceil(4 * 60 * fps / BPM_RANGE[0]) + 2;
+  const ac = new Float64Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let s = 0;
+    for (let i = lag; i < env.length; i++) s += env[i] * env[i - lag];
+    ac[lag] = s;
+  }
+  if (!(ac[0] > 0)) return null;
+  const at = (lag) => {
+    const i = Math.floor(lag), t = lag - i;
+    return i + 1 <= maxLag ? ac[i] * (1 - t) + ac[i + 1] * t : 0;
+  };
+
+  // a tempo scores its beat period and the next three multiples (bars), weighted towards TEMPO_PRIOR
+  let best = null, bestScore = 0;
+  for (let bpm = BPM_RANGE[0]; bpm <= BPM_RANGE[1]; bpm += 0.05) {
+    const lag = 60 * fps / bpm;
+    let score = 0;
+    for (let k = 1; k <= 4; k++) score += at(k * lag);
+    score *= Math.exp(-0.5 * (Math.log2(bpm / TEMPO_PRIOR) / 0.9) ** 2);
+    if (score > bestScore) { best = bpm; bestScore = score; }
+  }
+  return best && bestScore / ac[0] > 0.05 ? Math.round(best * 10) / 10 : null;
+}
+
+function pearson(a, b) {
+  const mean = v => v.reduce((s, x) => s + x, 0) / v.length;
+  const ma = mean(a), mb = mean(b);
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+function estimateKey(chroma) {
+  if (!chroma.some(v => v > 0)) return null;
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = Array.from({ length: 12 }, (_, i) => chroma[(tonic + i) % 12]);
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const r = pearson(rotated, profile);
+      if (!best || r > best.r) best = { tonic, mode, r };
+    }
+  }
+  const { tonic, mode } = best;
+  // Camelot wheel: majors are "B", each fifth up is +1; a minor shares its number with its relative major
+  const major = mode === 'major' ? tonic : (tonic + 3) % 12;
+  const number = ((major * 7) % 12 + 7) % 12 + 1;
+  const root = (mode === 'major' ? MAJOR_NAMES : MINOR_NAMES)[tonic];
+  return {
+    name: `${root} ${mode}`,
+    short: mode === 'major' ? root : `${root}m`,
+    camelot: `${number}${mode === 'major' ? 'B' : 'A'}`,
+  };
+}
+
+self.onmessage = (event) => {
+  const { id, sampleRate, channels, points, loudness, features } = event.data;
+  try {
+    const pcm = channels.map(buf => new Float32Array(buf));
+    const result = loudness ? { lufs: integratedLoudness(pcm, sampleRate), truePeak: truePeak(pcm, sampleRate) } : {};
+    const transfer = [];
+    if (features) {
+      const mono = downmix(pcm);
+      const waveform = waveformPeaks(mono, points);
+      const factor = Math.max(1, Math.floor(sampleRate / FEATURE_RATE));
+      const { onset, fps, chroma } = spectralFeatures(decimate(mono, factor), sampleRate / factor);
+      Object.assign(result, { bpm: estimateTempo(onset, fps), key: estimateKey(chroma), waveform });
+      transfer.push(waveform.buffer);
+    }
+    self.postMessage({ id, ...result }, transfer);
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
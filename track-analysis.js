@@ -0,0 +1,52 @@
+/*
+  track-analysis.js
+  Background analysis of playlist tracks in track-analysis-worker.js, from a single decode per track:
+  - loudness: integrated loudness (LUFS) and true peak (dBTP) for normalization (see loudness.js
+    and loudness-meter.js); skipped when the tags already carry it
+  - tempo (BPM), musical key (name, short name and Camelot code) and a peak waveform overview
+  Audio is decoded at 48 kHz, the rate BS.1770 is specified at; tempo and key are found in a
+  decimated copy, since everything they look at lives well below 5 kHz.
+
+  Analysis shape (stored with the track's tags as meta.analysis):
+    { bpm: number|null, key: { name: 'A minor', short: 'Am', camelot: '8A' }|null, waveform: Uint8Array }
+  waveform holds WAVEFORM_POINTS peak levels (0..255) across the track.
+*/
+
+import { createWorkerQueue, decodeChannels, tooLongToDecode } from './worker-jobs.js';
+
+export const WAVEFORM_POINTS = 600;
+
+const ANALYSIS_RATE = 48000;
+const MAX_ANALYSIS_SECONDS = 40 * 60; // longer files (DJ mixes, audiobooks) aren't decoded at all
+
+const runJob = createWorkerQueue(new URL('./track-analysis-worker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Analyses a track off the main thread. Calls are queued and run one after another.
+ * @param {Blob} blob Encoded audio.
+ * @param {{ duration?: number|null, loudness?: boolean, features?: boolean }} [opts] `duration` (s, from
+ *        the tags) lets very long files be skipped undecoded; `loudness` / `features` pick what to measure.
+ * @returns {Promise<{ loudness?: object|null, analysis?: object|null }>} What was asked for: loudness
+ *          (source 'measured', null for silence) and analysis; both null for very long files.
+ */
+export async function analyzeTrack(blob, { duration = null, loudness = true, features = true } = {}) {
+  const skipped = { ...(loudness && { loudness: null }), ...(features && { analysis: null }) };
+  if (tooLongToDecode(blob, duration, MAX_ANALYSIS_SECONDS)) return skipped;
+  const result = await runJob(async () => {
+    const decoded = await decodeChannels(blob, ANALYSIS_RATE);
+    if (decoded.duration > MAX_ANALYSIS_SECONDS) return null;
+    const { sampleRate, channels } = decoded;
+    return { message: { sampleRate, channels, points: WAVEFORM_POINTS, loudness, features }, transfer: channels };
+  });
+  if (!result) return skipped;
+  return {
+    ...(loudness && { loudness: result.lufs == null ? null : { lufs: result.lufs, truePeak: result.truePeak, source: 'measured' } }),
+    ...(features && { analysis: { bpm: result.bpm, key: result.key, waveform: result.waveform } }),
+  };
+}
+
+/** Sort position on the Camelot wheel ("1A" first, "12B" last); unknown keys sort last. */
+export function camelotOrder(key) {
+  const m = /^(\d+)([AB])$/.exec(key?.camelot || '');
+  return m ? Number(m[1]) * 2 + (m[2] === 'B') : null;
+}
@@ -0,0 +1,438 @@
+/*
+  track-metadata.js
+  Tag parsing for playlist entries, reading only the parts of the file that hold tags.
+  - ID3v2.2/2.3/2.4 (text frames, TXXX, APIC/PIC) with ID3v1 as fallback — MP3/AAC
+  - FLAC metadata blocks (STREAMINFO, VORBIS_COMMENT, PICTURE)
+  - Ogg Vorbis / Opus comment headers (incl. METADATA_BLOCK_PICTURE)
+  - MP4/M4A moov/udta/meta/ilst (©nam, ©ART, ©alb, trkn, covr, iTunes '----' atoms)
+  readTrackMetadata() returns
+    { title, artist, album, trackNumber, duration, picture: Blob|null, extra: { KEY: value } }
+  with null for anything the file doesn't carry (duration falls back to the browser's decoder). `extra` holds free-form tags (TXXX, Vorbis
+  comments, iTunes atoms) upper-cased, e.g. REPLAYGAIN_TRACK_GAIN. The other standard fields land there under their
+  Vorbis comment names whatever the format: DATE, GENRE, ALBUMARTIST, COMPOSER, DISCNUMBER, COMMENT, LYRICS.
+  extractPalette() picks dominant colors from cover art.
+*/
+
+const MAX_TAG_BYTES = 16 * 1024 * 1024;  // never read more than this for one tag block
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+async function readBytes(file, start, length) {
+  return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+function ascii(b, start, len) {
+  return String.fromCharCode(...b.subarray(start, start + len));
+}
+
+function u32be(b, o) { return ((b[o] << 24) >>> 0) + (b[o + 1] << 16) + (b[o + 2] << 8) + b[o + 3]; }
+function u32le(b, o) { return b[o] + (b[o + 1] << 8) + (b[o + 2] << 16) + ((b[o + 3] << 24) >>> 0); }
+function synchsafe(b, o) { return ((b[o] & 0x7f) << 21) | ((b[o + 1] & 0x7f) << 14) | ((b[o + 2] & 0x7f) << 7) | (b[o + 3] & 0x7f); }
+
+function emptyMeta() {
+  return { title: null, artist: null, album: null, trackNumber: null, duration: null, picture: null, extra: {} };
+}
+
+function parseTrackNumber(v) {
+  const n = parseInt(String(v || '').split('/')[0], 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Other spellings of the standard `extra` names
+const TAG_ALIASES = {
+  'ALBUM ARTIST': 'ALBUMARTIST', ALBUM_ARTIST: 'ALBUMARTIST', YEAR: 'DATE',
+  DESCRIPTION: 'COMMENT', UNSYNCEDLYRICS: 'LYRICS', DISC: 'DISCNUMBER',
+};
+
+// Maps common tag names (Vorbis / TXXX / iTunes) onto the result
+function applyNamedTag(meta, key, value) {
+  if (!value) return;
+  const k = TAG_ALIASES[key.toUpperCase()] || key.toUpperCase();
+  switch (k) {
+    case 'TITLE': meta.title ??= value; break;
+    case 'ARTIST': meta.artist ??= value; break;
+    case 'ALBUM': meta.album ??= value; break;
+    case 'TRACKNUMBER': meta.trackNumber ??= parseTrackNumber(value); break;
+    default: meta.extra[k] ??= value;
+  }
+}
+
+// --- ID3v2 ---
+function decodeText(enc, bytes) {
+  let text;
+  if (enc === 0) text = latin1.decode(bytes);
+  else if (enc === 3) text = utf8.decode(bytes);
+  else if (enc === 1) {
+    // UTF-16 with BOM
+    const le = bytes[0] === 0xff && bytes[1] === 0xfe;
+    const body = (bytes[0] === 0xff || bytes[0] === 0xfe) ? bytes.subarray(2) : bytes;
+    text = new TextDecoder(le ? 'utf-16le' : 'utf-16be').decode(body);
+  } else text = new TextDecoder('utf-16be').decode(bytes);
+  return text.replace(/\0+$/, '');
+}
+
+// Index of the terminator for `enc` (1 byte of 0, or 2 aligned for UTF-16)
+function findTerminator(b, start, enc) {
+  if (enc === 1 || enc === 2) {
+    for (let i = start; i + 1 < b.length; i += 2) if (b[i] === 0 && b[i + 1] === 0) return i;
+  } else {
+    for (let i = start; i < b.length; i++) if (b[i] === 0) return i;
+  }
+  return b.length;
+}
+
+function removeUnsync(b) {
+  const out = [];
+  for (let i = 0; i < b.length; i++) {
+    out.push(b[i]);
+    if (b[i] === 0xff && b[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(out);
+}
+
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title', TT2: 'title', TPE1: 'artist', TP1: 'artist', TALB: 'album', TAL: 'album',
+  TRCK: 'trackNumber', TRK: 'trackNumber', TLEN: 'length', TLE: 'length',
+};
+
+// Text frames kept in `extra` under their Vorbis comment names (see audio-export.js for the way back)
+const ID3_NAMED_FRAMES = {
+  TYER: 'DATE', TYE: 'DATE', TDRC: 'DATE', TCON: 'GENRE', TCO: 'GENRE', TPE2: 'ALBUMARTIST', TP2: 'ALBUMARTIST',
+  TCOM: 'COMPOSER', TCM: 'COMPOSER', TPOS: 'DISCNUMBER', TPA: 'DISCNUMBER',
+};
+
+function parseId3v2(tag, meta) {
+  const major = tag[3];
+  const flags = tag[5];
+  let body = tag.subarray(10);
+  if ((flags & 0x80) && major < 4) body = removeUnsync(body);
+
+  let pos = 0;
+  if (flags & 0x40) {
+    pos = major === 4 ? synchsafe(body, 0) : u32be(body, 0) + 4;
+  }
+
+  const idLen = major === 2 ? 3 : 4;
+  const headLen = major === 2 ? 6 : 10;
+  while (pos + headLen <= body.length) {
+    const id = ascii(body, pos, idLen);
+    if (!/^[A-Z0-9]{3,4}$/.test(id)) break; // padding
+    const size = major === 2 ? (body[pos + 3] << 16) | (body[pos + 4] << 8) | body[pos + 5]
+      : major === 4 ? synchsafe(body, pos + 4) : u32be(body, pos + 4);
+    let data = body.subarray(pos + headLen, pos + headLen + size);
+    if (major === 4 && (body[pos + 9] & 0x02)) data = removeUnsync(data);
+    pos += headLen + size;
+    if (!data.length) continue;
+
+    const enc = data[0];
+    const field = ID3_TEXT_FRAMES[id];
+    if (field) {
+      const value = decodeText(enc, data.subarray(1)).split('\0')[0].trim();
+      if (field === 'trackNumber') meta.trackNumber ??= parseTrackNumber(value);
+      else if (field === 'length') meta.duration ??= (Number(value) / 1000) || null;
+      else meta[field] ??= value || null;
+    } else if (ID3_NAMED_FRAMES[id]) {
+      applyNamedTag(meta, ID3_NAMED_FRAMES[id], decodeText(enc, data.subarray(1)).split('\0')[0].trim());
+    } else if (id === 'COMM' || id === 'COM' || id === 'USLT' || id === 'ULT') {
+      // encoding, language, description, text; described comments are other apps' data (e.g. iTunNORM)
+      const end = findTerminator(data, 4, enc);
+      const step = (enc === 1 || enc === 2) ? 2 : 1;
+      const description = decodeText(enc, data.subarray(4, end));
+      const key = id === 'USLT' || id === 'ULT' ? 'LYRICS' : description || 'COMMENT';
+      applyNamedTag(meta, key, decodeText(enc, data.subarray(end + step)).trim());
+    } else if (id === 'TXXX' || id === 'TXX') {
+      const end = findTerminator(data, 1, enc);
+      const step = (enc === 1 || enc === 2) ? 2 : 1;
+      applyNamedTag(meta, decodeText(enc, data.subarray(1, end)), decodeText(enc, data.subarray(end + step)).trim());
+    } else if ((id === 'APIC' || id === 'PIC') && !meta.picture) {
+      let p = 1, mime;
+      if (id === 'PIC') {
+        const fmt = ascii(data, 1, 3).toUpperCase();
+        mime = fmt === 'PNG' ? 'image/png' : 'image/jpeg';
+        p = 4;
+      } else {
+        const mimeEnd = findTerminator(data, 1, 0);
+        mime = latin1.decode(data.subarray(1, mimeEnd)) || 'image/jpeg';
+        if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`;
+        p = mimeEnd + 1;
+      }
+      p += 1; // picture type
+      const descEnd = findTerminator(data, p, enc);
+      p = descEnd + ((enc === 1 || enc === 2) ? 2 : 1);
+      meta.picture = new Blob([data.slice(p)], { type: mime });
+    }
+  }
+}
+
+function parseId3v1(b, meta) {
+  if (b.length < 128 || ascii(b, 0, 3) !== 'TAG') return;
+  const field = (o, n) => latin1.decode(b.subarray(o, o + n)).replace(/\0.*$/, '').trim() || null;
+  meta.title ??= field(3, 30);
+  meta.artist ??= field(33, 30);
+  meta.album ??= field(63, 30);
+  if (b[125] === 0 && b[126]) meta.trackNumber ??= b[126];
+}
+
+// --- Vorbis comments / FLAC pictures ---
+function parseVorbisComments(b, meta) {
+  let p = 0;
+  const vendorLen = u32le(b, p); p += 4 + vendorLen;
+  const count = u32le(b, p); p += 4;
+  for (let i = 0; i < count && p + 4 <= b.length; i++) {
+    const len = u32le(b, p); p += 4;
+    const entry = utf8.decode(b.subarray(p, p + len)); p += len;
+    const eq = entry.indexOf('=');
+    if (eq <= 0) continue;
+    const key = entry.slice(0, eq).toUpperCase();
+    const value = entry.slice(eq + 1);
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      if (!meta.picture) {
+        try { parseFlacPicture(Uint8Array.from(atob(value), c => c.charCodeAt(0)), meta); } catch {}
+      }
+    } else {
+      applyNamedTag(meta, key, value.trim());
+    }
+  }
+}
+
+function parseFlacPicture(b, meta) {
+  let p = 4;
+  const mimeLen = u32be(b, p); p += 4;
+  const mime = ascii(b, p, mimeLen) || 'image/jpeg'; p += mimeLen;
+  const descLen = u32be(b, p); p += 4 + descLen;
+  p += 16; // width, height, depth, colors
+  const dataLen = u32be(b, p); p += 4;
+  meta.picture = new Blob([b.slice(p, p + dataLen)], { type: mime });
+}
+
+async function parseFlac(file, meta) {
+  let pos = 4;
+  for (let guard = 0; guard < 64; guard++) {
+    const head = await readBytes(file, pos, 4);
+    if (head.length < 4) break;
+    const last = head[0] & 0x80;
+    const type = head[0] & 0x7f;
+    const len = (head[1] << 16) | (head[2] << 8) | head[3];
+    if (type === 0 || type === 4 || (type === 6 && !meta.picture)) {
+      const block = await readBytes(file, pos + 4, Math.min(len, MAX_TAG_BYTES));
+      if (type === 0 && block.length >= 18) {
+        const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+        const totalSamples = (block[13] & 0x0f) * 2 ** 32 + u32be(block, 14);
+        if (sampleRate && totalSamples) meta.duration = totalSamples / sampleRate;
+      } else if (type === 4) {
+        parseVorbisComments(block, meta);
+      } else if (type === 6) {
+        parseFlacPicture(block, meta);
+      }
+    }
+    pos += 4 + len;
+    if (last) break;
+  }
+}
+
+// Reassembles the second packet of the first logical stream (the comment header)
+async function parseOgg(file, meta) {
+  const b = await readBytes(file, 0, Math.min(file.size, MAX_TAG_BYTES));
+  const packets = [];
+  let current = [];
+  let serial = null;
+  let p = 0;
+  while (p + 27 <= b.length && packets.length < 2) {
+    if (ascii(b, p, 4) !== 'OggS') break;
+    const pageSerial = u32le(b, p + 14);
+    const segCount = b[p + 26];
+    const table = b.subarray(p + 27, p + 27 + segCount);
+    let dataPos = p + 27 + segCount;
+    serial ??= pageSerial;
+    for (const seg of table) {
+      if (pageSerial === serial) current.push(b.subarray(dataPos, dataPos + seg));
+      dataPos += seg;
+      if (seg < 255 && pageSerial === serial) {
+        const len = current.reduce((n, c) => n + c.length, 0);
+        const packet = new Uint8Array(len);
+        let o = 0;
+        for (const c of current) { packet.set(c, o); o += c.length; }
+        packets.push(packet);
+        current = [];
+        if (packets.length === 2) break;
+      }
+    }
+    p = dataPos;
+  }
+  const comments = packets[1];
+  if (!comments) return;
+  if (ascii(comments, 0, 8) === 'OpusTags') parseVorbisComments(comments.subarray(8), meta);
+  else if (comments[0] === 3 && ascii(comments, 1, 6) === 'vorbis') parseVorbisComments(comments.subarray(7), meta);
+}
+
+// --- MP4 ---
+function* boxes(b, start = 0, end = b.length) {
+  let p = start;
+  while (p + 8 <= end) {
+    let size = u32be(b, p);
+    const type = ascii(b, p + 4, 4);
+    let header = 8;
+    if (size === 1) { size = u32be(b, p + 8) * 2 ** 32 + u32be(b, p + 12); header = 16; }
+    else if (size === 0) size = end - p;
+    if (size < header) return;
+    yield { type, start: p + header, end: Math.min(p + size, end) };
+    p += size;
+  }
+}
+
+function child(b, box, type, skip = 0) {
+  for (const c of boxes(b, box.start + skip, box.end)) if (c.type === type) return c;
+  return null;
+}
+
+function parseIlst(b, ilst, meta) {
+  for (const item of boxes(b, ilst.start, ilst.end)) {
+    const data = child(b, item, 'data');
+    if (!data) continue;
+    const typeCode = u32be(b, data.start) & 0xffffff;
+    const payload = b.subarray(data.start + 8, data.end);
+    const text = () => utf8.decode(payload).trim();
+    switch (item.type) {
+      case '©nam': meta.title ??= text(); break;
+      case '©ART': meta.artist ??= text(); break;
+      case '©alb': meta.album ??= text(); break;
+      case 'trkn': if (payload.length >= 4) meta.trackNumber ??= ((payload[2] << 8) | payload[3]) || null; break;
+      case 'disk': if (payload.length >= 4) applyNamedTag(meta, 'DISCNUMBER', String((payload[2] << 8) | payload[3] || '')); break;
+      case '©day': applyNamedTag(meta, 'DATE', text()); break;
+      case '©gen': applyNamedTag(meta, 'GENRE', text()); break;
+      case 'aART': applyNamedTag(meta, 'ALBUMARTIST', text()); break;
+      case '©wrt': applyNamedTag(meta, 'COMPOSER', text()); break;
+      case '©cmt': applyNamedTag(meta, 'COMMENT', text()); break;
+      case '©lyr': applyNamedTag(meta, 'LYRICS', text()); break;
+      case 'covr':
+        if (!meta.picture) meta.picture = new Blob([payload.slice()], { type: typeCode === 14 ? 'image/png' : 'image/jpeg' });
+        break;
+      case '----': {
+        const name = child(b, item, 'name');
+        if (name) applyNamedTag(meta, utf8.decode(b.subarray(name.start + 4, name.end)), text());
+        break;
+      }
+    }
+  }
+}
+
+async function parseMp4(file, meta) {
+  // Walk top-level boxes by header only; read just `moov` (it may sit at the end)
+  let pos = 0, moov = null;
+  for (let guard = 0; guard < 1000 && pos + 8 <= file.size; guard++) {
+    const h = await readBytes(file, pos, 16);
+    let size = u32be(h, 0);
+    const type = ascii(h, 4, 4);
+    if (size === 1) size = u32be(h, 8) * 2 ** 32 + u32be(h, 12);
+    else if (size === 0) size = file.size - pos;
+    if (size < 8) break;
+    if (type === 'moov') { moov = await readBytes(file, pos, Math.min(size, MAX_TAG_BYTES)); break; }
+    pos += size;
+  }
+  if (!moov) return;
+
+  const root = { start: 8, end: moov.length };
+  const mvhd = child(moov, root, 'mvhd');
+  if (mvhd) {
+    const v = moov[mvhd.start];
+    const timescale = v === 1 ? u32be(moov, mvhd.start + 20) : u32be(moov, mvhd.start + 12);
+    const duration = v === 1 ? u32be(moov, mvhd.start + 24) * 2 ** 32 + u32be(moov, mvhd.start + 28) : u32be(moov, mvhd.start + 16);
+    if (timescale) meta.duration = duration / timescale;
+  }
+  const udta = child(moov, root, 'udta');
+  const metaBox = udta && child(moov, udta, 'meta');
+  const ilst = metaBox && child(moov, metaBox, 'ilst', 4); // meta is a full box
+  if (ilst) parseIlst(moov, ilst, meta);
+}
+
+// Duration as reported by a throwaway <audio> element (for formats without it in the header)
+function probeDuration(file) {
+  return new Promise(resolve => {
+    const url = URL.createObjectURL(file);
+    const probe = new Audio();
+    const done = (d) => {
+      clearTimeout(timer);
+      probe.removeAttribute('src');
+      probe.load();
+      URL.revokeObjectURL(url);
+      resolve(Number.isFinite(d) && d > 0 ? d : null);
+    };
+    const timer = setTimeout(() => done(null), 10000);
+    probe.preload = 'metadata';
+    probe.onloadedmetadata = () => done(probe.duration);
+    probe.onerror = () => done(null);
+    probe.src = url;
+  });
+}
+
+/**
+ * Reads tags from an audio file. Never throws: unreadable tags give an all-null result.
+ * @param {File|Blob} file
+ */
+export async function readTrackMetadata(file) {
+  const meta = emptyMeta();
+  try {
+    const head = await readBytes(file, 0, 12);
+    const tag4 = ascii(head, 0, 4);
+    if (ascii(head, 0, 3) === 'ID3') {
+      const size = synchsafe(head, 6) + 10 + ((head[5] & 0x10) ? 10 : 0);
+      parseId3v2(await readBytes(file, 0, Math.min(size, MAX_TAG_BYTES)), meta);
+      const after = await readBytes(file, size, 4);
+      if (ascii(after, 0, 4) === 'fLaC') await parseFlac(file.slice(size), meta);
+    } else if (tag4 === 'fLaC') {
+      await parseFlac(file, meta);
+    } else if (tag4 === 'OggS') {
+      await parseOgg(file, meta);
+    } else if (ascii(head, 4, 4) === 'ftyp') {
+      await parseMp4(file, meta);
+    }
+    if (!meta.title || !meta.artist) parseId3v1(await readBytes(file, file.size - 128, 128), meta);
+  } catch (e) {
+    console.warn('Could not read tags:', e);
+  }
+  meta.duration ??= await probeDuration(file);
+  return meta;
+}
+
+// --- Album art palette ---
+/**
+ * Dominant, reasonably saturated colors of an image, most common first.
+ * @param {Blob} imageBlob
+ * @param {number} [count=3]
+ * @returns {Promise<string[]>} '#rrggbb' strings (may be fewer than `count`).
+ */
+export async function extractPalette(imageBlob, count = 3) {
+  const bitmap = await createImageBitmap(imageBlob);
+  const size = 48;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, size, size);
+  bitmap.close?.();
+  const { data } = ctx.getImageData(0, 0, size, size);
+
+  // Bucket at 4 bits per channel, weighting saturated pixels so grey backgrounds don't win
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    if (max < 24) continue; // near-black
+    const sat = max ? (max - min) / max : 0;
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { w: 0, r: 0, g: 0, b: 0 };
+    const w = 0.2 + sat;
+    bucket.w += w; bucket.r += r * w; bucket.g += g * w; bucket.b += b * w;
+    buckets.set(key, bucket);
+  }
+
+  const ranked = [...buckets.values()].sort((a, b) => b.w - a.w)
+    .map(c => [c.r / c.w, c.g / c.w, c.b / c.w]);
+  const picked = [];
+  for (const c of ranked) {
+    // keep colors visibly distinct from each other
+    if (picked.every(p => Math.hypot(p[0] - c[0], p[1] - c[1], p[2] - c[2]) > 60)) picked.push(c);
+    if (picked.length === count) break;
+  }
+  return picked.map(c => '#' + c.map(v => Math.round(v).toString(16).padStart(2, '0')).join(''));
+}
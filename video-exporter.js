@@ -0,0 +1,195 @@
+/*
+  video-exporter.js
+  Frame-accurate offline export of the visualizer, independent of requestAnimationFrame.
+  - decodeForExport:        decodes a track, resampled to EXPORT_SAMPLE_RATE (what Opus/AAC expect)
+  - analyzeSpectrumFrames:  plays the track through an AnalyserNode in an OfflineAudioContext and
+                            suspends once per video frame to snapshot the spectrum, so the visuals
+                            see the same smoothed data the live analyser would
+  - encodeVisualizerVideo:  renders each frame through a caller callback, encodes with WebCodecs
+                            and muxes video + audio into WebM (VP9/Opus) or MP4 (H.264/AAC)
+*/
+
+import * as WebM from 'webm-muxer';
+import * as Mp4 from 'mp4-muxer';
+
+export const EXPORT_SAMPLE_RATE = 48000;
+
+export const EXPORT_FORMATS = {
+  webm: { video: 'vp09.00.41.08', audio: 'opus', mime: 'video/webm', ext: 'webm' },
+  mp4:  { video: 'avc1.640033', audio: 'mp4a.40.2', mime: 'video/mp4', ext: 'mp4' },
+};
+
+const MAX_ENCODE_QUEUE = 4;
+
+/** Decodes encoded audio bytes at EXPORT_SAMPLE_RATE. */
+export function decodeForExport(arrayBuffer) {
+  const ctx = new OfflineAudioContext(2, 1, EXPORT_SAMPLE_RATE);
+  return ctx.decodeAudioData(arrayBuffer);
+}
+
+/**
+ * Captures one byte spectrum per video frame.
+ * @param {AudioBuffer} audioBuffer
+ * @param {object} opts
+ * @param {number} opts.fps
+ * @param {number} opts.fftSize Same as the live analyser.
+ * @param {number} opts.smoothingTimeConstant Same as the live analyser.
+ * @param {(p:number)=>void} [opts.onProgress] 0..1
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<Uint8Array[]>} frameCount spectra (frame i = state at i / fps).
+ */
+export async function analyzeSpectrumFrames(audioBuffer, { fps, fftSize, smoothingTimeConstant, onProgress, signal }) {
+  const frameCount = Math.ceil(audioBuffer.duration * fps);
+  const bins = fftSize / 2;
+  const frames = Array.from({ length: frameCount }, () => new Uint8Array(bins));
+
+  const ctx = new OfflineAudioContext(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+  const src = ctx.createBufferSource();
+  src.buffer = audioBuffer;
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothingTimeConstant;
+  src.connect(analyser);
+  analyser.connect(ctx.destination);
+
+  // Frame 0 is silence by definition (nothing rendered yet); a suspend can't be scheduled at t=0
+  for (let i = 1; i < frameCount; i++) {
+    const t = i / fps;
+    if (t >= audioBuffer.duration) break;
+    ctx.suspend(t).then(() => {
+      if (!signal?.aborted) analyser.getByteFrequencyData(frames[i]);
+      if (i % fps === 0) onProgress?.(i / frameCount);
+      return ctx.resume();
+    }).catch(err => console.warn('Spectrum snapshot skipped:', err));
+  }
+
+  src.start();
+  await ctx.startRendering();
+  signal?.throwIfAborted();
+  onProgress?.(1);
+  return frames;
+}
+
+/**
+ * Renders, encodes and muxes the whole video.
+ * @param {object} opts
+ * @param {AudioBuffer} opts.audioBuffer Soundtrack (from decodeForExport).
+ * @param {HTMLCanvasElement} opts.canvas Canvas renderFrame draws into (width × height).
+ * @param {number} opts.width Even number of pixels.
+ * @param {number} opts.height Even number of pixels.
+ * @param {number} opts.fps
+ * @param {'webm'|'mp4'} opts.format
+ * @param {(frameIndex:number)=>void} opts.renderFrame Draws frame `frameIndex` into canvas.
+ * @param {(p:number)=>void} [opts.onProgress] 0..1
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeVisualizerVideo({ audioBuffer, canvas, width, height, fps, format, renderFrame, onProgress, signal }) {
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt) throw new Error(`Unknown export format "${format}"`);
+  if (typeof VideoEncoder === 'undefined' || typeof AudioEncoder === 'undefined') {
+    throw new Error('Video export needs WebCodecs (a recent Chrome or Edge).');
+  }
+
+  const sampleRate = audioBuffer.sampleRate;
+  const channels = Math.min(2, audioBuffer.numberOfChannels);
+  const videoConfig = { codec: fmt.video, width, height, framerate: fps, bitrate: Math.round(width * height * fps * 0.12) };
+  const audioConfig = { codec: fmt.audio, sampleRate, numberOfChannels: channels, bitrate: 192000 };
+
+  if (!(await VideoEncoder.isConfigSupported(videoConfig)).supported) {
+    throw new Error(`${format.toUpperCase()} video encoding at ${width}×${height} isn't supported by this browser.`);
+  }
+  if (!(await AudioEncoder.isConfigSupported(audioConfig)).supported) {
+    throw new Error(`${format.toUpperCase()} audio encoding isn't supported by this browser; try WebM.`);
+  }
+
+  let muxer, target;
+  if (format === 'mp4') {
+    target = new Mp4.ArrayBufferTarget();
+    muxer = new Mp4.Muxer({
+      target,
+      video: { codec: 'avc', width, height },
+      audio: { codec: 'aac', sampleRate, numberOfChannels: channels },
+      fastStart: 'in-memory',
+      firstTimestampBehavior: 'offset',
+    });
+  } else {
+    target = new WebM.ArrayBufferTarget();
+    muxer = new WebM.Muxer({
+      target,
+      video: { codec: 'V_VP9', width, height, frameRate: fps },
+      audio: { codec: 'A_OPUS', sampleRate, numberOfChannels: channels },
+      firstTimestampBehavior: 'offset',
+    });
+  }
+
+  let encodeError = null;
+  const videoEncoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: e => { encodeError = e; },
+  });
+  const audioEncoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: e => { encodeError = e; },
+  });
+  videoEncoder.configure(videoConfig);
+  audioEncoder.configure(audioConfig);
+
+  const channelData = Array.from({ length: channels }, (_, c) => audioBuffer.getChannelData(c));
+  let audioCursor = 0;
+
+  // Feeds the audio encoder up to `endSample`, in blocks, so audio and video stay interleaved
+  const encodeAudioUntil = (endSample) => {
+    endSample = Math.min(endSample, audioBuffer.length);
+    while (audioCursor < endSample) {
+      const n = Math.min(4096, endSample - audioCursor);
+      const planar = new Float32Array(n * channels);
+      for (let c = 0; c < channels; c++) planar.set(channelData[c].subarray(audioCursor, audioCursor + n), c * n);
+      const data = new AudioData({
+        format: 'f32-planar',
+        sampleRate,
+        numberOfFrames: n,
+        numberOfChannels: channels,
+        timestamp: Math.round((audioCursor / sampleRate) * 1e6),
+        data: planar,
+      });
+      audioEncoder.encode(data);
+      data.close();
+      audioCursor += n;
+    }
+  };
+
+  const frameCount = Math.ceil(audioBuffer.duration * fps);
+  const frameDuration = Math.round(1e6 / fps);
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      signal?.throwIfAborted();
+      if (encodeError) throw encodeError;
+
+      encodeAudioUntil(Math.round(((i + 1) / fps) * sampleRate));
+
+      renderFrame(i);
+      const frame = new VideoFrame(canvas, { timestamp: i * frameDuration, duration: frameDuration });
+      videoEncoder.encode(frame, { keyFrame: i % (fps * 2) === 0 });
+      frame.close();
+
+      // Backpressure + let the page repaint progress
+      while (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) await new Promise(r => setTimeout(r, 5));
+      if (i % 10 === 0) {
+        onProgress?.(i / frameCount);
+        await new Promise(r => setTimeout(r, 0));
+      }
+    }
+
+    encodeAudioUntil(audioBuffer.length);
+    await Promise.all([videoEncoder.flush(), audioEncoder.flush()]);
+    if (encodeError) throw encodeError;
+    muxer.finalize();
+    onProgress?.(1);
+    return new Blob([target.buffer], { type: fmt.mime });
+  } finally {
+    if (videoEncoder.state !== 'closed') videoEncoder.close();
+    if (audioEncoder.state !== 'closed') audioEncoder.close();
+  }
+}
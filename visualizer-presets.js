@@ -0,0 +1,376 @@
+/*
+  visualizer-presets.js
+  Preset registry for the 3D visualizer.
+
+  A preset is a plain object:
+    { id, name, setup(ctx), update(frame, ctx), dispose(ctx), resize?(width, height) }
+  - setup(ctx)      builds its scene objects. ctx = { THREE, scene, spectrumTexture, resolution,
+                    particles, palette, configureParticles(opts) } (see `presetContext` in script.js);
+                    `palette` is null or an array of THREE.Color taken from the album art, which
+                    presets should prefer over their own colors while it is set
+  - update(frame)   runs every animation frame. frame = { dt, active, bass, mid, treble, energy,
+                    mod, sens, beatPulse, beatFlash, rotationKick }; audio fields are 0..1 and only
+                    meaningful while `active` (audio playing). `mod` holds the modulation matrix's
+                    targets (see modulation.js): displacement, saturation, rotation, particleSize,
+                    particleOpacity, cameraDistance (route sums, ~0..1) and hue (null when unrouted)
+  - dispose(ctx)    removes and frees everything setup created
+  - resize(w, h)    optional, called when the canvas size changes
+
+  Declarative JSON presets (see `normalizePresetDefinition`) are turned into presets by
+  `createJsonPreset`. The built-ins are JSON definitions too, so any of them can be exported
+  as a starting point for a custom preset.
+*/
+
+import * as THREE from 'three';
+import { Line2 } from 'three/addons/lines/Line2.js';
+import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
+import { SpectrumLineMaterial } from './spectrum-line-material.js';
+
+export const PRESET_FORMAT_VERSION = 1;
+const USER_PRESETS_KEY = 'audiohub:userPresets';
+
+const AUDIO_SOURCES = ['bass', 'mid', 'treble', 'energy'];
+
+// type -> [builder, defaults]; numeric fields are clamped to keep geometry sizes sane
+const GEOMETRIES = {
+  icosahedron:  [g => new THREE.IcosahedronGeometry(g.radius, g.detail),  { radius: 40, detail: 8 }],
+  dodecahedron: [g => new THREE.DodecahedronGeometry(g.radius, g.detail), { radius: 40, detail: 6 }],
+  octahedron:   [g => new THREE.OctahedronGeometry(g.radius, g.detail),   { radius: 40, detail: 8 }],
+  tetrahedron:  [g => new THREE.TetrahedronGeometry(g.radius, g.detail),  { radius: 40, detail: 8 }],
+  sphere:       [g => new THREE.SphereGeometry(g.radius, g.widthSegments, g.heightSegments),
+                 { radius: 40, widthSegments: 48, heightSegments: 32 }],
+  box:          [g => new THREE.BoxGeometry(g.radius * 1.4, g.radius * 1.4, g.radius * 1.4, g.segments, g.segments, g.segments),
+                 { radius: 40, segments: 12 }],
+  torus:        [g => new THREE.TorusGeometry(g.radius, g.tube, g.radialSegments, g.tubularSegments),
+                 { radius: 30, tube: 10, radialSegments: 16, tubularSegments: 120 }],
+  torusKnot:    [g => new THREE.TorusKnotGeometry(g.radius, g.tube, g.tubularSegments, g.radialSegments, g.p, g.q),
+                 { radius: 28, tube: 6, tubularSegments: 200, radialSegments: 16, p: 2, q: 3 }],
+};
+
+const GEOMETRY_LIMITS = {
+  radius: [1, 80], tube: [0.5, 40], detail: [0, 10], segments: [1, 64],
+  widthSegments: [3, 256], heightSegments: [2, 256],
+  radialSegments: [3, 64], tubularSegments: [3, 400], p: [1, 20], q: [1, 20],
+};
+
+// --- Registry ---
+const registry = new Map();
+
+/** Adds (or replaces) a preset. */
+export function registerPreset(preset) {
+  if (!preset || typeof preset.id !== 'string' || !preset.id) throw new Error('Preset needs an id');
+  for (const hook of ['setup', 'update', 'dispose']) {
+    if (typeof preset[hook] !== 'function') throw new Error(`Preset "${preset.id}" is missing ${hook}()`);
+  }
+  registry.set(preset.id, preset);
+  return preset;
+}
+
+export function unregisterPreset(id) {
+  return registry.delete(id);
+}
+
+export function getPreset(id) {
+  return registry.get(id) || null;
+}
+
+/** Summaries for UI lists, built-ins first. */
+export function listPresets() {
+  return [...registry.values()]
+    .map(p => ({ id: p.id, name: p.name || p.id, builtin: !!p.builtin, shared: !!p.shared, exportable: !!p.definition }))
+    .sort((a, b) => (b.builtin - a.builtin));
+}
+
+// --- JSON presets ---
+function num(v, fallback, [lo, hi] = [-Infinity, Infinity]) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(Math.max(n, lo), hi) : fallback;
+}
+
+function colorString(v, fallback) {
+  if (v === undefined || v === null) return fallback;
+  if (typeof v === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v.trim())) return v.trim().toLowerCase();
+  throw new Error(`Invalid color "${v}" (expected #rgb or #rrggbb)`);
+}
+
+function slugify(s) {
+  return String(s || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validates a raw (parsed) JSON preset and fills in defaults.
+ * Throws an Error with a user-facing message when the definition is unusable.
+ */
+export function normalizePresetDefinition(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Preset must be a JSON object');
+  if (raw.version !== undefined && raw.version > PRESET_FORMAT_VERSION) {
+    throw new Error(`Preset format v${raw.version} is newer than supported (v${PRESET_FORMAT_VERSION})`);
+  }
+  const id = slugify(raw.id || raw.name);
+  if (!id) throw new Error('Preset needs an "id" or "name"');
+
+  const g = raw.geometry || {};
+  const type = g.type || 'icosahedron';
+  if (!GEOMETRIES[type]) throw new Error(`Unknown geometry type "${type}"`);
+  const geometry = { type };
+  for (const [key, def] of Object.entries(GEOMETRIES[type][1])) {
+    geometry[key] = num(g[key], def, GEOMETRY_LIMITS[key]);
+    if (key !== 'radius' && key !== 'tube') geometry[key] = Math.round(geometry[key]);
+  }
+
+  const colors = raw.colors || {};
+  let hue = null;
+  if (raw.hue && raw.hue.source !== 'none') {
+    const source = raw.hue.source || 'bass';
+    if (!AUDIO_SOURCES.includes(source)) throw new Error(`Unknown hue source "${source}"`);
+    hue = {
+      source,
+      from: num(raw.hue.from, 0.6, [0, 1]),
+      to: num(raw.hue.to, 0, [0, 1]),
+      saturation: num(raw.hue.saturation, 0.8, [0, 1]),
+      lightness: num(raw.hue.lightness, 0.5, [0, 1]),
+    };
+  }
+
+  const r = raw.rotation || {};
+  const d = raw.displacement || {};
+  const b = raw.beat || {};
+  const p = raw.particles || {};
+  const react = p.react || {};
+
+  return {
+    version: PRESET_FORMAT_VERSION,
+    id,
+    name: String(raw.name || id).slice(0, 60),
+    geometry,
+    line: { width: num(raw.line?.width, 1.5, [0.5, 10]) },
+    colors: {
+      line: colorString(colors.line, '#4299e1'),
+      particles: colorString(colors.particles, '#ffffff'),
+    },
+    hue,
+    rotation: { x: num(r.x, 0.03, [-5, 5]), y: num(r.y, 0.06, [-5, 5]) },   // radians / second
+    displacement: { loudness: num(d.loudness, 1, [0, 5]), spectrum: num(d.spectrum, 24, [0, 100]) },
+    beat: { pulse: num(b.pulse, 1, [0, 5]), flash: num(b.flash, 1, [0, 5]), kick: num(b.kick, 1, [0, 5]) },
+    particles: {
+      count: Math.round(num(p.count, 1200, [0, 10000])),
+      radius: num(p.radius, 90, [10, 300]),
+      size: num(p.size, 1.2, [0.1, 10]),
+      opacity: num(p.opacity, 0.6, [0, 1]),
+      rotation: num(p.rotation, -0.024, [-5, 5]),
+      react: { scale: num(react.scale, 0.15, [0, 2]), opacity: num(react.opacity, 0.4, [0, 1]) },
+    },
+  };
+}
+
+/** Builds a registry preset from a JSON definition (normalized on the way in). */
+export function createJsonPreset(rawDefinition, { builtin = false } = {}) {
+  const def = normalizePresetDefinition(rawDefinition);
+  const baseColor = new THREE.Color(def.colors.line);
+  const particleColor = new THREE.Color(def.colors.particles);
+  let web = null;
+
+  return {
+    id: def.id,
+    name: def.name,
+    builtin,
+    definition: def,
+
+    setup(ctx) {
+      const [build] = GEOMETRIES[def.geometry.type];
+      const baseGeometry = build(def.geometry);
+      const edges = new THREE.EdgesGeometry(baseGeometry);
+      const geometry = new LineGeometry();
+      geometry.setPositions(edges.attributes.position.array);
+      baseGeometry.dispose();
+      edges.dispose();
+
+      const material = new SpectrumLineMaterial({
+        color: baseColor.getHex(),
+        linewidth: def.line.width,
+        alphaToCoverage: true,
+      }, ctx.spectrumTexture);
+      material.resolution.copy(ctx.resolution);
+
+      web = new Line2(geometry, material);
+      ctx.scene.add(web);
+
+      ctx.configureParticles({
+        count: def.particles.count,
+        radius: def.particles.radius,
+        size: def.particles.size,
+        color: def.colors.particles,
+        opacity: def.particles.opacity,
+      });
+    },
+
+    update(f, ctx) {
+      if (!web) return;
+      const m = web.material;
+      const particles = ctx.particles;
+
+      const mod = f.mod;
+      web.rotation.y += (def.rotation.y * (1 + mod.rotation * 2) + f.rotationKick * 1.8 * def.beat.kick) * f.dt;
+      web.rotation.x += def.rotation.x * f.dt;
+      if (particles?.visible) particles.rotation.y += (def.particles.rotation - f.rotationKick * 0.6 * def.beat.kick) * f.dt;
+
+      // Album art palette: web blends palette[0] -> palette[1] with the hue source, particles take the last color
+      const palette = ctx.palette;
+      if (particles) particles.material.color.copy(palette ? palette[palette.length - 1] : particleColor);
+
+      if (!f.active) {
+        if (palette) m.color.copy(palette[0]);
+        return;
+      }
+
+      m.uniforms.spectrum.value = ctx.spectrumTexture;
+      // Half the loudness-driven push (plus the beat pulse) is applied uniformly,
+      // the rest comes from each vertex's own frequency bin in the shader.
+      const loudnessDisp = mod.displacement * 30 * f.sens * def.displacement.loudness;
+      m.baseDisp = loudnessDisp * 0.5 + f.beatPulse * 8 * f.sens * def.beat.pulse;
+      m.binDisp = def.displacement.spectrum * f.sens;
+
+      // A routed hue replaces the preset's own hue source
+      const flash = f.beatFlash * 0.3 * def.beat.flash;
+      const hueX = THREE.MathUtils.clamp(mod.hue ?? f[def.hue?.source || 'bass'], 0, 1);
+      if (palette) {
+        m.color.copy(palette[0]).lerp(palette[1] || palette[0], hueX).offsetHSL(0, mod.saturation, flash);
+      } else if (def.hue) {
+        const saturation = THREE.MathUtils.clamp(def.hue.saturation + mod.saturation, 0, 1);
+        m.color.setHSL(def.hue.from + (def.hue.to - def.hue.from) * hueX, saturation, Math.min(1, def.hue.lightness + flash));
+      } else {
+        m.color.copy(baseColor).offsetHSL(mod.hue ?? 0, mod.saturation, flash);
+      }
+
+      if (particles?.visible) {
+        const s = Math.max(0.05, 1 + mod.particleSize * def.particles.react.scale * f.sens);
+        particles.scale.set(s, s, s);
+        particles.material.opacity = Math.min(1,
+          Math.max(0, def.particles.opacity * 0.6 + mod.particleOpacity * def.particles.react.opacity + f.beatFlash * 0.25 * def.beat.flash));
+      }
+    },
+
+    resize(width, height) {
+      web?.material.resolution.set(width, height);
+    },
+
+    dispose(ctx) {
+      if (!web) return;
+      ctx.scene.remove(web);
+      web.geometry.dispose();
+      web.material.dispose();
+      web = null;
+    },
+  };
+}
+
+/** Serializes a preset's JSON definition for download; null for code-only presets. */
+export function exportPresetJSON(id) {
+  const preset = getPreset(id);
+  return preset?.definition ? JSON.stringify(preset.definition, null, 2) : null;
+}
+
+// --- User presets (localStorage) ---
+export function loadUserPresets() {
+  let defs = [];
+  try { defs = JSON.parse(localStorage.getItem(USER_PRESETS_KEY) || '[]'); } catch {}
+  const loaded = [];
+  for (const raw of Array.isArray(defs) ? defs : []) {
+    try {
+      const def = normalizePresetDefinition(raw);
+      if (getPreset(def.id)?.builtin) continue;
+      loaded.push(registerPreset(createJsonPreset(def)).id);
+    } catch (e) {
+      console.warn('Skipping invalid saved preset:', e.message);
+    }
+  }
+  return loaded;
+}
+
+function saveUserPresets() {
+  const defs = [...registry.values()].filter(p => !p.builtin && !p.shared && p.definition).map(p => p.definition);
+  try { localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(defs)); } catch (e) {
+    console.warn('Could not save presets:', e);
+  }
+}
+
+/**
+ * Parses, registers and persists a user preset from JSON text.
+ * Built-in ids can't be overwritten; the imported preset gets a suffixed id instead.
+ * @returns {object} The registered preset.
+ */
+export function importUserPreset(jsonText) {
+  let raw;
+  try { raw = JSON.parse(jsonText); } catch { throw new Error('File is not valid JSON'); }
+  const def = normalizePresetDefinition(raw);
+  if (getPreset(def.id)?.builtin) def.id = `${def.id}-custom`;
+  const preset = registerPreset(createJsonPreset(def));
+  saveUserPresets();
+  return preset;
+}
+
+/**
+ * Registers a preset that came with a share link, for this session only. It gets an id of its own
+ * (`shared-…`), so it never replaces a preset the user has installed; keepSharedPreset() saves it.
+ * Opening the same link again reuses the copy it registered (or that was kept).
+ * @returns {object} The registered preset.
+ */
+export function registerSharedPreset(rawDefinition) {
+  const def = normalizePresetDefinition(rawDefinition);
+  const base = def.id.startsWith('shared-') ? def.id : `shared-${def.id}`;
+  let id = base;
+  for (let n = 2; getPreset(id); n++) {
+    const existing = getPreset(id);
+    if (JSON.stringify(existing.definition) === JSON.stringify({ ...def, id })) return existing;
+    id = `${base}-${n}`;
+  }
+  const preset = createJsonPreset({ ...def, id });
+  preset.shared = true;
+  return registerPreset(preset);
+}
+
+/** Saves a shared preset as one of the user's own. */
+export function keepSharedPreset(id) {
+  const preset = getPreset(id);
+  if (!preset?.shared) return false;
+  preset.shared = false;
+  saveUserPresets();
+  return true;
+}
+
+export function deleteUserPreset(id) {
+  const preset = getPreset(id);
+  if (!preset || preset.builtin) return false;
+  unregisterPreset(id);
+  saveUserPresets();
+  return true;
+}
+
+// --- Built-ins ---
+export const DEFAULT_PRESET = 'cosmic-grid';
+
+const BUILTIN_DEFINITIONS = [
+  {
+    id: 'cosmic-grid', name: 'Cosmic Grid',
+    geometry: { type: 'icosahedron', radius: 40, detail: 8 },
+    colors: { line: '#4299e1' },
+    hue: { source: 'bass', from: 0.6, to: 0.0 },          // blue -> red
+    rotation: { x: 0.03, y: 0.06 },
+  },
+  {
+    id: 'wave-tunnel', name: 'Wave Tunnel',
+    geometry: { type: 'torusKnot', radius: 28, tube: 6, tubularSegments: 200, radialSegments: 16 },
+    colors: { line: '#22d3ee' },
+    hue: { source: 'bass', from: 0.55, to: 0.15 },
+    rotation: { x: 0.03, y: 0.12 },
+  },
+  {
+    id: 'particle-burst', name: 'Particle Burst',
+    geometry: { type: 'dodecahedron', radius: 40, detail: 6 },
+    colors: { line: '#f97316' },
+    hue: { source: 'bass', from: 0.07, to: 0.22 },
+    rotation: { x: 0.03, y: 0.06 },
+  },
+];
+
+for (const def of BUILTIN_DEFINITIONS) registerPreset(createJsonPreset(def, { builtin: true }));
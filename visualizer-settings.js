@@ -0,0 +1,154 @@
+/*
+  visualizer-settings.js
+  Load/save of the visualizer settings (localStorage) and the share-link format.
+
+  Settings shape:
+    { preset, sensitivity, particles, albumColors, theme, volume, shuffle, repeat: off|one|all,
+      transition: { mode: gapless|crossfade, duration, curve },
+      normalize: { mode: off|track|album, target: LUFS, preventClipping },
+      camera: { auto, orbit, dolly }, effects: { bloom|chromatic|grain|trails: { enabled, intensity } },
+      modulation: { fftSize, features, routes } (see modulation.js) }
+  A share link carries the visual part (everything but volume and playback settings) in the URL hash as
+  `#look=<base64url JSON>`, plus the preset's JSON definition when it's a custom one,
+  so the recipient doesn't need the preset installed.
+*/
+
+import { CAMERA_DEFAULTS } from './camera-rig.js';
+import { EFFECT_DEFAULTS } from './post-fx.js';
+import { DEFAULT_PRESET } from './visualizer-presets.js';
+import { TRANSITION_DEFAULTS, TRANSITION_MODES, CROSSFADE_CURVES } from './playback-engine.js';
+import { NORMALIZE_DEFAULTS, NORMALIZE_MODES } from './loudness.js';
+import { MODULATION_DEFAULTS, sanitizeModulation } from './modulation.js';
+
+const SETTINGS_KEY = 'audiohub:settings';
+const HASH_PARAM = 'look';
+const REPEAT_MODES = ['off', 'one', 'all'];
+
+export const SETTINGS_DEFAULTS = {
+  preset: DEFAULT_PRESET,
+  sensitivity: 60,
+  particles: true,
+  albumColors: false,
+  theme: 'dark',
+  volume: 50,
+  shuffle: false,
+  repeat: 'all',
+  transition: { ...TRANSITION_DEFAULTS },
+  normalize: { ...NORMALIZE_DEFAULTS },
+  camera: { ...CAMERA_DEFAULTS },
+  effects: structuredClone(EFFECT_DEFAULTS),
+  modulation: structuredClone(MODULATION_DEFAULTS),
+};
+
+function clampNum(v, lo, hi, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(Math.max(n, lo), hi) : fallback;
+}
+
+/** Fills defaults and drops anything malformed (input may come from a URL). */
+export function sanitizeSettings(raw) {
+  const d = SETTINGS_DEFAULTS;
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const out = {
+    preset: typeof r.preset === 'string' && r.preset ? r.preset : d.preset,
+    sensitivity: clampNum(r.sensitivity, 0, 100, d.sensitivity),
+    particles: r.particles === undefined ? d.particles : !!r.particles,
+    albumColors: r.albumColors === undefined ? d.albumColors : !!r.albumColors,
+    theme: r.theme === 'light' ? 'light' : 'dark',
+    volume: clampNum(r.volume, 0, 100, d.volume),
+    shuffle: r.shuffle === undefined ? d.shuffle : !!r.shuffle,
+    repeat: REPEAT_MODES.includes(r.repeat) ? r.repeat : d.repeat,
+    transition: {
+      mode: TRANSITION_MODES.includes(r.transition?.mode) ? r.transition.mode : d.transition.mode,
+      duration: clampNum(r.transition?.duration, 0.5, 15, d.transition.duration),
+      curve: CROSSFADE_CURVES.includes(r.transition?.curve) ? r.transition.curve : d.transition.curve,
+    },
+    normalize: {
+      mode: NORMALIZE_MODES.includes(r.normalize?.mode) ? r.normalize.mode : d.normalize.mode,
+      target: clampNum(r.normalize?.target, -23, -8, d.normalize.target),
+      preventClipping: r.normalize?.preventClipping === undefined ? d.normalize.preventClipping : !!r.normalize.preventClipping,
+    },
+    camera: {
+      auto: r.camera?.auto === undefined ? d.camera.auto : !!r.camera.auto,
+      orbit: clampNum(r.camera?.orbit, 0, 100, d.camera.orbit),
+      dolly: clampNum(r.camera?.dolly, 0, 100, d.camera.dolly),
+    },
+    effects: {},
+    modulation: sanitizeModulation(r.modulation),
+  };
+  for (const [name, def] of Object.entries(d.effects)) {
+    const e = r.effects?.[name];
+    out.effects[name] = {
+      enabled: e?.enabled === undefined ? def.enabled : !!e.enabled,
+      intensity: clampNum(e?.intensity, 0, 100, def.intensity),
+    };
+  }
+  return out;
+}
+
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    return sanitizeSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return sanitizeSettings(null);
+  }
+}
+
+export function saveSettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch (e) {
+    console.warn('Could not save settings:', e);
+  }
+}
+
+// --- Share links ---
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+/**
+ * Builds a link to the current page that reproduces the look.
+ * @param {object} settings Current settings.
+ * @param {object|null} presetDefinition JSON definition to embed (custom presets only).
+ */
+export function buildShareURL(settings, presetDefinition = null) {
+  const { volume, shuffle, repeat, transition, normalize, ...look } = settings;
+  const payload = { v: 1, ...look };
+  if (presetDefinition) payload.presetDefinition = presetDefinition;
+  const url = new URL(window.location.href);
+  url.hash = `${HASH_PARAM}=${toBase64Url(JSON.stringify(payload))}`;
+  return url.toString();
+}
+
+/**
+ * Reads a shared look from the current URL hash.
+ * @returns {{ settings: object, presetDefinition: object|null }|null} Partial settings (no volume / playback settings).
+ */
+export function readShareHash() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const encoded = params.get(HASH_PARAM);
+  if (!encoded) return null;
+  try {
+    const payload = JSON.parse(fromBase64Url(encoded));
+    const { presetDefinition = null, v, ...settings } = payload || {};
+    return { settings, presetDefinition };
+  } catch (e) {
+    console.warn('Ignoring malformed share link:', e);
+    return null;
+  }
+}
+
+/** Removes the share payload from the address bar once applied. */
+export function clearShareHash() {
+  const url = new URL(window.location.href);
+  url.hash = '';
+  history.replaceState(null, '', url.pathname + url.search);
+}
@@ -0,0 +1,93 @@
+/*
+  worker-jobs.js
+  Shared plumbing for the background workers (track-analysis.js, audio-export.js, spectrogram.js):
+  - createWorkerQueue:  runs jobs on one lazily started worker, one job at a time, so a big
+                        batch of added tracks doesn't hold many decoded files in memory at once
+  - decodeChannels:     decodes a file at a chosen sample rate into transferable channel buffers
+  - tooLongToDecode:    whether a file is over a length limit, judged before decoding it
+*/
+
+// Bytes per second of 24-bit / 96 kHz stereo PCM: no file this size or larger plays for less
+// than size / this many seconds, whatever its format
+const MAX_BYTES_PER_SECOND = 96000 * 3 * 2;
+
+/**
+ * @param {URL} url Worker script. It gets `{ id, ...message }` and replies `{ id, ...result }` or `{ id, error }`,
+ *        optionally preceded by `{ id, progress }` updates (0..1).
+ * @param {WorkerOptions} [options] e.g. `{ type: 'module' }`.
+ * @returns {(job: () => Promise<{ message: object, transfer?: Transferable[], onProgress?: (p: number) => void }|null>) => Promise<object|null>}
+ *          Queues `job` (which prepares the message, e.g. by decoding; null skips the worker).
+ */
+export function createWorkerQueue(url, options) {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+  let queue = Promise.resolve();
+
+  const getWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(url, options);
+    worker.onmessage = (e) => {
+      const { id, error, ...result } = e.data;
+      const job = pending.get(id);
+      if (!job) return;
+      if (result.progress !== undefined && Object.keys(result).length === 1) {
+        job.onProgress?.(result.progress);
+        return;
+      }
+      pending.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    };
+    worker.onerror = (e) => {
+      for (const job of pending.values()) job.reject(new Error(e.message || 'Worker failed'));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  };
+
+  const post = ({ message, transfer = [], onProgress }) => new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, ...message }, transfer);
+  });
+
+  return (job) => {
+    const run = queue.then(async () => {
+      const prepared = await job();
+      return prepared ? post(prepared) : null;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Decoding a long file allocates its whole length at once (~1.4 GB per hour of 48 kHz stereo),
+ * so limits are checked first: by the duration read from its tags or probed, else by its size.
+ * @param {Blob} blob Encoded audio.
+ * @param {number|null} duration Seconds, when known.
+ * @param {number} maxSeconds
+ */
+export function tooLongToDecode(blob, duration, maxSeconds) {
+  return duration > 0 ? duration > maxSeconds : blob.size / MAX_BYTES_PER_SECOND > maxSeconds;
+}
+
+/**
+ * @param {Blob} blob Encoded audio.
+ * @param {number} sampleRate Decode (resample) to this rate.
+ * @returns {Promise<{ sampleRate: number, duration: number, channels: ArrayBuffer[] }>} Float32 PCM per channel.
+ */
+export async function decodeChannels(blob, sampleRate) {
+  const ctx = new OfflineAudioContext(1, 1, sampleRate);
+  const audio = await ctx.decodeAudioData(await blob.arrayBuffer());
+  const channels = [];
+  for (let c = 0; c < audio.numberOfChannels; c++) {
+    const data = new Float32Array(audio.length);
+    audio.copyFromChannel(data, c);
+    channels.push(data.buffer);
+  }
+  return { sampleRate: audio.sampleRate, duration: audio.duration, channels };
+}